@@ -10,20 +10,26 @@ const API = {
     // Callback for auth errors
     onAuthError: null,
 
+    // Identifies this tab, so live updates for changes it made itself can be skipped
+    clientId: Date.now().toString(36) + Math.random().toString(36).slice(2),
+
     /**
      * Make API request
      */
     async request(endpoint, options = {}) {
         const url = `${this.baseUrl}${endpoint}`;
+        const isFormData = options.body instanceof FormData;
         const config = {
+            ...options,
             headers: {
-                'Content-Type': 'application/json',
+                // Let the browser set the multipart boundary for form uploads
+                ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
+                'X-Client-Id': this.clientId,
                 ...options.headers
-            },
-            ...options
+            }
         };
 
-        if (options.body && typeof options.body === 'object') {
+        if (options.body && typeof options.body === 'object' && !isFormData) {
             config.body = JSON.stringify(options.body);
         }
 
@@ -41,16 +47,32 @@ const API = {
                     this.onAuthError();
                 }
 
-                throw new Error(error.error || error.message || 'Request failed');
+                const requestError = new Error(error.error || error.message || 'Request failed');
+                requestError.status = response.status;
+                // Validation failures say what is wrong with each field
+                requestError.fields = error.fields || null;
+                // Conflicts (412) carry the record as it is now
+                requestError.current = error.current || null;
+                throw requestError;
             }
 
-            return await response.json();
+            // Downloads such as CSV come back as they are
+            return options.responseType === 'blob' ? await response.blob() : await response.json();
         } catch (err) {
             console.error('API Error:', err);
             throw err;
         }
     },
 
+    /**
+     * If-Match header that makes a change apply only to the version of a world, map
+     * or location that was loaded. Its ETag is its updated_at in quotes.
+     * @param {Object|null} loaded - The record as the change was based on, or null for no check
+     */
+    versionHeaders(loaded) {
+        return loaded && loaded.updated_at ? { 'If-Match': `"${loaded.updated_at}"` } : {};
+    },
+
     // ============================================
     // AUTHENTICATION
     // ============================================
@@ -93,6 +115,92 @@ const API = {
         });
     },
 
+    // ============================================
+    // SESSIONS
+    // ============================================
+
+    async getSessions() {
+        return this.request('/auth/sessions');
+    },
+
+    async revokeSession(id) {
+        return this.request(`/auth/sessions/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async revokeOtherSessions() {
+        return this.request('/auth/sessions', {
+            method: 'DELETE'
+        });
+    },
+
+    // ============================================
+    // API TOKENS
+    // ============================================
+
+    async getTokens() {
+        return this.request('/tokens');
+    },
+
+    async createToken(data) {
+        return this.request('/tokens', {
+            method: 'POST',
+            body: data
+        });
+    },
+
+    async revokeToken(id) {
+        return this.request(`/tokens/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // ============================================
+    // ADMIN
+    // ============================================
+
+    async getUsers() {
+        return this.request('/admin/users');
+    },
+
+    async createUser(data) {
+        return this.request('/admin/users', {
+            method: 'POST',
+            body: data
+        });
+    },
+
+    async updateUser(id, data) {
+        return this.request(`/admin/users/${id}`, {
+            method: 'PUT',
+            body: data
+        });
+    },
+
+    async resetUserPassword(id, newPassword) {
+        return this.request(`/admin/users/${id}/reset-password`, {
+            method: 'POST',
+            body: { new_password: newPassword }
+        });
+    },
+
+    async deleteUser(id) {
+        return this.request(`/admin/users/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async getAuthEvents(params = {}) {
+        const query = new URLSearchParams();
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== null && value !== undefined && value !== '') {
+                query.set(key, value);
+            }
+        }
+        return this.request(`/admin/auth-events?${query}`);
+    },
+
     // ============================================
     // WORLDS
     // ============================================
@@ -112,15 +220,38 @@ const API = {
         });
     },
 
-    async updateWorld(id, data) {
+    async updateWorld(id, data, loaded = null) {
         return this.request(`/worlds/${id}`, {
             method: 'PUT',
+            headers: this.versionHeaders(loaded),
             body: data
         });
     },
 
-    async deleteWorld(id) {
+    async deleteWorld(id, loaded = null) {
         return this.request(`/worlds/${id}`, {
+            method: 'DELETE',
+            headers: this.versionHeaders(loaded)
+        });
+    },
+
+    // ============================================
+    // WORLD SHARING
+    // ============================================
+
+    async getWorldMembers(worldId) {
+        return this.request(`/worlds/${worldId}/members`);
+    },
+
+    async shareWorld(worldId, username, role) {
+        return this.request(`/worlds/${worldId}/members`, {
+            method: 'PUT',
+            body: { username, role }
+        });
+    },
+
+    async removeWorldMember(worldId, userId) {
+        return this.request(`/worlds/${worldId}/members/${userId}`, {
             method: 'DELETE'
         });
     },
@@ -144,16 +275,31 @@ const API = {
         });
     },
 
-    async updateMap(id, data) {
+    async updateMap(id, data, loaded = null) {
         return this.request(`/maps/${id}`, {
             method: 'PUT',
+            headers: this.versionHeaders(loaded),
             body: data
         });
     },
 
-    async deleteMap(id) {
+    async deleteMap(id, loaded = null) {
         return this.request(`/maps/${id}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            headers: this.versionHeaders(loaded)
+        });
+    },
+
+    async uploadMapImage(id, file, width, height, loaded = null) {
+        const form = new FormData();
+        form.append('image', file);
+        form.append('width', width);
+        form.append('height', height);
+
+        return this.request(`/maps/${id}/image`, {
+            method: 'PUT',
+            headers: this.versionHeaders(loaded),
+            body: form
         });
     },
 
@@ -161,8 +307,23 @@ const API = {
     // LOCATIONS
     // ============================================
 
-    async getLocations(mapId) {
-        return this.request(`/maps/${mapId}/locations`);
+    async getLocations(mapId, bbox = null) {
+        const query = bbox ? `?bbox=${[bbox.minX, bbox.minY, bbox.maxX, bbox.maxY].join(',')}` : '';
+        return this.request(`/maps/${mapId}/locations${query}`);
+    },
+
+    /**
+     * Find locations near another location ({ location }) or a point ({ x, y }),
+     * optionally within a radius, limited to the nearest N or to some stamps
+     */
+    async getNearbyLocations(mapId, params) {
+        const query = new URLSearchParams();
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== null && value !== undefined && value !== '') {
+                query.set(key, Array.isArray(value) ? value.join(',') : value);
+            }
+        }
+        return this.request(`/maps/${mapId}/locations/nearby?${query}`);
     },
 
     async getLocation(id) {
@@ -176,16 +337,29 @@ const API = {
         });
     },
 
-    async updateLocation(id, data) {
+    async updateLocation(id, data, loaded = null) {
         return this.request(`/locations/${id}`, {
             method: 'PUT',
+            headers: this.versionHeaders(loaded),
             body: data
         });
     },
 
-    async deleteLocation(id) {
+    async deleteLocation(id, loaded = null) {
         return this.request(`/locations/${id}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            headers: this.versionHeaders(loaded)
+        });
+    },
+
+    /**
+     * Create, update and delete many locations in one all-or-nothing request
+     * @param {Array} operations - { op: 'create', map_id, data }, { op: 'update', id, data, if_match } or { op: 'delete', id, if_match }
+     */
+    async batch(operations) {
+        return this.request('/batch', {
+            method: 'POST',
+            body: { operations }
         });
     },
 
@@ -225,6 +399,76 @@ const API = {
         });
     },
 
+    // ============================================
+    // LIVE UPDATES
+    // ============================================
+
+    /**
+     * URL of a world's live update stream (for EventSource, which can't send headers)
+     */
+    getLiveUrl(worldId, mapId = null) {
+        const params = new URLSearchParams({ client: this.clientId });
+        if (mapId) params.set('map', mapId);
+        return `${this.baseUrl}/worlds/${worldId}/events?${params}`;
+    },
+
+    // ============================================
+    // REVISION HISTORY
+    // ============================================
+
+    async getHistory(entityType, entityId) {
+        return this.request(`/history/${entityType}/${entityId}`);
+    },
+
+    async getRevision(id) {
+        return this.request(`/revisions/${id}`);
+    },
+
+    async getRevisionDiff(id, againstId = null) {
+        const query = againstId ? `?against=${encodeURIComponent(againstId)}` : '';
+        return this.request(`/revisions/${id}/diff${query}`);
+    },
+
+    async restoreRevision(id) {
+        return this.request(`/revisions/${id}/restore`, {
+            method: 'POST'
+        });
+    },
+
+    // ============================================
+    // SEARCH
+    // ============================================
+
+    async search(query, limit = 20) {
+        return this.request(`/search?q=${encodeURIComponent(query)}&limit=${limit}`);
+    },
+
+    // ============================================
+    // TRASH
+    // ============================================
+
+    async getTrash() {
+        return this.request('/trash');
+    },
+
+    async restoreTrashItem(type, id) {
+        return this.request(`/trash/${type}/${id}/restore`, {
+            method: 'POST'
+        });
+    },
+
+    async purgeTrashItem(type, id) {
+        return this.request(`/trash/${type}/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async emptyTrash() {
+        return this.request('/trash', {
+            method: 'DELETE'
+        });
+    },
+
     // ============================================
     // EXPORT/IMPORT
     // ============================================
@@ -238,5 +482,36 @@ const API = {
             method: 'POST',
             body: data
         });
+    },
+
+    async importIntoWorld(worldId, data) {
+        return this.request(`/worlds/${worldId}/import`, {
+            method: 'POST',
+            body: data
+        });
+    },
+
+    async exportMapCSV(mapId) {
+        return this.request(`/maps/${mapId}/export.csv`, { responseType: 'blob' });
+    },
+
+    async exportWorldCSV(worldId) {
+        return this.request(`/worlds/${worldId}/export.csv`, { responseType: 'blob' });
+    },
+
+    async exportWorldSite(worldId) {
+        return this.request(`/worlds/${worldId}/export-site`, { responseType: 'blob' });
+    },
+
+    async exportMapGeoJSON(mapId) {
+        return this.request(`/maps/${mapId}/export.geojson`);
+    },
+
+    async importMapGeoJSON(mapId, data) {
+        return this.request(`/maps/${mapId}/import.geojson`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/geo+json' },
+            body: data
+        });
     }
 };
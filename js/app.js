@@ -18,6 +18,43 @@ const App = {
     // Pending map image for new map creation
     pendingMapImage: null,
 
+    // Latest search text, so results of older searches that arrive late are dropped
+    searchQuery: '',
+
+    // Filters for the "Nearby" list on location cards, kept while moving between locations
+    nearbyFilter: { stamp: '', radius: '' },
+
+    // Most locations listed as nearby
+    nearbyLimit: 5,
+
+    // ID of the oldest auth event shown in the admin modal, where "Load More" continues from
+    authLogLastId: null,
+
+    // Location edit refused because someone else saved first: { loaded, mine, theirs, choices }
+    editConflict: null,
+
+    // Each location as this client last saved it (id -> location), so undo and redo still
+    // send If-Match for locations that viewport loading has dropped from the map since
+    savedLocations: {},
+
+    // Export waiting for the user to choose where to import it: { data, fromBrowser, geojson }
+    pendingImport: null,
+
+    // CSV file in the import wizard: { headers, rows, mapping, entries }
+    csvImport: null,
+
+    // Location fields edited in the location modal, with their labels
+    locationFieldLabels: {
+        name: 'Name',
+        description: 'Description',
+        wiki_link: 'Wiki Link',
+        stamp_id: 'Stamp Icon',
+        notes: 'Notes'
+    },
+
+    // Label of a location's position (x and y) in the conflict table, for moves
+    positionLabel: 'Position',
+
     /**
      * Initialize the application
      */
@@ -58,10 +95,22 @@ const App = {
         this.setupFileHandlers();
         this.setupWorldMapSelectors();
         this.setupAuth();
+        this.setupUndo();
+        this.setupSearch();
 
         // Setup marker callbacks
         MarkersModule.onLocationSelect = (location) => this.showLocationDetails(location);
         MarkersModule.onLocationUpdate = (location) => this.showLocationDetails(location);
+        MarkersModule.onLocationMove = (location, from, to) => this.moveLocation(location, from, to);
+
+        // Load only the current map's locations in and around the view
+        MarkersModule.fetchLocations = (bbox) => API.getLocations(this.currentMap.id, bbox);
+        MapModule.onViewChange = () => this.loadVisibleLocations();
+
+        // Apply changes other people make to the open world as they happen
+        LiveModule.onEvent = (type, data) => this.handleLiveEvent(type, data);
+        LiveModule.onPresence = (viewers) => this.renderPresence(viewers);
+        LiveModule.onClosed = (worldId) => this.handleLiveClosed(worldId);
 
         // Render initial stamp palette
         this.renderStampPalette();
@@ -69,6 +118,9 @@ const App = {
         // Load worlds from database
         this.loadWorlds();
 
+        // Offer to move a project stranded in this browser by the old version
+        this.offerLegacyImport();
+
         // Update user info display
         this.updateUserDisplay();
 
@@ -108,6 +160,7 @@ const App = {
         document.getElementById('auth-password-confirm').value = '';
         document.getElementById('auth-display-name').value = '';
         errorEl.textContent = '';
+        this.clearFieldErrors(modal);
 
         if (isSetup) {
             title.textContent = 'Create Admin Account';
@@ -170,6 +223,8 @@ const App = {
             this.initializeApp();
 
         } catch (err) {
+            const inputs = { username: 'auth-username', password: 'auth-password', display_name: 'auth-display-name' };
+            if (this.showFieldErrors(inputs, err)) return;
             errorEl.textContent = err.message;
         }
     },
@@ -196,6 +251,7 @@ const App = {
         if (this.currentUser) {
             displayName.textContent = this.currentUser.display_name || this.currentUser.username;
         }
+        document.getElementById('btn-admin').style.display = this.currentUser?.is_admin ? 'inline-block' : 'none';
     },
 
     /**
@@ -206,291 +262,1579 @@ const App = {
         document.getElementById('btn-logout').addEventListener('click', () => {
             this.handleLogout();
         });
-    },
 
-    /**
-     * Cache frequently used DOM elements
-     */
-    cacheElements() {
-        this.elements = {
-            // World/Map selectors
-            worldSelect: document.getElementById('world-select'),
-            mapSelect: document.getElementById('map-select'),
-            btnNewWorld: document.getElementById('btn-new-world'),
-            btnEditWorld: document.getElementById('btn-edit-world'),
-            btnNewMap: document.getElementById('btn-new-map'),
-            btnEditMap: document.getElementById('btn-edit-map'),
+        // Sessions
+        document.getElementById('btn-sessions').addEventListener('click', () => {
+            this.showSessionsModal();
+        });
 
-            // Tool buttons
-            btnSelect: document.getElementById('btn-select'),
-            btnStamp: document.getElementById('btn-stamp'),
-            btnMeasure: document.getElementById('btn-measure'),
-            btnRoute: document.getElementById('btn-route'),
+        document.getElementById('btn-sessions-modal-close').addEventListener('click', () => {
+            this.hideModal('modalSessions');
+        });
 
-            // Action buttons
-            btnUploadMap: document.getElementById('btn-upload-map'),
-            btnSave: document.getElementById('btn-save'),
-            btnLoad: document.getElementById('btn-load'),
-            btnExport: document.getElementById('btn-export'),
+        document.getElementById('btn-revoke-other-sessions').addEventListener('click', () => {
+            this.revokeOtherSessions();
+        });
 
-            // Sidebars
-            sidebarLeft: document.getElementById('sidebar-left'),
-            sidebarRight: document.getElementById('sidebar-right'),
-            stampPalette: document.getElementById('stamp-palette'),
-            locationDetails: document.getElementById('location-details'),
+        // API tokens
+        document.getElementById('btn-tokens').addEventListener('click', () => {
+            this.showTokensModal();
+        });
 
-            // Sidebar controls
-            btnCollapseLeft: document.getElementById('btn-collapse-left'),
-            btnCollapseRight: document.getElementById('btn-collapse-right'),
-            btnToggleLeft: document.getElementById('btn-toggle-left'),
-            btnToggleRight: document.getElementById('btn-toggle-right'),
+        document.getElementById('btn-tokens-modal-close').addEventListener('click', () => {
+            this.hideModal('modalTokens');
+        });
 
-            // Overlays
-            scaleOverlay: document.getElementById('scale-overlay'),
-            travelOverlay: document.getElementById('travel-overlay'),
+        document.getElementById('btn-create-token').addEventListener('click', () => {
+            this.createToken();
+        });
 
-            // Modals
-            modalLocation: document.getElementById('modal-location'),
-            modalCustomStamp: document.getElementById('modal-custom-stamp'),
-            modalTravelSettings: document.getElementById('modal-travel-settings'),
-            modalWorld: document.getElementById('modal-world'),
-            modalMap: document.getElementById('modal-map'),
-            modalAuth: document.getElementById('modal-auth'),
+        // Trash
+        document.getElementById('btn-trash').addEventListener('click', () => {
+            this.showTrashModal();
+        });
 
-            // File inputs
-            fileMapUpload: document.getElementById('file-map-upload'),
-            fileLoadProject: document.getElementById('file-load-project'),
-            fileMapImage: document.getElementById('file-map-image')
-        };
-    },
+        document.getElementById('btn-trash-modal-close').addEventListener('click', () => {
+            this.hideModal('modalTrash');
+        });
 
-    /**
-     * Setup world/map selector events
-     */
-    setupWorldMapSelectors() {
-        // World selection
-        this.elements.worldSelect.addEventListener('change', async (e) => {
-            const worldId = e.target.value;
-            if (worldId) {
-                await this.selectWorld(worldId);
-            } else {
-                this.currentWorld = null;
-                this.currentMap = null;
-                this.updateMapSelector([]);
-                MapModule.clearMap();
-                MarkersModule.clearAll();
-            }
+        document.getElementById('btn-empty-trash').addEventListener('click', () => {
+            this.emptyTrash();
         });
 
-        // Map selection
-        this.elements.mapSelect.addEventListener('change', async (e) => {
-            const mapId = e.target.value;
-            if (mapId) {
-                await this.selectMap(mapId);
-            } else {
-                this.currentMap = null;
-                MapModule.clearMap();
-                MarkersModule.clearAll();
-            }
+        // Admin panel
+        document.getElementById('btn-admin').addEventListener('click', () => {
+            this.showAdminModal();
         });
 
-        // New world button
-        this.elements.btnNewWorld.addEventListener('click', () => {
-            this.showWorldModal(null);
+        document.getElementById('btn-admin-modal-close').addEventListener('click', () => {
+            this.hideModal('modalAdmin');
         });
 
-        // Edit world button
-        this.elements.btnEditWorld.addEventListener('click', () => {
-            if (this.currentWorld) {
-                this.showWorldModal(this.currentWorld);
-            }
+        document.getElementById('btn-admin-create-user').addEventListener('click', () => {
+            this.createUser();
         });
 
-        // New map button
-        this.elements.btnNewMap.addEventListener('click', () => {
-            if (this.currentWorld) {
-                this.showMapModal(null);
-            }
+        document.getElementById('auth-log-type').addEventListener('change', () => {
+            this.loadAuthEvents();
         });
 
-        // Edit map button
-        this.elements.btnEditMap.addEventListener('click', () => {
-            if (this.currentMap) {
-                this.showMapModal(this.currentMap);
-            }
+        let authLogTimer = null;
+        document.getElementById('auth-log-username').addEventListener('input', () => {
+            clearTimeout(authLogTimer);
+            authLogTimer = setTimeout(() => this.loadAuthEvents(), 300);
+        });
+
+        document.getElementById('btn-auth-log-more').addEventListener('click', () => {
+            this.loadAuthEvents(true);
         });
     },
 
     /**
-     * Load worlds from database
+     * Show the sessions modal
      */
-    async loadWorlds() {
+    async showSessionsModal() {
+        document.getElementById('session-error').textContent = '';
+        await this.loadSessions();
+        this.showModal('modalSessions');
+    },
+
+    /**
+     * Load and render the current user's logged-in sessions
+     */
+    async loadSessions() {
         try {
-            const worlds = await API.getWorlds();
-            this.updateWorldSelector(worlds);
+            const sessions = await API.getSessions();
+            this.renderSessions(sessions);
         } catch (err) {
-            console.error('Failed to load worlds:', err);
-            this.showNotification('Failed to connect to server. Make sure the server is running.', 'error');
+            document.getElementById('session-error').textContent = err.message;
         }
     },
 
     /**
-     * Update world selector dropdown
+     * Render the sessions table
      */
-    updateWorldSelector(worlds) {
-        const select = this.elements.worldSelect;
-        select.innerHTML = '<option value="">Select a world...</option>';
+    renderSessions(sessions) {
+        const tbody = document.getElementById('session-list');
+        tbody.innerHTML = '';
+
+        const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+        for (const session of sessions) {
+            const row = document.createElement('tr');
+
+            for (const text of [
+                this.describeDevice(session.user_agent),
+                session.ip || 'Unknown',
+                formatTime(session.created_at),
+                formatTime(session.last_seen_at)
+            ]) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
 
-        for (const world of worlds) {
-            const option = document.createElement('option');
-            option.value = world.id;
-            option.textContent = `${world.name} (${world.map_count || 0} maps)`;
-            select.appendChild(option);
+            const actionsCell = document.createElement('td');
+            if (session.current) {
+                actionsCell.textContent = 'This device';
+            } else {
+                const revokeBtn = document.createElement('button');
+                revokeBtn.className = 'small-btn';
+                revokeBtn.textContent = 'Log Out';
+                revokeBtn.addEventListener('click', () => this.revokeSession(session));
+                actionsCell.appendChild(revokeBtn);
+            }
+            row.appendChild(actionsCell);
+
+            tbody.appendChild(row);
         }
+
+        document.getElementById('btn-revoke-other-sessions').disabled = !sessions.some(s => !s.current);
     },
 
     /**
-     * Select a world
+     * Summarize a user agent string as "Browser on OS"
      */
-    async selectWorld(worldId) {
-        try {
-            const world = await API.getWorld(worldId);
-            this.currentWorld = world;
-
-            // Load maps for this world
-            const maps = await API.getMaps(worldId);
-            this.updateMapSelector(maps);
-
-            // Load custom stamps for this world
-            const customStamps = await API.getCustomStamps(worldId);
-            StampManager.loadCustomStamps(customStamps);
-            this.renderStampPalette();
+    describeDevice(userAgent) {
+        if (!userAgent) return 'Unknown device';
 
-            // Load travel settings
-            const travelSettings = await API.getTravelSettings(worldId);
-            TravelCalculator.loadSettings(travelSettings);
-            this.updateScaleUI();
+        const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+        const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']];
 
-            // Enable map controls
-            this.elements.btnNewMap.disabled = false;
-            this.elements.btnEditMap.disabled = false;
+        const browser = browsers.find(([token]) => userAgent.includes(token));
+        const system = systems.find(([token]) => userAgent.includes(token));
+        if (!browser) return userAgent.split(' ')[0];
 
-            // Clear current map
-            this.currentMap = null;
-            MapModule.clearMap();
-            MarkersModule.clearAll();
+        return system ? `${browser[1]} on ${system[1]}` : browser[1];
+    },
 
-            this.showNotification(`Loaded world: ${world.name}`);
+    /**
+     * Log out another session
+     */
+    async revokeSession(session) {
+        try {
+            await API.revokeSession(session.id);
+            await this.loadSessions();
+            this.showNotification('Session logged out');
         } catch (err) {
-            console.error('Failed to select world:', err);
-            this.showNotification('Failed to load world', 'error');
+            document.getElementById('session-error').textContent = err.message;
         }
     },
 
     /**
-     * Update map selector dropdown
+     * Log out every session but this one
      */
-    updateMapSelector(maps) {
-        const select = this.elements.mapSelect;
-        select.innerHTML = '<option value="">Select a map...</option>';
-        select.disabled = maps.length === 0 && !this.currentWorld;
+    async revokeOtherSessions() {
+        if (!confirm('Log out every other browser and device using your account?')) {
+            return;
+        }
 
-        for (const map of maps) {
-            const option = document.createElement('option');
-            option.value = map.id;
-            option.textContent = `${map.name} (${map.location_count || 0} locations)`;
-            select.appendChild(option);
+        try {
+            const { revoked } = await API.revokeOtherSessions();
+            await this.loadSessions();
+            this.showNotification(`Logged out ${revoked} session${revoked === 1 ? '' : 's'}`);
+        } catch (err) {
+            document.getElementById('session-error').textContent = err.message;
         }
     },
 
     /**
-     * Select a map
+     * Show the personal API tokens modal
      */
-    async selectMap(mapId) {
+    async showTokensModal() {
+        document.getElementById('token-error').textContent = '';
+        document.getElementById('token-created').style.display = 'none';
+        document.getElementById('token-created-value').value = '';
+        await this.loadTokens();
+        this.showModal('modalTokens');
+    },
+
+    /**
+     * Load and render the current user's API tokens
+     */
+    async loadTokens() {
         try {
-            const map = await API.getMap(mapId);
-            this.currentMap = map;
+            const tokens = await API.getTokens();
+            this.renderTokens(tokens);
+        } catch (err) {
+            document.getElementById('token-error').textContent = err.message;
+        }
+    },
 
-            // Load map image
-            if (map.image_data) {
-                MapModule.loadMapImage(map.image_data, map.width, map.height);
-            } else {
-                MapModule.clearMap();
+    /**
+     * Render the API token table
+     */
+    renderTokens(tokens) {
+        const tbody = document.getElementById('token-list');
+        tbody.innerHTML = '';
+
+        const formatDate = (timestamp) => timestamp ? new Date(timestamp).toLocaleDateString() : 'Never';
+
+        for (const token of tokens) {
+            const row = document.createElement('tr');
+            const expired = token.expires_at && token.expires_at <= Date.now();
+            if (expired) row.classList.add('disabled');
+
+            for (const text of [
+                token.name,
+                `${token.token_prefix}…`,
+                token.read_only ? 'Read-only' : 'Read & write',
+                expired ? 'Expired' : formatDate(token.expires_at),
+                formatDate(token.last_used_at)
+            ]) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
             }
 
-            // Update scale
-            TravelCalculator.setScale(map.scale_value || 1, map.scale_unit || 'miles');
-            this.updateScaleUI();
+            const actionsCell = document.createElement('td');
+            const revokeBtn = document.createElement('button');
+            revokeBtn.className = 'small-btn';
+            revokeBtn.textContent = 'Revoke';
+            revokeBtn.addEventListener('click', () => this.revokeToken(token));
+            actionsCell.appendChild(revokeBtn);
+            row.appendChild(actionsCell);
 
-            // Load locations
-            const locations = await API.getLocations(mapId);
-            MarkersModule.loadLocations(locations);
+            tbody.appendChild(row);
+        }
+    },
 
-            this.showNotification(`Loaded map: ${map.name}`);
+    /**
+     * Create an API token from the tokens modal form
+     */
+    async createToken() {
+        const errorEl = document.getElementById('token-error');
+        const name = document.getElementById('token-name').value.trim();
+        const expiry = document.getElementById('token-expiry').value;
+
+        errorEl.textContent = '';
+
+        if (!name) {
+            errorEl.textContent = 'Please enter a token name';
+            return;
+        }
+
+        try {
+            const token = await API.createToken({
+                name,
+                read_only: document.getElementById('token-read-only').checked,
+                expires_in_days: expiry ? parseInt(expiry) : null
+            });
+
+            document.getElementById('token-name').value = '';
+            document.getElementById('token-created-value').value = token.token;
+            document.getElementById('token-created').style.display = 'block';
+            document.getElementById('token-created-value').select();
+
+            await this.loadTokens();
         } catch (err) {
-            console.error('Failed to select map:', err);
-            this.showNotification('Failed to load map', 'error');
+            if (this.showFieldErrors({ name: 'token-name', expires_in_days: 'token-expiry' }, err)) return;
+            errorEl.textContent = err.message;
         }
     },
 
     /**
-     * Show world modal for create/edit
+     * Revoke an API token
      */
-    showWorldModal(world) {
-        const isEdit = !!world;
-        document.getElementById('modal-world-title').textContent = isEdit ? 'Edit World' : 'New World';
-        document.getElementById('world-name').value = world?.name || '';
-        document.getElementById('world-description').value = world?.description || '';
-        document.getElementById('btn-delete-world').style.display = isEdit ? 'block' : 'none';
+    async revokeToken(token) {
+        if (!confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+            return;
+        }
 
-        this.editingWorld = world;
-        this.elements.modalWorld.style.display = 'flex';
+        try {
+            await API.revokeToken(token.id);
+            await this.loadTokens();
+            this.showNotification('Token revoked');
+        } catch (err) {
+            document.getElementById('token-error').textContent = err.message;
+        }
     },
 
     /**
-     * Show map modal for create/edit
+     * Show the trash modal
      */
-    showMapModal(map) {
-        const isEdit = !!map;
-        document.getElementById('modal-map-title').textContent = isEdit ? 'Edit Map' : 'New Map';
-        document.getElementById('map-name').value = map?.name || '';
-        document.getElementById('btn-delete-map').style.display = isEdit ? 'block' : 'none';
+    async showTrashModal() {
+        document.getElementById('trash-error').textContent = '';
+        await this.loadTrash();
+        this.showModal('modalTrash');
+    },
 
-        if (map?.image_data) {
-            document.getElementById('map-image-info').textContent = `Image: ${map.width}x${map.height}px`;
-        } else {
-            document.getElementById('map-image-info').textContent = '';
+    /**
+     * Load and render the deleted items the current user can restore
+     */
+    async loadTrash() {
+        try {
+            const { items, retention_days } = await API.getTrash();
+            document.getElementById('trash-description').textContent = retention_days > 0
+                ? `Deleted worlds, maps and locations are purged after ${retention_days} days.`
+                : 'Deleted worlds, maps and locations stay here until you purge them.';
+            this.renderTrash(items);
+        } catch (err) {
+            document.getElementById('trash-error').textContent = err.message;
         }
-
-        this.editingMap = map;
-        this.pendingMapImage = null;
-        this.elements.modalMap.style.display = 'flex';
     },
 
     /**
-     * Setup toolbar event listeners
+     * Render the trash table
      */
-    setupToolbar() {
+    renderTrash(items) {
+        const tbody = document.getElementById('trash-list');
+        tbody.innerHTML = '';
+
+        document.getElementById('trash-empty').style.display = items.length === 0 ? 'block' : 'none';
+        document.getElementById('btn-empty-trash').disabled = items.length === 0;
+
+        const typeLabels = { world: 'World', map: 'Map', location: 'Location' };
+        const formatDate = (timestamp) => timestamp ? new Date(timestamp).toLocaleDateString() : 'Never';
+
+        for (const item of items) {
+            const row = document.createElement('tr');
+
+            for (const text of [
+                `${typeLabels[item.type]}: ${item.name}`,
+                item.type === 'world' ? '' : [item.world_name, item.map_name].filter(Boolean).join(' › '),
+                `${formatDate(item.deleted_at)} by ${item.deleted_by_name || 'unknown'}`,
+                formatDate(item.purge_at)
+            ]) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+
+            const actionsCell = document.createElement('td');
+            const actions = document.createElement('div');
+            actions.className = 'user-actions';
+
+            const addAction = (label, handler) => {
+                const btn = document.createElement('button');
+                btn.className = 'small-btn';
+                btn.textContent = label;
+                btn.addEventListener('click', handler);
+                actions.appendChild(btn);
+            };
+
+            addAction('Restore', () => this.restoreTrashItem(item));
+            addAction('Delete Forever', () => this.purgeTrashItem(item));
+
+            actionsCell.appendChild(actions);
+            row.appendChild(actionsCell);
+            tbody.appendChild(row);
+        }
+    },
+
+    /**
+     * Take an item out of the trash and show it again
+     */
+    async restoreTrashItem(item) {
+        try {
+            await API.restoreTrashItem(item.type, item.id);
+            await this.loadTrash();
+            await this.refreshAfterRestore(item);
+            this.showNotification(`Restored "${item.name}"`);
+        } catch (err) {
+            document.getElementById('trash-error').textContent = err.message;
+        }
+    },
+
+    /**
+     * Reload whatever a restored item appears in
+     */
+    async refreshAfterRestore(item) {
+        if (item.type === 'world') {
+            const selectedWorld = this.currentWorld?.id;
+            await this.loadWorlds();
+            this.elements.worldSelect.value = selectedWorld || '';
+        } else if (item.type === 'map' && item.world_id === this.currentWorld?.id) {
+            const maps = await API.getMaps(this.currentWorld.id);
+            this.updateMapSelector(maps);
+            this.elements.mapSelect.value = this.currentMap?.id || '';
+        } else if (item.type === 'location' && item.map_id === this.currentMap?.id) {
+            await MarkersModule.loadViewport(true);
+        }
+    },
+
+    /**
+     * Permanently delete an item in the trash
+     */
+    async purgeTrashItem(item) {
+        const contents = { world: ' and all its maps', map: ' and all its locations', location: '' }[item.type];
+        if (!confirm(`Permanently delete "${item.name}"${contents}? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await API.purgeTrashItem(item.type, item.id);
+            await this.loadTrash();
+            this.showNotification(`Deleted "${item.name}" forever`);
+        } catch (err) {
+            document.getElementById('trash-error').textContent = err.message;
+        }
+    },
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    async emptyTrash() {
+        if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            const { purged } = await API.emptyTrash();
+            await this.loadTrash();
+            this.showNotification(`Deleted ${purged} item${purged === 1 ? '' : 's'} forever`);
+        } catch (err) {
+            document.getElementById('trash-error').textContent = err.message;
+        }
+    },
+
+    /**
+     * Show the admin user management modal
+     */
+    async showAdminModal() {
+        document.getElementById('admin-error').textContent = '';
+        document.getElementById('auth-log-type').value = '';
+        document.getElementById('auth-log-username').value = '';
+        await Promise.all([this.loadAdminUsers(), this.loadAuthEvents()]);
+        this.showModal('modalAdmin');
+    },
+
+    /**
+     * Load the auth event log in the admin modal
+     * @param {boolean} more - Append the next page instead of starting over
+     */
+    async loadAuthEvents(more = false) {
+        const pageSize = 50;
+        try {
+            const events = await API.getAuthEvents({
+                type: document.getElementById('auth-log-type').value,
+                username: document.getElementById('auth-log-username').value.trim(),
+                before: more ? this.authLogLastId : null,
+                limit: pageSize
+            });
+            this.renderAuthEvents(events, more);
+            if (events.length > 0) {
+                this.authLogLastId = events[events.length - 1].id;
+            }
+            document.getElementById('btn-auth-log-more').style.display = events.length === pageSize ? 'inline-block' : 'none';
+        } catch (err) {
+            document.getElementById('admin-error').textContent = err.message;
+        }
+    },
+
+    /**
+     * Render auth events in the admin modal
+     */
+    renderAuthEvents(events, append) {
+        const tbody = document.getElementById('auth-log-list');
+        if (!append) tbody.innerHTML = '';
+
+        const eventLabels = {
+            login: 'Login',
+            login_failed: 'Failed login',
+            lockout: 'Lockout',
+            logout: 'Logout',
+            password_changed: 'Password changed',
+            password_reset: 'Password reset',
+            session_revoked: 'Session logged out'
+        };
+
+        for (const event of events) {
+            const row = document.createElement('tr');
+            if (event.type === 'lockout') row.classList.add('auth-lockout');
+
+            for (const text of [
+                new Date(event.created_at).toLocaleString(),
+                eventLabels[event.type] || event.type,
+                event.username || '',
+                event.ip || '',
+                event.details || ''
+            ]) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+
+            tbody.appendChild(row);
+        }
+
+        document.getElementById('auth-log-empty').style.display = tbody.children.length === 0 ? 'block' : 'none';
+    },
+
+    /**
+     * Load and render all users in the admin modal
+     */
+    async loadAdminUsers() {
+        try {
+            const users = await API.getUsers();
+            this.renderAdminUsers(users);
+        } catch (err) {
+            document.getElementById('admin-error').textContent = err.message;
+        }
+    },
+
+    /**
+     * Render the admin user table
+     */
+    renderAdminUsers(users) {
+        const tbody = document.getElementById('admin-user-list');
+        tbody.innerHTML = '';
+
+        for (const user of users) {
+            const isSelf = user.id === this.currentUser?.id;
+            const row = document.createElement('tr');
+            if (user.disabled) row.classList.add('disabled');
+
+            for (const text of [
+                user.username,
+                user.display_name || '',
+                user.is_admin ? 'Admin' : 'User',
+                user.disabled ? 'Disabled' : 'Active'
+            ]) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+
+            const actionsCell = document.createElement('td');
+            const actions = document.createElement('div');
+            actions.className = 'user-actions';
+
+            const addAction = (label, handler) => {
+                const btn = document.createElement('button');
+                btn.className = 'small-btn';
+                btn.textContent = label;
+                btn.addEventListener('click', handler);
+                actions.appendChild(btn);
+            };
+
+            addAction('Reset Password', () => this.resetUserPassword(user));
+            if (!isSelf) {
+                addAction(user.is_admin ? 'Revoke Admin' : 'Make Admin',
+                    () => this.updateUser(user, { is_admin: !user.is_admin }));
+                addAction(user.disabled ? 'Enable' : 'Disable',
+                    () => this.updateUser(user, { disabled: !user.disabled }));
+                addAction('Delete', () => this.deleteUser(user));
+            }
+
+            actionsCell.appendChild(actions);
+            row.appendChild(actionsCell);
+            tbody.appendChild(row);
+        }
+    },
+
+    /**
+     * Create a user from the admin modal form
+     */
+    async createUser() {
+        const errorEl = document.getElementById('admin-error');
+        const username = document.getElementById('admin-new-username').value.trim();
+        const displayName = document.getElementById('admin-new-display-name').value.trim();
+        const password = document.getElementById('admin-new-password').value;
+        const isAdmin = document.getElementById('admin-new-is-admin').checked;
+
+        errorEl.textContent = '';
+
+        if (!username || !password) {
+            errorEl.textContent = 'Please enter username and password';
+            return;
+        }
+
+        try {
+            await API.createUser({
+                username,
+                password,
+                display_name: displayName || username,
+                is_admin: isAdmin
+            });
+
+            document.getElementById('admin-new-username').value = '';
+            document.getElementById('admin-new-display-name').value = '';
+            document.getElementById('admin-new-password').value = '';
+            document.getElementById('admin-new-is-admin').checked = false;
+
+            await this.loadAdminUsers();
+            this.showNotification(`User ${username} created`);
+        } catch (err) {
+            const inputs = {
+                username: 'admin-new-username',
+                display_name: 'admin-new-display-name',
+                password: 'admin-new-password'
+            };
+            if (this.showFieldErrors(inputs, err)) return;
+            errorEl.textContent = err.message;
+        }
+    },
+
+    /**
+     * Update a user's admin flag or disabled state
+     */
+    async updateUser(user, data) {
+        try {
+            await API.updateUser(user.id, data);
+            await this.loadAdminUsers();
+        } catch (err) {
+            document.getElementById('admin-error').textContent = err.message;
+        }
+    },
+
+    /**
+     * Reset a user's password
+     */
+    async resetUserPassword(user) {
+        const newPassword = prompt(`New password for ${user.username}:`);
+        if (!newPassword) return;
+
+        try {
+            await API.resetUserPassword(user.id, newPassword);
+            this.showNotification(`Password reset for ${user.username}`);
+        } catch (err) {
+            document.getElementById('admin-error').textContent = err.message;
+        }
+    },
+
+    /**
+     * Delete a user
+     */
+    async deleteUser(user) {
+        if (!confirm(`Delete ${user.username}? Their worlds will be transferred to you.`)) {
+            return;
+        }
+
+        try {
+            await API.deleteUser(user.id);
+            await this.loadAdminUsers();
+            await this.loadWorlds();
+            this.showNotification(`User ${user.username} deleted`);
+        } catch (err) {
+            document.getElementById('admin-error').textContent = err.message;
+        }
+    },
+
+    /**
+     * Cache frequently used DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            // World/Map selectors
+            worldSelect: document.getElementById('world-select'),
+            mapSelect: document.getElementById('map-select'),
+            btnNewWorld: document.getElementById('btn-new-world'),
+            btnEditWorld: document.getElementById('btn-edit-world'),
+            btnShareWorld: document.getElementById('btn-share-world'),
+            btnNewMap: document.getElementById('btn-new-map'),
+            btnEditMap: document.getElementById('btn-edit-map'),
+
+            // Tool buttons
+            btnSelect: document.getElementById('btn-select'),
+            btnStamp: document.getElementById('btn-stamp'),
+            btnMeasure: document.getElementById('btn-measure'),
+            btnRoute: document.getElementById('btn-route'),
+            btnUndo: document.getElementById('btn-undo'),
+            btnRedo: document.getElementById('btn-redo'),
+
+            // Action buttons
+            btnUploadMap: document.getElementById('btn-upload-map'),
+            btnSave: document.getElementById('btn-save'),
+            btnLoad: document.getElementById('btn-load'),
+            btnExport: document.getElementById('btn-export'),
+
+            // Sidebars
+            sidebarLeft: document.getElementById('sidebar-left'),
+            sidebarRight: document.getElementById('sidebar-right'),
+            stampPalette: document.getElementById('stamp-palette'),
+            locationDetails: document.getElementById('location-details'),
+
+            // Sidebar controls
+            btnCollapseLeft: document.getElementById('btn-collapse-left'),
+            btnCollapseRight: document.getElementById('btn-collapse-right'),
+            btnToggleLeft: document.getElementById('btn-toggle-left'),
+            btnToggleRight: document.getElementById('btn-toggle-right'),
+
+            // Overlays
+            scaleOverlay: document.getElementById('scale-overlay'),
+            travelOverlay: document.getElementById('travel-overlay'),
+
+            // Modals
+            modalLocation: document.getElementById('modal-location'),
+            modalConflict: document.getElementById('modal-conflict'),
+            modalCustomStamp: document.getElementById('modal-custom-stamp'),
+            modalTravelSettings: document.getElementById('modal-travel-settings'),
+            modalWorld: document.getElementById('modal-world'),
+            modalImport: document.getElementById('modal-import'),
+            modalExport: document.getElementById('modal-export'),
+            modalCsvImport: document.getElementById('modal-csv-import'),
+            modalPoster: document.getElementById('modal-poster'),
+            modalMap: document.getElementById('modal-map'),
+            modalShare: document.getElementById('modal-share'),
+            modalAuth: document.getElementById('modal-auth'),
+            modalAdmin: document.getElementById('modal-admin'),
+            modalSessions: document.getElementById('modal-sessions'),
+            modalTokens: document.getElementById('modal-tokens'),
+            modalTrash: document.getElementById('modal-trash'),
+
+            // File inputs
+            fileMapUpload: document.getElementById('file-map-upload'),
+            fileLoadProject: document.getElementById('file-load-project'),
+            fileMapImage: document.getElementById('file-map-image')
+        };
+    },
+
+    /**
+     * Setup world/map selector events
+     */
+    setupWorldMapSelectors() {
+        // World selection
+        this.elements.worldSelect.addEventListener('change', async (e) => {
+            const worldId = e.target.value;
+            if (worldId) {
+                await this.selectWorld(worldId);
+            } else {
+                this.currentWorld = null;
+                this.currentMap = null;
+                LiveModule.disconnect();
+                this.updateMapSelector([]);
+                this.applyWorldPermissions();
+                MapModule.clearMap();
+                MarkersModule.clearAll();
+            }
+        });
+
+        // Map selection
+        this.elements.mapSelect.addEventListener('change', async (e) => {
+            const mapId = e.target.value;
+            if (mapId) {
+                await this.selectMap(mapId);
+            } else {
+                this.currentMap = null;
+                MapModule.clearMap();
+                MarkersModule.clearAll();
+                LiveModule.connect(this.currentWorld.id);
+            }
+        });
+
+        // New world button
+        this.elements.btnNewWorld.addEventListener('click', () => {
+            this.showWorldModal(null);
+        });
+
+        // Edit world button
+        this.elements.btnEditWorld.addEventListener('click', () => {
+            if (this.currentWorld) {
+                this.showWorldModal(this.currentWorld);
+            }
+        });
+
+        // Share world button
+        this.elements.btnShareWorld.addEventListener('click', () => {
+            if (this.currentWorld) {
+                this.showShareModal();
+            }
+        });
+
+        // New map button
+        this.elements.btnNewMap.addEventListener('click', () => {
+            if (this.currentWorld) {
+                this.showMapModal(null);
+            }
+        });
+
+        // Edit map button
+        this.elements.btnEditMap.addEventListener('click', () => {
+            if (this.currentMap) {
+                this.showMapModal(this.currentMap);
+            }
+        });
+    },
+
+    /**
+     * Load worlds from database
+     */
+    async loadWorlds() {
+        try {
+            const worlds = await API.getWorlds();
+            this.updateWorldSelector(worlds);
+        } catch (err) {
+            console.error('Failed to load worlds:', err);
+            this.showNotification('Failed to connect to server. Make sure the server is running.', 'error');
+        }
+    },
+
+    /**
+     * Update world selector dropdown
+     */
+    updateWorldSelector(worlds) {
+        const select = this.elements.worldSelect;
+        select.innerHTML = '<option value="">Select a world...</option>';
+
+        for (const world of worlds) {
+            const option = document.createElement('option');
+            option.value = world.id;
+            option.textContent = `${world.name} (${world.map_count || 0} maps)`;
+            if (world.role && world.role !== 'owner') {
+                option.textContent += ` - shared, ${world.role}`;
+            }
+            select.appendChild(option);
+        }
+    },
+
+    /**
+     * Select a world
+     */
+    async selectWorld(worldId) {
+        UndoManager.clear();
+
+        try {
+            const world = await API.getWorld(worldId);
+            this.currentWorld = world;
+
+            // Load maps for this world
+            const maps = await API.getMaps(worldId);
+            this.updateMapSelector(maps);
+
+            // Load custom stamps for this world
+            const customStamps = await API.getCustomStamps(worldId);
+            StampManager.loadCustomStamps(customStamps);
+            this.renderStampPalette();
+
+            // Load travel settings
+            const travelSettings = await API.getTravelSettings(worldId);
+            TravelCalculator.loadSettings(travelSettings);
+            this.updateScaleUI();
+
+            // Enable controls allowed by this user's role
+            this.applyWorldPermissions();
+
+            // Clear current map
+            this.currentMap = null;
+            MapModule.clearMap();
+            MarkersModule.clearAll();
+
+            LiveModule.connect(world.id);
+
+            this.showNotification(`Loaded world: ${world.name}`);
+        } catch (err) {
+            console.error('Failed to select world:', err);
+            this.showNotification('Failed to load world', 'error');
+        }
+    },
+
+    /**
+     * Check if the current user can change the current world's maps and locations
+     */
+    canEdit() {
+        return ['owner', 'editor'].includes(this.currentWorld?.role);
+    },
+
+    /**
+     * Check if the current user owns the current world
+     */
+    isOwner() {
+        return this.currentWorld?.role === 'owner';
+    },
+
+    /**
+     * Enable or disable editing tools for the current world's role
+     */
+    applyWorldPermissions() {
+        const hasWorld = !!this.currentWorld;
+        const canEdit = !hasWorld || this.canEdit();
+
+        this.elements.btnEditWorld.disabled = hasWorld && !this.isOwner();
+        this.elements.btnShareWorld.disabled = !hasWorld;
+        this.elements.btnNewMap.disabled = !hasWorld || !canEdit;
+        this.elements.btnEditMap.disabled = !hasWorld || !canEdit;
+        this.elements.btnStamp.disabled = !canEdit;
+        this.elements.btnUploadMap.disabled = !canEdit;
+        document.getElementById('btn-add-stamp-type').disabled = !canEdit;
+
+        MarkersModule.setEditable(canEdit);
+
+        if (!canEdit && this.currentTool === 'stamp') {
+            this.setTool('select');
+        }
+
+        this.updateUndoButtons();
+    },
+
+    /**
+     * Update map selector dropdown
+     */
+    updateMapSelector(maps) {
+        const select = this.elements.mapSelect;
+        select.innerHTML = '<option value="">Select a map...</option>';
+        select.disabled = maps.length === 0 && !this.currentWorld;
+
+        for (const map of maps) {
+            const option = document.createElement('option');
+            option.value = map.id;
+            option.textContent = `${map.name} (${map.location_count || 0} locations)`;
+            select.appendChild(option);
+        }
+    },
+
+    /**
+     * Select a map
+     */
+    async selectMap(mapId) {
+        // Undo history refers to this map's locations
+        UndoManager.clear();
+
+        try {
+            const map = await API.getMap(mapId);
+            this.currentMap = map;
+            MarkersModule.clearAll();
+
+            // Load map image
+            if (map.image_url) {
+                MapModule.loadMapImage(map.image_url, map.width, map.height, map.tiles);
+            } else {
+                MapModule.clearMap();
+            }
+
+            // Update scale
+            TravelCalculator.setScale(map.scale_value || 1, map.scale_unit || 'miles');
+            this.updateScaleUI();
+
+            // Load the locations in view
+            await MarkersModule.loadViewport();
+
+            LiveModule.connect(map.world_id, map.id);
+
+            this.showNotification(`Loaded map: ${map.name}`);
+        } catch (err) {
+            console.error('Failed to select map:', err);
+            this.showNotification('Failed to load map', 'error');
+        }
+    },
+
+    /**
+     * Load the current map's locations for the part of the map in view
+     */
+    async loadVisibleLocations() {
+        if (!this.currentMap) return;
+
+        try {
+            await MarkersModule.loadViewport();
+        } catch (err) {
+            console.error('Failed to load locations:', err);
+            this.showNotification('Failed to load locations', 'error');
+        }
+    },
+
+    /**
+     * Apply a change someone else made to the open world
+     * @param {string} type - Event type, such as "location.updated"
+     * @param {Object} data - The changed record, or { id } for deletions
+     */
+    handleLiveEvent(type, data) {
+        const [entity, action] = type.split('.');
+
+        if (entity === 'location') {
+            this.applyLiveLocationChange(action, data);
+        } else if (entity === 'map') {
+            this.applyLiveMapChange(action, data);
+        } else if (entity === 'stamp') {
+            if (action === 'created') {
+                StampManager.addCustomStampFromAPI(data);
+            } else {
+                StampManager.removeCustomStampFromAPI(data.id);
+                // Markers using the stamp fall back to the default icon
+                MarkersModule.renderAllMarkers();
+            }
+            this.renderStampPalette();
+        } else if (entity === 'travel-settings') {
+            TravelCalculator.loadSettings(data);
+        } else if (entity === 'world') {
+            this.applyLiveWorldChange(action, data);
+        } else if (entity === 'role') {
+            this.currentWorld.role = data.role;
+            this.applyWorldPermissions();
+            this.showNotification(`Your role in this world is now ${data.role}`);
+        }
+    },
+
+    /**
+     * Add, update or remove a location someone else changed
+     */
+    applyLiveLocationChange(action, location) {
+        if (action === 'deleted') {
+            const wasSelected = MarkersModule.selectedLocation?.id === location.id;
+            MarkersModule.removeLocation(location.id);
+            if (wasSelected) {
+                this.hideLocationDetails();
+            }
+            if (this.editingLocation?.id === location.id && this.elements.modalLocation.style.display === 'flex') {
+                this.hideModal('modalLocation');
+                this.showNotification('Someone else moved this location to the trash', 'error');
+            }
+            return;
+        }
+
+        if (location.map_id !== this.currentMap?.id) return;
+
+        if (this.editingLocation?.id === location.id && this.elements.modalLocation.style.display === 'flex') {
+            this.showNotification('Someone else just changed this location. Saving will show both versions.', 'error');
+        }
+
+        if (MarkersModule.getLocation(location.id)) {
+            const updated = MarkersModule.updateLocationFromAPI(location, false);
+            if (MarkersModule.selectedLocation?.id === location.id) {
+                this.showLocationDetails(updated);
+            }
+        } else {
+            MarkersModule.addLocationFromAPI(location);
+        }
+    },
+
+    /**
+     * Update the map list, and the open map, after someone else changed a map
+     */
+    async applyLiveMapChange(action, map) {
+        if (this.currentMap?.id === map.id) {
+            if (action === 'deleted') {
+                this.currentMap = null;
+                MapModule.clearMap();
+                MarkersModule.clearAll();
+                this.hideLocationDetails();
+                LiveModule.connect(this.currentWorld.id);
+                this.showNotification('Someone else moved this map to the trash', 'error');
+            } else {
+                const previous = this.currentMap;
+                this.currentMap = map;
+
+                if (map.image_url !== previous.image_url) {
+                    if (map.image_url) {
+                        MapModule.loadMapImage(map.image_url, map.width, map.height, map.tiles);
+                    } else {
+                        MapModule.clearMap();
+                        MarkersModule.clearAll();
+                        await this.loadVisibleLocations();
+                    }
+                }
+
+                if (map.scale_value !== previous.scale_value || map.scale_unit !== previous.scale_unit) {
+                    TravelCalculator.setScale(map.scale_value || 1, map.scale_unit || 'miles');
+                    this.updateScaleUI();
+                }
+            }
+        }
+
+        try {
+            const maps = await API.getMaps(this.currentWorld.id);
+            this.updateMapSelector(maps);
+            this.elements.mapSelect.value = this.currentMap?.id || '';
+        } catch (err) {
+            console.error('Failed to reload maps:', err);
+        }
+    },
+
+    /**
+     * Follow a rename of the open world, or leave it once it has been deleted
+     */
+    async applyLiveWorldChange(action, world) {
+        if (action === 'deleted') {
+            await this.leaveWorld('Someone else moved this world to the trash');
+            return;
+        }
+
+        this.currentWorld = { ...this.currentWorld, ...world, role: this.currentWorld.role };
+        await this.loadWorlds();
+        this.elements.worldSelect.value = this.currentWorld.id;
+    },
+
+    /**
+     * The server refused the live update stream: leave the world if access to it has gone
+     */
+    async handleLiveClosed(worldId) {
+        if (this.currentWorld?.id !== worldId) return;
+
+        try {
+            await API.getWorld(worldId);
+            // Still allowed in, so the refusal was temporary
+            LiveModule.connect(worldId, this.currentMap?.id || null);
+        } catch (err) {
+            if (this.currentWorld?.id === worldId && this.currentUser) {
+                await this.leaveWorld('You no longer have access to this world');
+            }
+        }
+    },
+
+    /**
+     * Close the open world and show the world list again
+     */
+    async leaveWorld(message) {
+        UndoManager.clear();
+        LiveModule.disconnect();
+        this.currentWorld = null;
+        this.currentMap = null;
+        this.updateMapSelector([]);
+        this.applyWorldPermissions();
+        MapModule.clearMap();
+        MarkersModule.clearAll();
+        this.hideLocationDetails();
+        await this.loadWorlds();
+        this.showNotification(message, 'error');
+    },
+
+    /**
+     * Show who else is viewing the open world: each person on the open map
+     * (or anywhere in the world, with no map open) and how many are on other maps
+     * @param {Array} viewers - One entry per open tab, from the server
+     */
+    renderPresence(viewers) {
+        const bar = document.getElementById('presence-bar');
+        const list = document.getElementById('presence-list');
+        const elsewhere = document.getElementById('presence-elsewhere');
+
+        // One entry per person, leaving out this user's own tabs
+        const people = new Map();
+        for (const viewer of viewers) {
+            if (viewer.user_id === this.currentUser?.id) continue;
+            const here = !this.currentMap || viewer.map_id === this.currentMap.id;
+            const known = people.get(viewer.user_id);
+            if (!known || (here && !known.here)) {
+                people.set(viewer.user_id, { ...viewer, here });
+            }
+        }
+
+        const present = [...people.values()].filter(person => person.here);
+        const away = people.size - present.length;
+
+        list.innerHTML = '';
+        for (const person of present) {
+            const name = person.display_name || person.username;
+            const avatar = document.createElement('span');
+            avatar.className = 'presence-avatar';
+            avatar.textContent = name.charAt(0).toUpperCase();
+            avatar.title = `${name} (${person.role})`;
+            avatar.style.backgroundColor = this.presenceColor(person.username);
+            list.appendChild(avatar);
+        }
+
+        elsewhere.textContent = away > 0 ? `${away} on other map${away === 1 ? '' : 's'}` : '';
+        bar.style.display = people.size > 0 ? 'flex' : 'none';
+    },
+
+    /**
+     * A color that stays the same for a user, for their presence badge
+     */
+    presenceColor(username) {
+        let hue = 0;
+        for (const char of username) {
+            hue = (hue * 31 + char.charCodeAt(0)) % 360;
+        }
+        return `hsl(${hue}, 55%, 45%)`;
+    },
+
+    /**
+     * Show world modal for create/edit
+     */
+    showWorldModal(world) {
+        const isEdit = !!world;
+        document.getElementById('modal-world-title').textContent = isEdit ? 'Edit World' : 'New World';
+        document.getElementById('world-name').value = world?.name || '';
+        document.getElementById('world-description').value = world?.description || '';
+        document.getElementById('btn-delete-world').style.display = isEdit ? 'block' : 'none';
+
+        this.editingWorld = world;
+        this.clearFieldErrors(this.elements.modalWorld);
+        this.elements.modalWorld.style.display = 'flex';
+    },
+
+    /**
+     * Show map modal for create/edit
+     */
+    showMapModal(map) {
+        const isEdit = !!map;
+        document.getElementById('modal-map-title').textContent = isEdit ? 'Edit Map' : 'New Map';
+        document.getElementById('map-name').value = map?.name || '';
+        document.getElementById('btn-delete-map').style.display = isEdit && this.isOwner() ? 'block' : 'none';
+
+        if (map?.image_url) {
+            document.getElementById('map-image-info').textContent = `Image: ${map.width}x${map.height}px`;
+        } else {
+            document.getElementById('map-image-info').textContent = '';
+        }
+
+        this.editingMap = map;
+        this.pendingMapImage = null;
+        this.clearFieldErrors(this.elements.modalMap);
+        this.elements.modalMap.style.display = 'flex';
+    },
+
+    /**
+     * Show the share modal for the current world
+     */
+    async showShareModal() {
+        const isOwner = this.isOwner();
+        document.getElementById('share-username').value = '';
+        document.getElementById('share-error').textContent = '';
+        document.getElementById('share-form').style.display = isOwner ? 'block' : 'none';
+        document.getElementById('share-footer').style.display = isOwner ? 'flex' : 'none';
+
+        await this.loadWorldMembers();
+        this.showModal('modalShare');
+    },
+
+    /**
+     * Load and render the members of the current world
+     */
+    async loadWorldMembers() {
+        try {
+            const { owner, members } = await API.getWorldMembers(this.currentWorld.id);
+            this.renderMemberList(owner, members);
+        } catch (err) {
+            document.getElementById('share-error').textContent = err.message;
+        }
+    },
+
+    /**
+     * Render the member list in the share modal
+     */
+    renderMemberList(owner, members) {
+        const isOwner = this.isOwner();
+        const list = document.getElementById('member-list');
+        list.innerHTML = '';
+
+        document.getElementById('share-owner').textContent =
+            `Owned by ${owner ? (owner.display_name || owner.username) : 'unknown'}`;
+
+        for (const member of members) {
+            const item = document.createElement('li');
+            item.className = 'member-item';
+
+            const name = document.createElement('span');
+            name.className = 'member-name';
+            name.textContent = member.display_name || member.username;
+            item.appendChild(name);
+
+            if (isOwner) {
+                const roleSelect = document.createElement('select');
+                roleSelect.innerHTML = `
+                    <option value="editor">Editor</option>
+                    <option value="viewer">Viewer</option>
+                `;
+                roleSelect.value = member.role;
+                roleSelect.addEventListener('change', () => {
+                    this.shareWorld(member.username, roleSelect.value);
+                });
+                item.appendChild(roleSelect);
+            } else {
+                const role = document.createElement('span');
+                role.className = 'member-role';
+                role.textContent = member.role;
+                item.appendChild(role);
+            }
+
+            if (isOwner || member.user_id === this.currentUser?.id) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'small-btn';
+                removeBtn.textContent = isOwner ? 'Remove' : 'Leave';
+                removeBtn.addEventListener('click', () => this.removeWorldMember(member));
+                item.appendChild(removeBtn);
+            }
+
+            list.appendChild(item);
+        }
+    },
+
+    /**
+     * Share the current world with a user
+     */
+    async shareWorld(username, role) {
+        const errorEl = document.getElementById('share-error');
+        errorEl.textContent = '';
+
+        if (!username) {
+            errorEl.textContent = 'Please enter a username';
+            return;
+        }
+
+        try {
+            await API.shareWorld(this.currentWorld.id, username, role);
+            document.getElementById('share-username').value = '';
+            await this.loadWorldMembers();
+            this.showNotification(`Shared with ${username} as ${role}`);
+        } catch (err) {
+            if (this.showFieldErrors({ username: 'share-username', role: 'share-role' }, err)) return;
+            errorEl.textContent = err.message;
+        }
+    },
+
+    /**
+     * Remove a member from the current world (or leave it)
+     */
+    async removeWorldMember(member) {
+        const leaving = member.user_id === this.currentUser?.id;
+        const prompt = leaving
+            ? `Leave "${this.currentWorld.name}"? You will lose access to it.`
+            : `Remove ${member.display_name || member.username} from "${this.currentWorld.name}"?`;
+
+        if (!confirm(prompt)) return;
+
+        try {
+            await API.removeWorldMember(this.currentWorld.id, member.user_id);
+
+            if (leaving) {
+                this.hideModal('modalShare');
+                this.currentWorld = null;
+                this.currentMap = null;
+                this.updateMapSelector([]);
+                this.applyWorldPermissions();
+                MapModule.clearMap();
+                MarkersModule.clearAll();
+                await this.loadWorlds();
+                this.showNotification('You left the world');
+            } else {
+                await this.loadWorldMembers();
+                this.showNotification('Member removed');
+            }
+        } catch (err) {
+            document.getElementById('share-error').textContent = err.message;
+        }
+    },
+
+    /**
+     * Setup toolbar event listeners
+     */
+    setupToolbar() {
         // Tool buttons
         this.elements.btnSelect.addEventListener('click', () => this.setTool('select'));
         this.elements.btnStamp.addEventListener('click', () => this.setTool('stamp'));
         this.elements.btnMeasure.addEventListener('click', () => this.setTool('measure'));
         this.elements.btnRoute.addEventListener('click', () => this.setTool('route'));
 
-        // Action buttons
-        this.elements.btnUploadMap.addEventListener('click', () => {
-            if (!this.currentMap) {
-                this.showNotification('Please select or create a map first', 'error');
-                return;
-            }
-            this.elements.fileMapUpload.click();
-        });
+        // Action buttons
+        this.elements.btnUploadMap.addEventListener('click', () => {
+            if (!this.currentMap) {
+                this.showNotification('Please select or create a map first', 'error');
+                return;
+            }
+            this.elements.fileMapUpload.click();
+        });
+
+        this.elements.btnSave.addEventListener('click', () => this.saveCurrentMap());
+        this.elements.btnLoad.addEventListener('click', () => {
+            this.elements.fileLoadProject.click();
+        });
+        this.elements.btnExport.addEventListener('click', () => this.showExportModal());
+    },
+
+    /**
+     * Setup undo/redo buttons and keyboard shortcuts
+     */
+    setupUndo() {
+        this.elements.btnUndo.addEventListener('click', () => this.undo());
+        this.elements.btnRedo.addEventListener('click', () => this.redo());
+
+        UndoManager.onChange = () => this.updateUndoButtons();
+        UndoManager.onError = (err, command, direction) => {
+            // Conflicts with someone else's changes have been shown already
+            if (err.conflictShown) return;
+            this.showNotification(`Could not ${direction} ${command.label}: ${err.message}`, 'error');
+        };
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            // Text fields keep their own undo
+            const target = e.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    },
+
+    /**
+     * Enable the undo/redo buttons when there is something to replay
+     */
+    updateUndoButtons() {
+        const canEdit = !!this.currentWorld && this.canEdit();
+        const nextUndo = UndoManager.peekUndo();
+        const nextRedo = UndoManager.peekRedo();
+
+        this.elements.btnUndo.disabled = !canEdit || !UndoManager.canUndo();
+        this.elements.btnRedo.disabled = !canEdit || !UndoManager.canRedo();
+        this.elements.btnUndo.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        this.elements.btnRedo.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    },
+
+    /**
+     * Undo the last map edit
+     */
+    async undo() {
+        if (!this.canEdit()) return;
+        const command = await UndoManager.undo();
+        if (command) {
+            this.showNotification(`Undid ${command.label}`);
+        }
+    },
+
+    /**
+     * Redo the last undone map edit
+     */
+    async redo() {
+        if (!this.canEdit()) return;
+        const command = await UndoManager.redo();
+        if (command) {
+            this.showNotification(`Redid ${command.label}`);
+        }
+    },
+
+    /**
+     * Setup the search box in the selector bar
+     */
+    setupSearch() {
+        const input = document.getElementById('search-input');
+        const results = document.getElementById('search-results');
+        let timer = null;
+
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => this.search(input.value), 250);
+        });
+
+        input.addEventListener('focus', () => {
+            if (results.childElementCount > 0) results.style.display = 'block';
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                results.style.display = 'none';
+                input.blur();
+            } else if (e.key === 'Enter') {
+                results.querySelector('.search-result')?.click();
+            }
+        });
+
+        // Close the results when clicking anywhere else
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-group')) {
+                results.style.display = 'none';
+            }
+        });
+    },
+
+    /**
+     * Search every world the user can see and show the hits
+     */
+    async search(query) {
+        const results = document.getElementById('search-results');
+        query = query.trim();
+        this.searchQuery = query;
+
+        if (!query) {
+            results.innerHTML = '';
+            results.style.display = 'none';
+            return;
+        }
+
+        try {
+            const hits = await API.search(query);
+            // A newer search may have started while this one was running
+            if (query !== this.searchQuery) return;
+            this.renderSearchResults(hits);
+        } catch (err) {
+            console.error('Search failed:', err);
+        }
+    },
+
+    /**
+     * Render search hits under the search box
+     */
+    renderSearchResults(hits) {
+        const results = document.getElementById('search-results');
+        results.innerHTML = '';
+
+        if (hits.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-empty';
+            empty.textContent = 'No matches';
+            results.appendChild(empty);
+        }
+
+        const typeIcons = { world: '🌍', map: '🗺️' };
+
+        for (const hit of hits) {
+            const item = document.createElement('button');
+            item.className = 'search-result';
+
+            const icon = document.createElement('span');
+            icon.className = 'search-result-icon';
+            icon.textContent = hit.type === 'location'
+                ? (StampManager.getStamp(hit.location.stamp_id)?.icon || '📍')
+                : typeIcons[hit.type];
+
+            const body = document.createElement('span');
+            body.className = 'search-result-body';
+
+            const name = document.createElement('span');
+            name.className = 'search-result-name';
+            name.textContent = hit.name;
+
+            const context = document.createElement('span');
+            context.className = 'search-result-context';
+            context.textContent = hit.type === 'world'
+                ? 'World'
+                : [hit.world.name, hit.type === 'location' ? hit.map.name : null].filter(Boolean).join(' › ');
+
+            body.append(name, context);
+
+            // Snippets come back HTML-escaped with matches wrapped in <mark>
+            if (hit.snippet && hit.snippet.replace(/<\/?mark>/g, '') !== hit.name) {
+                const snippet = document.createElement('span');
+                snippet.className = 'search-result-snippet';
+                snippet.innerHTML = hit.snippet;
+                body.appendChild(snippet);
+            }
+
+            item.append(icon, body);
+            item.addEventListener('click', () => this.openSearchHit(hit));
+            results.appendChild(item);
+        }
+
+        results.style.display = 'block';
+    },
+
+    /**
+     * Open the world and map a search hit is in, and select it if it's a location
+     */
+    async openSearchHit(hit) {
+        document.getElementById('search-results').style.display = 'none';
+
+        if (this.currentWorld?.id !== hit.world.id) {
+            this.elements.worldSelect.value = hit.world.id;
+            await this.selectWorld(hit.world.id);
+        }
+
+        if (hit.map && this.currentMap?.id !== hit.map.id) {
+            this.elements.mapSelect.value = hit.map.id;
+            await this.selectMap(hit.map.id);
+        }
 
-        this.elements.btnSave.addEventListener('click', () => this.saveCurrentMap());
-        this.elements.btnLoad.addEventListener('click', () => {
-            this.elements.fileLoadProject.click();
-        });
-        this.elements.btnExport.addEventListener('click', () => this.exportWorld());
+        if (hit.type === 'location') {
+            this.focusLocation(MarkersModule.getLocation(hit.id) || await API.getLocation(hit.id));
+        }
+    },
+
+    /**
+     * Select a location on the current map and pan to it
+     * @param {Object} location - Location, which may be outside the part of the map that is loaded
+     */
+    focusLocation(location) {
+        if (!MarkersModule.getLocation(location.id)) {
+            MarkersModule.addLocationFromAPI(location);
+        }
+        MarkersModule.selectLocation(location.id);
+        MarkersModule.panToLocation(location.id);
     },
 
     /**
@@ -584,6 +1928,10 @@ const App = {
      * Setup modal event listeners
      */
     setupModals() {
+        // Editing a field clears the error shown next to it
+        document.addEventListener('input', (e) => this.clearFieldError(e.target));
+        document.addEventListener('change', (e) => this.clearFieldError(e.target));
+
         // Auth modal
         document.getElementById('btn-auth-submit').addEventListener('click', () => {
             this.handleAuthSubmit();
@@ -614,6 +1962,19 @@ const App = {
             this.deleteCurrentLocation();
         });
 
+        // Edit conflict modal (closing it goes back to the location modal)
+        document.getElementById('btn-conflict-modal-close').addEventListener('click', () => {
+            this.hideModal('modalConflict');
+        });
+
+        document.getElementById('btn-conflict-save').addEventListener('click', () => {
+            this.saveEditConflict();
+        });
+
+        document.getElementById('btn-conflict-theirs').addEventListener('click', () => {
+            this.discardEditConflict();
+        });
+
         // Custom stamp modal
         document.getElementById('btn-stamp-modal-close').addEventListener('click', () => {
             this.hideModal('modalCustomStamp');
@@ -650,6 +2011,48 @@ const App = {
             this.deleteWorld();
         });
 
+        // Export modal
+        document.getElementById('btn-export-modal-close').addEventListener('click', () => {
+            this.hideModal('modalExport');
+        });
+
+        document.getElementById('btn-export-download').addEventListener('click', () => {
+            this.downloadExport();
+        });
+
+        // Poster modal
+        document.getElementById('btn-poster-modal-close').addEventListener('click', () => {
+            this.hideModal('modalPoster');
+        });
+
+        document.getElementById('btn-poster-download').addEventListener('click', () => {
+            this.downloadPoster();
+        });
+
+        for (const id of ['poster-format', 'poster-resolution', 'poster-paper', 'poster-orientation', 'poster-pages-across']) {
+            document.getElementById(id).addEventListener('change', () => this.updatePosterSummary());
+        }
+
+        // CSV import modal
+        document.getElementById('btn-csv-import-modal-close').addEventListener('click', () => {
+            this.csvImport = null;
+            this.hideModal('modalCsvImport');
+        });
+
+        document.getElementById('btn-csv-import').addEventListener('click', () => {
+            this.commitCSVImport();
+        });
+
+        // Import modal
+        document.getElementById('btn-import-modal-close').addEventListener('click', () => {
+            this.pendingImport = null;
+            this.hideModal('modalImport');
+        });
+
+        document.getElementById('btn-import').addEventListener('click', () => {
+            this.importPendingWorld();
+        });
+
         // Map modal
         document.getElementById('btn-map-modal-close').addEventListener('click', () => {
             this.elements.modalMap.style.display = 'none';
@@ -667,6 +2070,18 @@ const App = {
             this.elements.fileMapImage.click();
         });
 
+        // Share modal
+        document.getElementById('btn-share-modal-close').addEventListener('click', () => {
+            this.hideModal('modalShare');
+        });
+
+        document.getElementById('btn-share-submit').addEventListener('click', () => {
+            this.shareWorld(
+                document.getElementById('share-username').value.trim(),
+                document.getElementById('share-role').value
+            );
+        });
+
         // Close modals on backdrop click
         document.querySelectorAll('.modal').forEach(modal => {
             modal.addEventListener('click', (e) => {
@@ -707,17 +2122,19 @@ const App = {
             if (!file) return;
 
             try {
-                const imageData = await this.readFileAsDataURL(file);
-                const dimensions = await this.getImageDimensions(imageData);
-
-                // Update current map with new image
-                await API.updateMap(this.currentMap.id, {
-                    image_data: imageData,
-                    width: dimensions.width,
-                    height: dimensions.height
-                });
-
-                MapModule.loadMapImage(imageData, dimensions.width, dimensions.height);
+                const dimensions = await this.getImageDimensions(file);
+
+                // Upload the new image for the current map
+                const map = await API.uploadMapImage(
+                    this.currentMap.id,
+                    file,
+                    dimensions.width,
+                    dimensions.height,
+                    this.currentMap
+                );
+                this.currentMap = map;
+
+                MapModule.loadMapImage(map.image_url, map.width, map.height, map.tiles);
                 this.showNotification('Map image updated');
             } catch (err) {
                 this.showNotification(err.message, 'error');
@@ -732,11 +2149,10 @@ const App = {
             if (!file) return;
 
             try {
-                const imageData = await this.readFileAsDataURL(file);
-                const dimensions = await this.getImageDimensions(imageData);
+                const dimensions = await this.getImageDimensions(file);
 
                 this.pendingMapImage = {
-                    data: imageData,
+                    file,
                     width: dimensions.width,
                     height: dimensions.height
                 };
@@ -757,10 +2173,11 @@ const App = {
 
             try {
                 const text = await file.text();
-                const data = JSON.parse(text);
-                await API.importWorld(data);
-                await this.loadWorlds();
-                this.showNotification('World imported successfully');
+                if (file.name.toLowerCase().endsWith('.csv')) {
+                    this.showCSVImport(text);
+                } else {
+                    this.showImportModal(JSON.parse(text));
+                }
             } catch (err) {
                 this.showNotification('Failed to import: ' + err.message, 'error');
             }
@@ -770,26 +2187,361 @@ const App = {
     },
 
     /**
-     * Read file as data URL
+     * Ask whether an export read from a file becomes a new world or joins the open one
+     * (GeoJSON always goes onto the open map)
+     * @param {Object} data - World export, GeoJSON, or a project from the browser-only version
+     * @param {Object} options
+     * @param {boolean} options.fromBrowser - The project was read from this browser's storage
      */
-    readFileAsDataURL(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsDataURL(file);
-        });
+    showImportModal(data, { fromBrowser = false } = {}) {
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const geojson = data.type === 'FeatureCollection';
+        const legacy = StorageModule.isLegacyProject(data);
+        let summary;
+
+        if (geojson) {
+            // Features go onto the open map; only points become locations
+            if (!this.currentMap || !this.canEdit()) {
+                this.showNotification('Open a map you can edit to import GeoJSON into it', 'error');
+                return;
+            }
+            const features = Array.isArray(data.features) ? data.features : [];
+            const points = features.filter(feature => feature?.geometry?.type === 'Point').length;
+            summary = `${plural(points, 'point')} to add to "${this.currentMap.name}" as locations.`;
+            if (points < features.length) {
+                summary += ` ${plural(features.length - points, 'other feature')} will be skipped.`;
+            }
+        } else if (legacy) {
+            // One map, with custom stamps kept among the built-in ones
+            const locations = Array.isArray(data.locations) ? data.locations.length : 0;
+            const stamps = Object.values(data.stamps || {})
+                .reduce((count, category) => count + (category.stamps || []).filter(s => s.custom).length, 0);
+            summary = `A map from an earlier version with ${plural(locations, 'location')} and ` +
+                `${plural(stamps, 'custom stamp')}. It becomes a new world.`;
+            if (fromBrowser) {
+                summary = 'This browser still has a map you made before worlds were saved on the server. ' + summary;
+            }
+        } else {
+            const maps = Array.isArray(data.maps) ? data.maps : [];
+            const locations = maps.reduce((count, map) => count + (Array.isArray(map.locations) ? map.locations.length : 0), 0);
+            const stamps = Array.isArray(data.customStamps) ? data.customStamps.length : 0;
+            summary = `"${data.world?.name || 'Untitled world'}": ${plural(maps.length, 'map')}, ` +
+                `${plural(locations, 'location')} and ${plural(stamps, 'custom stamp')}.`;
+        }
+        document.getElementById('import-summary').textContent = summary;
+        document.getElementById('import-targets').style.display = geojson ? 'none' : '';
+
+        // Merging adds maps and stamps, so it needs editor access to the open world
+        const canMerge = !legacy && !!this.currentWorld && this.canEdit();
+        const mergeOption = document.getElementById('import-target-merge');
+        mergeOption.disabled = !canMerge;
+        document.getElementById('import-merge-label').textContent = canMerge
+            ? `Add its maps to "${this.currentWorld.name}"`
+            : legacy
+                ? 'Add its map to the open world (not available for earlier versions)'
+                : 'Add its maps to the open world (open a world you can edit first)';
+        document.getElementById('import-target-new').checked = true;
+        document.getElementById('import-error').textContent = '';
+
+        this.pendingImport = { data, fromBrowser, geojson };
+        this.showModal('modalImport');
+    },
+
+    /**
+     * Offer to import the project the browser-only version left in this browser,
+     * once per browser session until it has been imported
+     */
+    offerLegacyImport() {
+        StorageModule.clearStrayMapImage();
+        if (sessionStorage.getItem('fantasymap_legacy_offered')) return;
+
+        const project = StorageModule.readLegacyProject();
+        if (!project) return;
+
+        sessionStorage.setItem('fantasymap_legacy_offered', '1');
+        this.showImportModal(project, { fromBrowser: true });
+    },
+
+    /**
+     * Import the export chosen in the import modal as a new world or into the open one
+     */
+    async importPendingWorld() {
+        if (!this.pendingImport) return;
+        const { data, fromBrowser, geojson } = this.pendingImport;
+
+        const merge = document.getElementById('import-target-merge').checked;
+        const errorEl = document.getElementById('import-error');
+        errorEl.textContent = '';
+
+        if (geojson) {
+            await this.importGeoJSON(data);
+            return;
+        }
+
+        try {
+            let result;
+            if (merge) {
+                result = await API.importIntoWorld(this.currentWorld.id, data);
+
+                // This tab's own changes don't come back as live updates
+                const [maps, customStamps] = await Promise.all([
+                    API.getMaps(this.currentWorld.id),
+                    API.getCustomStamps(this.currentWorld.id)
+                ]);
+                this.updateMapSelector(maps);
+                this.elements.mapSelect.value = this.currentMap?.id || '';
+                StampManager.loadCustomStamps(customStamps);
+                this.renderStampPalette();
+            } else {
+                result = await API.importWorld(data);
+            }
+
+            // The server has it now, so stop offering it
+            if (fromBrowser) {
+                StorageModule.clearLegacyProject();
+            }
+
+            await this.loadWorlds();
+            this.elements.worldSelect.value = this.currentWorld?.id || '';
+
+            this.pendingImport = null;
+            this.hideModal('modalImport');
+
+            const { maps, locations } = result.imported;
+            this.showNotification(merge
+                ? `Added ${maps} map${maps === 1 ? '' : 's'} and ${locations} location${locations === 1 ? '' : 's'}`
+                : `Imported "${result.world.name}"`);
+        } catch (err) {
+            errorEl.textContent = err.message;
+        }
+    },
+
+    /**
+     * Add the points of a GeoJSON file to the open map as locations
+     */
+    async importGeoJSON(data) {
+        const errorEl = document.getElementById('import-error');
+        const map = this.currentMap;
+
+        try {
+            const result = await API.importMapGeoJSON(map.id, data);
+            this.pendingImport = null;
+            this.hideModal('modalImport');
+
+            // This tab's own changes don't come back as live updates
+            MarkersModule.clearAll();
+            await this.loadVisibleLocations();
+            this.updateMapSelector(await API.getMaps(map.world_id));
+            this.elements.mapSelect.value = map.id;
+
+            const { locations, unknown_stamps } = result.imported;
+            let message = `Added ${locations} location${locations === 1 ? '' : 's'} to "${map.name}"`;
+            if (unknown_stamps > 0) {
+                message += ` (${unknown_stamps} with unknown stamps shown as pins)`;
+            }
+            this.showNotification(message);
+        } catch (err) {
+            errorEl.textContent = err.message;
+        }
+    },
+
+    /**
+     * Start the CSV import wizard for the open map
+     * @param {string} text - CSV file contents, with a header row
+     */
+    showCSVImport(text) {
+        if (!this.currentMap || !this.canEdit()) {
+            this.showNotification('Open a map you can edit to import CSV into it', 'error');
+            return;
+        }
+
+        const [headers, ...rows] = CSVModule.parse(text);
+        if (!headers || rows.length === 0) {
+            this.showNotification('The CSV file has no rows to import', 'error');
+            return;
+        }
+
+        this.csvImport = { headers, rows, mapping: CSVModule.guessMapping(headers), entries: [] };
+
+        document.getElementById('csv-import-description').textContent =
+            `Choose the column that holds each field, then check the preview. ` +
+            `Locations are added to "${this.currentMap.name}" at X and Y, in map pixels.`;
+        document.getElementById('csv-import-error').textContent = '';
+
+        this.renderCSVMapping();
+        this.renderCSVPreview();
+        this.showModal('modalCsvImport');
+    },
+
+    /**
+     * Show a column picker for each location field
+     */
+    renderCSVMapping() {
+        const { headers, mapping } = this.csvImport;
+        const container = document.getElementById('csv-mapping');
+        container.innerHTML = '';
+
+        for (const field of CSVModule.fields) {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.htmlFor = `csv-column-${field.key}`;
+            label.textContent = field.label;
+
+            const select = document.createElement('select');
+            select.id = `csv-column-${field.key}`;
+            select.appendChild(new Option('(none)', '-1'));
+            headers.forEach((header, index) => {
+                select.appendChild(new Option(header.trim() || `Column ${index + 1}`, String(index)));
+            });
+            select.value = String(mapping[field.key]);
+            select.addEventListener('change', () => {
+                mapping[field.key] = Number(select.value);
+                this.renderCSVPreview();
+            });
+
+            group.append(label, select);
+            container.appendChild(group);
+        }
+    },
+
+    /**
+     * Show the rows as they will be imported with the current column choices
+     */
+    renderCSVPreview() {
+        const { rows, mapping } = this.csvImport;
+        const entries = CSVModule.toLocations(rows, mapping);
+        this.csvImport.entries = entries;
+
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const valid = entries.filter(entry => !entry.error);
+        const skipped = entries.length - valid.length;
+        const unknown = valid.filter(entry => entry.unknownStamp).length;
+
+        const head = document.getElementById('csv-preview-head');
+        head.innerHTML = '';
+        const headRow = document.createElement('tr');
+        for (const title of ['Row', ...CSVModule.fields.map(field => field.label)]) {
+            const th = document.createElement('th');
+            th.textContent = title;
+            headRow.appendChild(th);
+        }
+        head.appendChild(headRow);
+
+        const body = document.getElementById('csv-preview-rows');
+        body.innerHTML = '';
+        for (const entry of entries.slice(0, CSVModule.previewRows)) {
+            const tr = document.createElement('tr');
+            if (entry.error) {
+                tr.className = 'csv-row-invalid';
+                tr.title = entry.error;
+            }
+
+            const { name, description, wiki_link, notes, x, y } = entry.data;
+            const cells = [entry.row, name, description, wiki_link, notes, null, x, y];
+            cells.forEach((value, index) => {
+                const td = document.createElement('td');
+                if (index === 5) {
+                    // Stamp
+                    if (entry.stamp) {
+                        td.textContent = `${entry.stamp.icon} ${entry.stamp.name}`;
+                    } else {
+                        td.textContent = entry.unknownStamp ? `📍 Pin ("${entry.unknownStamp}" not found)` : '📍 Pin';
+                        if (entry.unknownStamp) td.className = 'csv-unknown-stamp';
+                    }
+                } else if (typeof value === 'number') {
+                    td.textContent = Number.isFinite(value) ? String(value) : '—';
+                } else {
+                    td.textContent = value || '';
+                    td.title = value || '';
+                }
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        }
+
+        let summary = `${plural(valid.length, 'row')} of ${entries.length} will be added.`;
+        if (skipped > 0) {
+            summary += ` ${plural(skipped, 'row')} without numbers for X and Y will be skipped (shown in red).`;
+        }
+        if (unknown > 0) {
+            summary += ` ${plural(unknown, 'row')} with a stamp this world doesn't have will use a pin.`;
+        }
+        if (entries.length > CSVModule.previewRows) {
+            summary += ` Showing the first ${CSVModule.previewRows}.`;
+        }
+        document.getElementById('csv-summary').textContent = summary;
+
+        const tooMany = valid.length > CSVModule.maxRows;
+        document.getElementById('csv-import-error').textContent = tooMany
+            ? `At most ${CSVModule.maxRows} rows can be imported at once; split the file and import each part.`
+            : '';
+
+        const button = document.getElementById('btn-csv-import');
+        button.textContent = `Import ${plural(valid.length, 'Location')}`;
+        button.disabled = valid.length === 0 || tooMany;
+    },
+
+    /**
+     * Create the previewed locations, all in one transaction
+     */
+    async commitCSVImport() {
+        if (!this.csvImport) return;
+
+        const map = this.currentMap;
+        const entries = this.csvImport.entries.filter(entry => !entry.error);
+        const errorEl = document.getElementById('csv-import-error');
+        errorEl.textContent = '';
+
+        try {
+            await API.batch(entries.map(entry => ({ op: 'create', map_id: map.id, data: entry.data })));
+
+            this.csvImport = null;
+            this.hideModal('modalCsvImport');
+
+            // This tab's own changes don't come back as live updates
+            MarkersModule.clearAll();
+            await this.loadVisibleLocations();
+            this.updateMapSelector(await API.getMaps(map.world_id));
+            this.elements.mapSelect.value = map.id;
+
+            this.showNotification(`Added ${entries.length} location${entries.length === 1 ? '' : 's'} to "${map.name}"`);
+        } catch (err) {
+            // Point a rejected value at the row it came from
+            const [path, message] = Object.entries(err.fields || {})[0] || [];
+            const match = path && path.match(/^operations\[(\d+)\]\.data\.(\w+)$/);
+            if (match) {
+                const key = match[2] === 'stamp_id' ? 'stamp' : match[2];
+                const field = CSVModule.fields.find(f => f.key === key);
+                errorEl.textContent = `Row ${entries[Number(match[1])].row}, ${field ? field.label : key}: ${message}`;
+            } else {
+                errorEl.textContent = err.message;
+            }
+        }
     },
 
     /**
-     * Get image dimensions from data URL
+     * Get image dimensions from an image file
      */
-    getImageDimensions(dataUrl) {
+    getImageDimensions(file) {
         return new Promise((resolve, reject) => {
+            if (!file.type.startsWith('image/')) {
+                reject(new Error('Please choose an image file'));
+                return;
+            }
+
+            const url = URL.createObjectURL(file);
             const img = new Image();
-            img.onload = () => resolve({ width: img.width, height: img.height });
-            img.onerror = () => reject(new Error('Failed to load image'));
-            img.src = dataUrl;
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve({ width: img.naturalWidth, height: img.naturalHeight });
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to load image'));
+            };
+            img.src = url;
         });
     },
 
@@ -821,6 +2573,7 @@ const App = {
             this.elements.modalWorld.style.display = 'none';
             await this.loadWorlds();
         } catch (err) {
+            if (this.showFieldErrors({ name: 'world-name', description: 'world-description' }, err)) return;
             this.showNotification('Failed to save world: ' + err.message, 'error');
         }
     },
@@ -831,7 +2584,7 @@ const App = {
     async deleteWorld() {
         if (!this.editingWorld) return;
 
-        if (!confirm(`Delete "${this.editingWorld.name}" and all its maps? This cannot be undone.`)) {
+        if (!confirm(`Move "${this.editingWorld.name}" and all its maps to the trash?`)) {
             return;
         }
 
@@ -840,11 +2593,13 @@ const App = {
             this.elements.modalWorld.style.display = 'none';
             this.currentWorld = null;
             this.currentMap = null;
+            LiveModule.disconnect();
             await this.loadWorlds();
             this.updateMapSelector([]);
+            this.applyWorldPermissions();
             MapModule.clearMap();
             MarkersModule.clearAll();
-            this.showNotification('World deleted');
+            this.showNotification('World moved to the trash');
         } catch (err) {
             this.showNotification('Failed to delete world: ' + err.message, 'error');
         }
@@ -864,13 +2619,10 @@ const App = {
         try {
             if (this.editingMap) {
                 // Update existing map
-                const updateData = { name };
+                await API.updateMap(this.editingMap.id, { name });
                 if (this.pendingMapImage) {
-                    updateData.image_data = this.pendingMapImage.data;
-                    updateData.width = this.pendingMapImage.width;
-                    updateData.height = this.pendingMapImage.height;
+                    await this.uploadPendingMapImage(this.editingMap.id);
                 }
-                await API.updateMap(this.editingMap.id, updateData);
                 this.showNotification('Map updated');
 
                 // Reload if this is the current map
@@ -879,13 +2631,10 @@ const App = {
                 }
             } else {
                 // Create new map
-                const mapData = { name };
+                const map = await API.createMap(this.currentWorld.id, { name });
                 if (this.pendingMapImage) {
-                    mapData.image_data = this.pendingMapImage.data;
-                    mapData.width = this.pendingMapImage.width;
-                    mapData.height = this.pendingMapImage.height;
+                    await this.uploadPendingMapImage(map.id);
                 }
-                const map = await API.createMap(this.currentWorld.id, mapData);
                 this.showNotification('Map created');
 
                 // Reload maps and select the new one
@@ -897,17 +2646,28 @@ const App = {
 
             this.elements.modalMap.style.display = 'none';
         } catch (err) {
+            const inputs = { name: 'map-name', image: 'btn-map-image-upload', width: 'btn-map-image-upload', height: 'btn-map-image-upload' };
+            if (this.showFieldErrors(inputs, err)) return;
             this.showNotification('Failed to save map: ' + err.message, 'error');
         }
     },
 
+    /**
+     * Upload the image chosen in the map modal
+     */
+    async uploadPendingMapImage(mapId) {
+        const { file, width, height } = this.pendingMapImage;
+        await API.uploadMapImage(mapId, file, width, height);
+        this.pendingMapImage = null;
+    },
+
     /**
      * Delete map
      */
     async deleteMap() {
         if (!this.editingMap) return;
 
-        if (!confirm(`Delete "${this.editingMap.name}" and all its locations? This cannot be undone.`)) {
+        if (!confirm(`Move "${this.editingMap.name}" and all its locations to the trash?`)) {
             return;
         }
 
@@ -919,12 +2679,13 @@ const App = {
                 this.currentMap = null;
                 MapModule.clearMap();
                 MarkersModule.clearAll();
+                LiveModule.connect(this.currentWorld.id);
             }
 
             // Reload maps
             const maps = await API.getMaps(this.currentWorld.id);
             this.updateMapSelector(maps);
-            this.showNotification('Map deleted');
+            this.showNotification('Map moved to the trash');
         } catch (err) {
             this.showNotification('Failed to delete map: ' + err.message, 'error');
         }
@@ -934,6 +2695,11 @@ const App = {
      * Set the current tool
      */
     setTool(tool) {
+        if (tool === 'stamp' && this.currentWorld && !this.canEdit()) {
+            this.showNotification('You have read-only access to this world', 'error');
+            return;
+        }
+
         document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
 
         MapModule.stopMeasuring();
@@ -994,7 +2760,7 @@ const App = {
      * Place a stamp on the map
      */
     async placeStamp(x, y) {
-        if (!this.selectedStamp || !this.currentMap) return;
+        if (!this.selectedStamp || !this.currentMap || !this.canEdit()) return;
 
         try {
             const location = await API.createLocation(this.currentMap.id, {
@@ -1005,6 +2771,12 @@ const App = {
             });
 
             MarkersModule.addLocationFromAPI(location);
+            this.savedLocations[location.id] = location;
+            UndoManager.push({
+                label: `place "${location.name}"`,
+                undo: () => this.deleteLocationById(location.id),
+                redo: () => this.restoreDeletedLocation(location.id)
+            });
             this.editLocation(location);
         } catch (err) {
             this.showNotification('Failed to create location: ' + err.message, 'error');
@@ -1026,34 +2798,322 @@ const App = {
                 </div>
         `;
 
-        if (location.description) {
-            html += `<p class="location-card-description">${location.description}</p>`;
-        }
+        if (location.description) {
+            html += `<p class="location-card-description">${location.description}</p>`;
+        }
+
+        if (location.wiki_link || location.wikiLink) {
+            const wikiLink = location.wiki_link || location.wikiLink;
+            html += `
+                <a href="${wikiLink}" target="_blank" class="location-card-wiki">
+                    <span class="wiki-icon">📖</span>
+                    <span>Open Wiki Page</span>
+                </a>
+            `;
+        }
+
+        if (location.notes) {
+            html += `<div class="location-card-notes">${location.notes}</div>`;
+        }
+
+        const editButton = this.canEdit()
+            ? `<button class="small-btn" onclick="App.editLocation(MarkersModule.getLocation('${location.id}'))">Edit</button>`
+            : '';
+
+        html += `
+                <div class="location-card-actions">
+                    ${editButton}
+                    <button class="small-btn" onclick="App.panToLocation('${location.id}')">Pan To</button>
+                    <button class="small-btn" onclick="App.showLocationHistory('${location.id}')">History</button>
+                </div>
+            </div>
+        `;
+
+        this.elements.locationDetails.innerHTML = html;
+        this.elements.locationDetails.querySelector('.location-card').appendChild(this.createNearbySection(location));
+        this.elements.sidebarRight.classList.add('open');
+    },
+
+    /**
+     * Build the "Nearby" section of a location card, with filters, and start loading it
+     */
+    createNearbySection(location) {
+        const section = document.createElement('div');
+        section.className = 'location-nearby';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Nearby';
+
+        const filters = document.createElement('div');
+        filters.className = 'nearby-filters';
+
+        const stampSelect = document.createElement('select');
+        stampSelect.title = 'Only show this stamp';
+        stampSelect.add(new Option('Any stamp', ''));
+        for (const stamp of StampManager.getFlatStamps()) {
+            stampSelect.add(new Option(`${stamp.icon} ${stamp.name}`, stamp.id));
+        }
+        stampSelect.value = this.nearbyFilter.stamp;
+
+        const radiusInput = document.createElement('input');
+        radiusInput.type = 'number';
+        radiusInput.min = '0';
+        radiusInput.step = 'any';
+        radiusInput.placeholder = `Within ${TravelCalculator.scale.unit}`;
+        radiusInput.title = `Only show locations within this many ${TravelCalculator.scale.unit}`;
+        radiusInput.value = this.nearbyFilter.radius;
+
+        const list = document.createElement('ul');
+        list.className = 'nearby-list';
+
+        const reload = () => {
+            this.nearbyFilter = { stamp: stampSelect.value, radius: radiusInput.value };
+            this.loadNearbyLocations(location, list);
+        };
+        stampSelect.addEventListener('change', reload);
+        radiusInput.addEventListener('change', reload);
+
+        filters.append(stampSelect, radiusInput);
+        section.append(title, filters, list);
+
+        this.loadNearbyLocations(location, list);
+        return section;
+    },
+
+    /**
+     * Load and list the locations closest to a location, with travel times
+     */
+    async loadNearbyLocations(location, list) {
+        list.innerHTML = '';
+        const status = document.createElement('li');
+        status.className = 'placeholder-text';
+        status.textContent = 'Loading...';
+        list.appendChild(status);
+
+        const radius = parseFloat(this.nearbyFilter.radius);
+        let result;
+        try {
+            result = await API.getNearbyLocations(this.currentMap.id, {
+                location: location.id,
+                stamp: this.nearbyFilter.stamp,
+                radius: radius > 0 ? radius : null,
+                limit: this.nearbyLimit
+            });
+        } catch (err) {
+            status.textContent = `Could not load nearby locations: ${err.message}`;
+            return;
+        }
+
+        // Another location may have been selected while this was loading
+        if (!list.isConnected) return;
+
+        list.innerHTML = '';
+        if (result.locations.length === 0) {
+            status.textContent = radius > 0 ? `Nothing within ${radius} ${result.unit}` : 'No other locations';
+            list.appendChild(status);
+            return;
+        }
+
+        const toMiles = TravelCalculator.unitConversions[result.unit] || 1;
+        const modes = [['walking', '🚶'], ['horse', '🐎'], ['wagon', '🛒']];
+
+        for (const nearby of result.locations) {
+            const item = document.createElement('li');
+            item.className = 'nearby-item';
+            item.title = 'Show on map';
+
+            const stamp = StampManager.getStamp(nearby.stamp_id);
+            const name = document.createElement('div');
+            name.className = 'nearby-name';
+            name.textContent = `${stamp ? stamp.icon : '📍'} ${nearby.name}`;
+
+            const distance = document.createElement('span');
+            distance.className = 'nearby-distance';
+            distance.textContent = `${Math.round(nearby.distance * 10) / 10} ${result.unit}`;
+            name.appendChild(distance);
+
+            const times = document.createElement('div');
+            times.className = 'nearby-times';
+            times.textContent = modes
+                .map(([mode, icon]) => `${icon} ${TravelCalculator.calculateTravelTime(nearby.distance * toMiles, mode).formatted}`)
+                .join('  ');
+
+            item.append(name, times);
+            item.addEventListener('click', () => this.focusLocation(nearby));
+            list.appendChild(item);
+        }
+    },
+
+    /**
+     * Show a location's revision history in the right sidebar
+     */
+    async showLocationHistory(locationId) {
+        const location = MarkersModule.getLocation(locationId);
+        if (!location) return;
+
+        let revisions;
+        try {
+            revisions = await API.getHistory('location', locationId);
+        } catch (err) {
+            this.showNotification(err.message, 'error');
+            return;
+        }
+
+        const card = document.createElement('div');
+        card.className = 'location-card history-view';
+
+        const header = document.createElement('div');
+        header.className = 'location-card-header';
+        const title = document.createElement('span');
+        title.className = 'location-card-title';
+        title.textContent = `History: ${location.name || 'Unnamed Location'}`;
+        header.appendChild(title);
+        card.appendChild(header);
+
+        const list = document.createElement('ul');
+        list.className = 'revision-list';
+
+        const actionLabels = { create: 'Created', update: 'Edited', delete: 'Deleted', restore: 'Restored' };
+
+        revisions.forEach((revision, index) => {
+            const item = document.createElement('li');
+            item.className = 'revision-item';
+
+            const meta = document.createElement('div');
+            meta.className = 'revision-meta';
+            const action = document.createElement('strong');
+            action.textContent = actionLabels[revision.action] || revision.action;
+            const author = document.createElement('span');
+            author.textContent = revision.display_name || revision.username || 'Deleted user';
+            const date = document.createElement('span');
+            date.className = 'revision-date';
+            date.textContent = new Date(revision.created_at).toLocaleString();
+            meta.append(action, author, date);
+            item.appendChild(meta);
+
+            const changes = document.createElement('ul');
+            changes.className = 'revision-changes';
+            changes.style.display = 'none';
+
+            const actions = document.createElement('div');
+            actions.className = 'revision-actions';
+
+            const changesBtn = document.createElement('button');
+            changesBtn.className = 'small-btn';
+            changesBtn.textContent = 'Changes';
+            changesBtn.addEventListener('click', () => this.toggleRevisionChanges(revision, changes));
+            actions.appendChild(changesBtn);
+
+            // The newest revision is the current state, so there is nothing to restore
+            if (this.canEdit() && index > 0) {
+                const restoreBtn = document.createElement('button');
+                restoreBtn.className = 'small-btn';
+                restoreBtn.textContent = 'Restore';
+                restoreBtn.addEventListener('click', () => this.restoreLocationRevision(revision));
+                actions.appendChild(restoreBtn);
+            }
+
+            item.append(actions, changes);
+            list.appendChild(item);
+        });
+
+        card.appendChild(list);
+
+        const footer = document.createElement('div');
+        footer.className = 'location-card-actions';
+        const backBtn = document.createElement('button');
+        backBtn.className = 'small-btn';
+        backBtn.textContent = 'Back';
+        backBtn.addEventListener('click', () => this.showLocationDetails(MarkersModule.getLocation(locationId)));
+        footer.appendChild(backBtn);
+        card.appendChild(footer);
+
+        this.elements.locationDetails.innerHTML = '';
+        this.elements.locationDetails.appendChild(card);
+        this.elements.sidebarRight.classList.add('open');
+    },
+
+    /**
+     * Show or hide what changed in a revision compared to the one before it
+     */
+    async toggleRevisionChanges(revision, container) {
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            return;
+        }
+
+        try {
+            const diff = await API.getRevisionDiff(revision.id);
+            const fieldLabels = {
+                name: 'Name',
+                description: 'Description',
+                wiki_link: 'Wiki link',
+                notes: 'Notes',
+                stamp_id: 'Stamp',
+                x: 'X',
+                y: 'Y'
+            };
+            const formatValue = (field, value) => {
+                if (value === null || value === '') return '(empty)';
+                if (field === 'stamp_id') {
+                    const stamp = StampManager.getStamp(value);
+                    return stamp ? `${stamp.icon} ${stamp.name}` : value;
+                }
+                if (field === 'x' || field === 'y') return Math.round(value);
+                return String(value);
+            };
+
+            container.innerHTML = '';
+            const changes = diff.changes.filter(change => fieldLabels[change.field]);
+            for (const change of changes) {
+                const row = document.createElement('li');
+                const label = document.createElement('span');
+                label.className = 'revision-field';
+                label.textContent = fieldLabels[change.field];
+                const before = document.createElement('del');
+                before.textContent = formatValue(change.field, change.from);
+                const after = document.createElement('ins');
+                after.textContent = formatValue(change.field, change.to);
+                // A record's first revision has nothing to compare against
+                if (diff.from) {
+                    row.append(label, before, ' → ', after);
+                } else {
+                    row.append(label, after);
+                }
+                container.appendChild(row);
+            }
 
-        if (location.wiki_link || location.wikiLink) {
-            const wikiLink = location.wiki_link || location.wikiLink;
-            html += `
-                <a href="${wikiLink}" target="_blank" class="location-card-wiki">
-                    <span class="wiki-icon">📖</span>
-                    <span>Open Wiki Page</span>
-                </a>
-            `;
-        }
+            if (changes.length === 0) {
+                const row = document.createElement('li');
+                row.textContent = 'No changes';
+                container.appendChild(row);
+            }
 
-        if (location.notes) {
-            html += `<div class="location-card-notes">${location.notes}</div>`;
+            container.style.display = 'block';
+        } catch (err) {
+            this.showNotification(err.message, 'error');
         }
+    },
 
-        html += `
-                <div class="location-card-actions">
-                    <button class="small-btn" onclick="App.editLocation(MarkersModule.getLocation('${location.id}'))">Edit</button>
-                    <button class="small-btn" onclick="App.panToLocation('${location.id}')">Pan To</button>
-                </div>
-            </div>
-        `;
+    /**
+     * Restore a location to an earlier revision
+     */
+    async restoreLocationRevision(revision) {
+        if (!this.canEdit()) return;
 
-        this.elements.locationDetails.innerHTML = html;
-        this.elements.sidebarRight.classList.add('open');
+        const when = new Date(revision.created_at).toLocaleString();
+        if (!confirm(`Restore this location to how it was on ${when}?`)) return;
+
+        try {
+            const result = await API.restoreRevision(revision.id);
+            const location = MarkersModule.getLocation(result.location.id)
+                ? MarkersModule.updateLocationFromAPI(result.location)
+                : MarkersModule.addLocationFromAPI(result.location);
+            this.showLocationDetails(location);
+            this.showNotification('Location restored');
+        } catch (err) {
+            this.showNotification(err.message, 'error');
+        }
     },
 
     /**
@@ -1068,6 +3128,8 @@ const App = {
      * Edit a location (open modal)
      */
     editLocation(location) {
+        if (!this.canEdit()) return;
+
         document.getElementById('modal-title').textContent = location.name ? 'Edit Location' : 'New Location';
         document.getElementById('location-name').value = location.name || '';
         document.getElementById('location-description').value = location.description || '';
@@ -1093,25 +3155,230 @@ const App = {
     async saveLocationFromModal() {
         if (!this.editingLocation) return;
 
-        try {
-            const data = {
-                name: document.getElementById('location-name').value,
-                description: document.getElementById('location-description').value,
-                wiki_link: document.getElementById('location-wiki').value,
-                notes: document.getElementById('location-notes').value,
-                stamp_id: this.editingLocationStamp
-            };
+        const location = this.editingLocation;
+        const data = {
+            name: document.getElementById('location-name').value,
+            description: document.getElementById('location-description').value,
+            wiki_link: document.getElementById('location-wiki').value,
+            notes: document.getElementById('location-notes').value,
+            stamp_id: this.editingLocationStamp
+        };
 
-            await API.updateLocation(this.editingLocation.id, data);
-            MarkersModule.updateLocationFromAPI({ ...this.editingLocation, ...data });
+        await this.saveLocationEdit(location, data);
+    },
 
-            this.hideModal('modalLocation');
-            this.showNotification('Location saved');
+    /**
+     * Save edits to a location, comparing versions if someone else saved it first
+     * @param {Object} loaded - The location as the edits were based on
+     * @param {Object} data - The edited fields
+     */
+    async saveLocationEdit(loaded, data) {
+        try {
+            await this.commitLocationEdit(loaded, data);
         } catch (err) {
+            if (err.status === 412 && err.current) {
+                this.showEditConflict(loaded, data, err.current);
+                return;
+            }
+            const inputs = {
+                name: 'location-name',
+                description: 'location-description',
+                wiki_link: 'location-wiki',
+                notes: 'location-notes',
+                stamp_id: 'stamp-selector'
+            };
+            if (this.showFieldErrors(inputs, err)) return;
             this.showNotification('Failed to save location: ' + err.message, 'error');
         }
     },
 
+    /**
+     * The fields of a location the location modal edits
+     */
+    getEditableFields(location) {
+        return {
+            name: location.name || '',
+            description: location.description || '',
+            wiki_link: location.wiki_link || location.wikiLink || '',
+            notes: location.notes || '',
+            stamp_id: location.stamp_id || location.stampId
+        };
+    },
+
+    /**
+     * Save edits made to a location, provided nobody has saved it since it was loaded
+     * (throws with status 412 and the current location if they have)
+     * @param {Object} loaded - The location as the edits were based on
+     * @param {Object} data - The edited fields
+     */
+    async commitLocationEdit(loaded, data) {
+        const previous = this.getEditableFields(loaded);
+        // Saving a conflict over a move changes the position too
+        if ('x' in data) {
+            Object.assign(previous, { x: loaded.x, y: loaded.y });
+        }
+
+        const location = await API.updateLocation(loaded.id, data, loaded);
+        MarkersModule.updateLocationFromAPI(location);
+        this.savedLocations[location.id] = location;
+
+        if (Object.keys(data).some(field => data[field] !== previous[field])) {
+            UndoManager.push({
+                label: `edit "${data.name || previous.name}"`,
+                undo: () => this.applyLocationChange(loaded.id, previous),
+                redo: () => this.applyLocationChange(loaded.id, data)
+            });
+        }
+
+        this.hideModal('modalLocation');
+        this.showNotification('Location saved');
+    },
+
+    /**
+     * The values of a location compared in the conflict table: the fields the location
+     * modal edits, and its position as text
+     */
+    getConflictValues(location) {
+        return {
+            ...this.getEditableFields(location),
+            position: `${Math.round(location.x)}, ${Math.round(location.y)}`
+        };
+    },
+
+    /**
+     * Show your edits next to the version someone else saved, field by field
+     * @param {Object} loaded - The location as your edits were based on
+     * @param {Object} mine - Your changed fields: the location modal's, or x and y for a move
+     * @param {Object} theirs - The location as it is now
+     */
+    showEditConflict(loaded, mine, theirs) {
+        const base = this.getConflictValues(loaded);
+        const yours = this.getConflictValues({ ...loaded, ...mine });
+        const current = this.getConflictValues(theirs);
+        const changed = Object.keys(this.locationFieldLabels).filter(field => field in mine);
+        if ('x' in mine) changed.push('position');
+        const fields = changed.filter(field => yours[field] !== current[field]);
+
+        // They only changed things the modal doesn't show (such as the position)
+        if (fields.length === 0) {
+            this.saveLocationEdit(theirs, mine);
+            return;
+        }
+
+        // Keep whichever side changed a field, preferring your edits where both did
+        const choices = {};
+        for (const field of fields) {
+            choices[field] = mine[field] !== base[field] ? 'mine' : 'theirs';
+        }
+
+        this.editConflict = { loaded, mine, theirs, choices };
+        this.renderEditConflict(fields, base, yours, current);
+        this.showModal('modalConflict');
+    },
+
+    /**
+     * Fill the conflict table with one row per field that differs
+     */
+    renderEditConflict(fields, base, yours, current) {
+        const { choices } = this.editConflict;
+        const tbody = document.getElementById('conflict-fields');
+        tbody.innerHTML = '';
+
+        for (const field of fields) {
+            const row = document.createElement('tr');
+
+            const label = document.createElement('td');
+            label.className = 'conflict-field';
+            label.textContent = this.locationFieldLabels[field] || this.positionLabel;
+            row.appendChild(label);
+
+            const cells = {};
+            for (const [side, values, changedBy] of [['mine', yours, 'you'], ['theirs', current, 'them']]) {
+                const cell = document.createElement('td');
+                const choice = document.createElement('label');
+                choice.className = 'conflict-choice';
+
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `conflict-${field}`;
+                radio.checked = choices[field] === side;
+                radio.addEventListener('change', () => {
+                    choices[field] = side;
+                    cells.mine.classList.toggle('chosen', side === 'mine');
+                    cells.theirs.classList.toggle('chosen', side === 'theirs');
+                });
+                choice.appendChild(radio);
+
+                const text = document.createElement('div');
+                const value = this.describeFieldValue(field, values[field]);
+                text.className = value ? 'conflict-value' : 'conflict-value empty';
+                text.textContent = value || '(empty)';
+                if (values[field] !== base[field]) {
+                    const changed = document.createElement('span');
+                    changed.className = 'conflict-changed';
+                    changed.textContent = `Changed by ${changedBy}`;
+                    text.appendChild(changed);
+                }
+                choice.appendChild(text);
+
+                choice.classList.toggle('chosen', radio.checked);
+                cells[side] = choice;
+                cell.appendChild(choice);
+                row.appendChild(cell);
+            }
+
+            tbody.appendChild(row);
+        }
+    },
+
+    /**
+     * Text shown for a location field's value in the conflict table
+     */
+    describeFieldValue(field, value) {
+        if (field === 'stamp_id') {
+            const stamp = StampManager.getStamp(value);
+            return stamp ? `${stamp.icon} ${stamp.name}` : value;
+        }
+        return value;
+    },
+
+    /**
+     * Save the versions chosen in the conflict table over the current location
+     */
+    async saveEditConflict() {
+        if (!this.editConflict) return;
+
+        const { mine, theirs, choices } = this.editConflict;
+        const current = this.getEditableFields(theirs);
+        const merged = { ...mine };
+        for (const [field, side] of Object.entries(choices)) {
+            if (field === 'position') {
+                if (side === 'theirs') Object.assign(merged, { x: theirs.x, y: theirs.y });
+            } else {
+                merged[field] = side === 'mine' ? mine[field] : current[field];
+            }
+        }
+
+        this.hideModal('modalConflict');
+        this.editConflict = null;
+
+        // If it was saved yet again in the meantime, this compares with the newest version
+        await this.saveLocationEdit(theirs, merged);
+    },
+
+    /**
+     * Keep the version someone else saved and drop your edits
+     */
+    discardEditConflict() {
+        if (!this.editConflict) return;
+
+        MarkersModule.updateLocationFromAPI(this.editConflict.theirs);
+        this.editConflict = null;
+        this.hideModal('modalConflict');
+        this.hideModal('modalLocation');
+        this.showNotification('Kept the version saved by someone else');
+    },
+
     /**
      * Delete current location
      */
@@ -1121,16 +3388,119 @@ const App = {
         if (!confirm('Delete this location?')) return;
 
         try {
-            await API.deleteLocation(this.editingLocation.id);
-            MarkersModule.removeLocation(this.editingLocation.id);
+            const location = this.editingLocation;
+            await API.deleteLocation(location.id, location);
+            MarkersModule.removeLocation(location.id);
+            UndoManager.push({
+                label: `delete "${location.name}"`,
+                undo: () => this.restoreDeletedLocation(location.id),
+                redo: () => this.deleteLocationById(location.id)
+            });
             this.hideModal('modalLocation');
             this.hideLocationDetails();
-            this.showNotification('Location deleted');
+            this.showNotification('Location moved to the trash');
         } catch (err) {
+            if (err.status === 412 && err.current) {
+                this.showDeleteConflict(err.current);
+                return;
+            }
             this.showNotification('Failed to delete location: ' + err.message, 'error');
         }
     },
 
+    /**
+     * Show what someone else changed in a location before it can be deleted
+     * @param {Object} current - The location as it is now
+     */
+    showDeleteConflict(current) {
+        this.hideModal('modalLocation');
+        MarkersModule.updateLocationFromAPI(current);
+        this.showNotification('Someone else changed this location since you opened it. Check their changes, then delete it again.', 'error');
+    },
+
+    /**
+     * Save a marker's new position after it was dragged
+     */
+    async moveLocation(location, from, to) {
+        try {
+            await this.applyLocationChange(location.id, to);
+            UndoManager.push({
+                label: `move "${location.name}"`,
+                undo: () => this.applyLocationChange(location.id, from),
+                redo: () => this.applyLocationChange(location.id, to)
+            });
+        } catch (err) {
+            // Put the marker back where the server still has it
+            MarkersModule.updateMarker(location);
+            if (!err.conflictShown) {
+                this.showNotification('Failed to move location: ' + err.message, 'error');
+            }
+        }
+    },
+
+    /**
+     * Update a location on the server and on the map (used by undo/redo and moves),
+     * provided nobody has saved it since it was last loaded. If they have, the conflict
+     * is shown like an edit's and this throws with conflictShown set.
+     */
+    async applyLocationChange(id, data) {
+        const loaded = this.getKnownLocation(id);
+        try {
+            const location = await API.updateLocation(id, data, loaded);
+            MarkersModule.updateLocationFromAPI(location);
+            this.savedLocations[location.id] = location;
+        } catch (err) {
+            if (err.status === 412 && err.current) {
+                this.showEditConflict(loaded, data, err.current);
+                err.conflictShown = true;
+            }
+            throw err;
+        }
+    },
+
+    /**
+     * Delete a location on the server and from the map (used by undo/redo), provided
+     * nobody has saved it since it was last loaded (throws with conflictShown set if they have)
+     */
+    async deleteLocationById(id) {
+        const wasSelected = MarkersModule.selectedLocation?.id === id;
+        try {
+            await API.deleteLocation(id, this.getKnownLocation(id));
+        } catch (err) {
+            if (err.status === 412 && err.current) {
+                this.showDeleteConflict(err.current);
+                err.conflictShown = true;
+            }
+            throw err;
+        }
+        MarkersModule.removeLocation(id);
+        if (wasSelected) {
+            this.hideLocationDetails();
+        }
+    },
+
+    /**
+     * Bring back a deleted location from its revision history, keeping its ID
+     */
+    async restoreDeletedLocation(id) {
+        const [latest] = await API.getHistory('location', id);
+        if (!latest || latest.action !== 'delete') {
+            throw new Error('Location is not deleted');
+        }
+
+        const result = await API.restoreRevision(latest.id);
+        MarkersModule.addLocationFromAPI(result.location);
+        this.savedLocations[id] = result.location;
+    },
+
+    /**
+     * The newest version of a location this client knows: as loaded on the map, or as
+     * it last saved it if the map has dropped it since (null if it knows neither)
+     */
+    getKnownLocation(id) {
+        return MarkersModule.getLocation(id) || this.savedLocations[id] || null;
+    },
+
     /**
      * Pan to a location
      */
@@ -1169,6 +3539,8 @@ const App = {
 
             this.showNotification('Custom stamp added');
         } catch (err) {
+            const inputs = { icon: 'stamp-emoji', name: 'stamp-name', category: 'stamp-category' };
+            if (this.showFieldErrors(inputs, err)) return;
             this.showNotification('Failed to add stamp: ' + err.message, 'error');
         }
     },
@@ -1182,8 +3554,8 @@ const App = {
 
         TravelCalculator.setScale(value, unit);
 
-        // Save to current map if one is selected
-        if (this.currentMap) {
+        // Save to current map if one is selected and this user may change it
+        if (this.currentMap && this.canEdit()) {
             try {
                 await API.updateMap(this.currentMap.id, {
                     scale_value: value,
@@ -1191,6 +3563,7 @@ const App = {
                 });
             } catch (err) {
                 console.error('Failed to save scale:', err);
+                if (this.showFieldErrors({ scale_value: 'scale-value', scale_unit: 'scale-unit' }, err)) return;
             }
         }
 
@@ -1227,6 +3600,13 @@ const App = {
                 await API.updateTravelSettings(this.currentWorld.id, settings);
             } catch (err) {
                 console.error('Failed to save travel settings:', err);
+                const inputs = {
+                    walking_speed: 'speed-walking',
+                    horse_speed: 'speed-horse',
+                    wagon_speed: 'speed-wagon',
+                    hours_per_day: 'hours-per-day'
+                };
+                if (this.showFieldErrors(inputs, err)) return;
             }
         }
 
@@ -1249,37 +3629,282 @@ const App = {
      * Export world
      */
     async exportWorld() {
-        if (!this.currentWorld) {
-            this.showNotification('Please select a world first', 'error');
-            return;
+        try {
+            const data = await API.exportWorld(this.currentWorld.id);
+            this.downloadFile(JSON.stringify(data, null, 2), `${this.fileNameFor(this.currentWorld.name)}.json`, 'application/json');
+            this.showNotification('World exported');
+        } catch (err) {
+            this.showNotification('Failed to export: ' + err.message, 'error');
         }
+    },
 
+    /**
+     * Download the open map's locations as GeoJSON
+     */
+    async exportMapGeoJSON() {
         try {
-            const data = await API.exportWorld(this.currentWorld.id);
-            const json = JSON.stringify(data, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${this.currentWorld.name.replace(/[^a-z0-9]/gi, '_')}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            const data = await API.exportMapGeoJSON(this.currentMap.id);
+            this.downloadFile(JSON.stringify(data, null, 2), `${this.fileNameFor(this.currentMap.name)}.geojson`, 'application/geo+json');
+            this.showNotification('Map exported');
+        } catch (err) {
+            this.showNotification('Failed to export: ' + err.message, 'error');
+        }
+    },
 
-            this.showNotification('World exported');
+    /**
+     * Download the locations of the open map, or of every map in the world, as CSV
+     * @param {boolean} wholeWorld - Export every map in the world
+     */
+    async exportCSV(wholeWorld) {
+        try {
+            const blob = wholeWorld
+                ? await API.exportWorldCSV(this.currentWorld.id)
+                : await API.exportMapCSV(this.currentMap.id);
+            const name = wholeWorld ? this.currentWorld.name : this.currentMap.name;
+            this.downloadFile(blob, `${this.fileNameFor(name)}.csv`, 'text/csv');
+            this.showNotification('Locations exported');
+        } catch (err) {
+            this.showNotification('Failed to export: ' + err.message, 'error');
+        }
+    },
+
+    /**
+     * Download the world as a read-only static website
+     */
+    async exportSite() {
+        try {
+            const blob = await API.exportWorldSite(this.currentWorld.id);
+            this.downloadFile(blob, `${this.fileNameFor(this.currentWorld.name)}_site.zip`, 'application/zip');
+            this.showNotification('Website exported');
         } catch (err) {
             this.showNotification('Failed to export: ' + err.message, 'error');
         }
     },
 
+    /**
+     * Ask how to draw the open map as a poster
+     */
+    showPosterModal() {
+        const map = this.currentMap;
+        if (!map.image_url || !map.width || !map.height) {
+            this.showNotification('This map has no image to export', 'error');
+            return;
+        }
+
+        const select = document.getElementById('poster-resolution');
+        select.innerHTML = '';
+        for (const resolution of [0.25, 0.5, 1, 2]) {
+            const size = PosterModule.getSize(map, resolution);
+            const option = new Option(`${resolution * 100}% (${size.width} × ${size.height})`, String(resolution));
+            option.disabled = !PosterModule.fitsCanvas(size);
+            select.appendChild(option);
+        }
+
+        // Full resolution, or the largest size the browser can draw below it
+        const largest = [...select.options].reverse().find(option => !option.disabled && Number(option.value) <= 1);
+        select.value = largest ? largest.value : '0.25';
+
+        document.getElementById('poster-error').textContent = '';
+        this.updatePosterSummary();
+        this.showModal('modalPoster');
+    },
+
+    /**
+     * Read the poster modal's choices
+     */
+    getPosterOptions() {
+        return {
+            format: document.getElementById('poster-format').value,
+            resolution: Number(document.getElementById('poster-resolution').value),
+            labels: document.getElementById('poster-labels').checked,
+            scaleBar: document.getElementById('poster-scale-bar').checked,
+            legend: document.getElementById('poster-legend').checked,
+            paper: document.getElementById('poster-paper').value,
+            landscape: document.getElementById('poster-orientation').value === 'landscape',
+            pagesAcross: Number(document.getElementById('poster-pages-across').value)
+        };
+    },
+
+    /**
+     * Describe what the poster modal's choices will produce
+     */
+    updatePosterSummary() {
+        const options = this.getPosterOptions();
+        const pdf = options.format === 'pdf';
+        const size = PosterModule.getSize(this.currentMap, options.resolution);
+        let summary;
+
+        if (pdf) {
+            const { columns, rows, dpi } = PosterModule.getTiling(size, options);
+            const pages = columns * rows;
+            summary = `${pages} page${pages === 1 ? '' : 's'} (${columns} across, ${rows} down), printed at about ${dpi} dpi.`;
+            if (pages > 1) {
+                summary += ' Each page is captioned with its row and column for putting the poster together.';
+            }
+        } else {
+            summary = `A ${size.width} × ${size.height} pixel image.`;
+        }
+
+        document.getElementById('poster-pdf-options').style.display = pdf ? '' : 'none';
+        document.getElementById('poster-summary').textContent = summary;
+    },
+
+    /**
+     * Draw the open map as a poster and download it
+     */
+    async downloadPoster() {
+        const options = this.getPosterOptions();
+        const map = this.currentMap;
+        const button = document.getElementById('btn-poster-download');
+        const errorEl = document.getElementById('poster-error');
+        errorEl.textContent = '';
+
+        // Large posters take a few seconds to draw
+        button.disabled = true;
+        button.textContent = 'Rendering...';
+
+        try {
+            // Every location, not just those in view
+            const locations = await API.getLocations(map.id);
+            const canvas = await PosterModule.render(map, locations, options);
+            const blob = options.format === 'pdf'
+                ? await PosterModule.toPDF(canvas, options)
+                : await PosterModule.toBlob(canvas);
+
+            this.downloadFile(blob, `${this.fileNameFor(map.name)}.${options.format}`, blob.type);
+            this.hideModal('modalPoster');
+            this.showNotification('Poster exported');
+        } catch (err) {
+            errorEl.textContent = err.message;
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Download';
+        }
+    },
+
+    /**
+     * Ask what to export: the open world, or something from the open map
+     */
+    showExportModal() {
+        if (!this.currentWorld) {
+            this.showNotification('Please select a world first', 'error');
+            return;
+        }
+
+        // Map formats need a map open
+        for (const input of document.querySelectorAll('input[name="export-format"]')) {
+            input.disabled = input.value.startsWith('map-') && !this.currentMap;
+        }
+        document.getElementById('export-format-world').checked = true;
+        document.getElementById('export-error').textContent = '';
+
+        this.showModal('modalExport');
+    },
+
+    /**
+     * Export in the format chosen in the export modal
+     */
+    async downloadExport() {
+        const format = document.querySelector('input[name="export-format"]:checked')?.value;
+        this.hideModal('modalExport');
+
+        if (format === 'map-geojson') {
+            await this.exportMapGeoJSON();
+        } else if (format === 'map-csv' || format === 'world-csv') {
+            await this.exportCSV(format === 'world-csv');
+        } else if (format === 'world-site') {
+            await this.exportSite();
+        } else if (format === 'map-poster') {
+            this.showPosterModal();
+        } else {
+            await this.exportWorld();
+        }
+    },
+
+    /**
+     * Turn a world or map name into a safe file name (without extension)
+     */
+    fileNameFor(name) {
+        return name.replace(/[^a-z0-9]/gi, '_');
+    },
+
+    /**
+     * Save generated content as a file
+     * @param {string|Blob} content - File contents
+     * @param {string} filename - Name to save as
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    },
+
     /**
      * Show a modal
      */
     showModal(modalKey) {
         const modal = this.elements[modalKey];
-        if (modal) modal.style.display = 'flex';
+        if (modal) {
+            this.clearFieldErrors(modal);
+            modal.style.display = 'flex';
+        }
+    },
+
+    /**
+     * Show the per-field errors of a rejected request next to the inputs they belong to
+     * @param {Object} inputs - Input element ID for each request field
+     * @param {Error} err - Error thrown by the API client
+     * @returns {boolean} Whether any error was shown next to an input
+     */
+    showFieldErrors(inputs, err) {
+        let shown = false;
+
+        // Errors from an earlier attempt no longer apply
+        for (const id of Object.values(inputs)) {
+            const input = document.getElementById(id);
+            if (input) this.clearFieldError(input);
+        }
+
+        for (const [field, message] of Object.entries(err.fields || {})) {
+            const input = inputs[field] && document.getElementById(inputs[field]);
+            if (!input) continue;
+
+            input.classList.add('invalid');
+
+            const errorEl = document.createElement('div');
+            errorEl.className = 'field-error';
+            errorEl.textContent = message;
+            input.insertAdjacentElement('afterend', errorEl);
+            shown = true;
+        }
+
+        return shown;
+    },
+
+    /**
+     * Remove the error shown next to an input
+     */
+    clearFieldError(input) {
+        if (!input.classList?.contains('invalid')) return;
+        input.classList.remove('invalid');
+        if (input.nextElementSibling?.classList.contains('field-error')) {
+            input.nextElementSibling.remove();
+        }
+    },
+
+    /**
+     * Remove every field error inside an element
+     */
+    clearFieldErrors(container) {
+        container.querySelectorAll('.invalid').forEach(input => this.clearFieldError(input));
     },
 
     /**
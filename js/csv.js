@@ -0,0 +1,157 @@
+/**
+ * Fantasy Map Builder - CSV Import
+ * Reads spreadsheet rows and turns them into locations, given which column holds which field
+ */
+
+const CSVModule = {
+    // Most rows one import can add (one batch request)
+    maxRows: 1000,
+
+    // Rows shown in the import preview
+    previewRows: 50,
+
+    // Location fields a column can be mapped to, with header names that map to them automatically
+    fields: [
+        { key: 'name', label: 'Name', headers: ['name', 'title', 'location', 'place'] },
+        { key: 'description', label: 'Description', headers: ['description', 'desc', 'summary'] },
+        { key: 'wiki_link', label: 'Wiki Link', headers: ['wiki_link', 'wiki link', 'wiki', 'link', 'url'] },
+        { key: 'notes', label: 'Notes', headers: ['notes', 'note', 'comments'] },
+        { key: 'stamp', label: 'Stamp', headers: ['stamp_id', 'stamp', 'icon', 'type', 'category'] },
+        { key: 'x', label: 'X', headers: ['x', 'x (pixels)', 'px', 'lng'] },
+        { key: 'y', label: 'Y', headers: ['y', 'y (pixels)', 'py', 'lat'] }
+    ],
+
+    /**
+     * Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas,
+     * quotes written twice and line breaks)
+     * @param {string} text - CSV file contents
+     * @returns {Array<Array<string>>} Rows, without blank lines
+     */
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        // Spreadsheets often start UTF-8 files with a byte order mark
+        text = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Guess which column holds each field from the header row
+     * @param {Array<string>} headers - First row of the file
+     * @returns {Object} Field key -> column index, or -1 for none
+     */
+    guessMapping(headers) {
+        const normalized = headers.map(header => header.trim().toLowerCase());
+        const mapping = {};
+
+        for (const field of this.fields) {
+            // Earlier header names win, so an export's stamp_id is used over its stamp name
+            const index = field.headers
+                .map(header => normalized.indexOf(header))
+                .find(index => index !== -1);
+            mapping[field.key] = index === undefined ? -1 : index;
+        }
+
+        return mapping;
+    },
+
+    /**
+     * Find the stamp a cell names, by ID, name or icon
+     * @param {string} value - Cell contents
+     * @returns {Object|null} The stamp, or null if nothing matches
+     */
+    findStamp(value) {
+        const wanted = value.trim().toLowerCase();
+        if (!wanted) return null;
+
+        const stamps = Object.values(StampManager.getAllStamps()).flatMap(category => category.stamps);
+        return stamps.find(stamp => stamp.id.toLowerCase() === wanted) ||
+            stamps.find(stamp => stamp.name.toLowerCase() === wanted) ||
+            stamps.find(stamp => stamp.icon === value.trim()) ||
+            null;
+    },
+
+    /**
+     * Turn data rows into locations
+     * @param {Array<Array<string>>} rows - Rows after the header
+     * @param {Object} mapping - Field key -> column index, or -1
+     * @returns {Array<Object>} One entry per row: { row, data, stamp, unknownStamp, error },
+     *   where row numbers the data rows from 1
+     */
+    toLocations(rows, mapping) {
+        const cell = (row, key) => {
+            const value = mapping[key] === -1 ? '' : (row[mapping[key]] || '');
+            // Undo the ' that CSV exports put before text that looks like a formula
+            return value.replace(/^'(?=[=+\-@\t\r])/, '');
+        };
+
+        return rows.map((row, index) => {
+            const entry = { row: index + 1, data: {}, stamp: null, unknownStamp: null, error: null };
+
+            for (const key of ['name', 'description', 'wiki_link', 'notes']) {
+                const value = cell(row, key).trim();
+                if (value) entry.data[key] = value;
+            }
+
+            const stampValue = cell(row, 'stamp').trim();
+            entry.stamp = stampValue ? this.findStamp(stampValue) : null;
+            if (stampValue && !entry.stamp) {
+                // Unknown stamps become pins, like other imports
+                entry.unknownStamp = stampValue;
+            }
+            entry.data.stamp_id = entry.stamp ? entry.stamp.id : 'pin';
+
+            const x = cell(row, 'x').trim();
+            const y = cell(row, 'y').trim();
+            entry.data.x = Number(x);
+            entry.data.y = Number(y);
+            if (x === '' || y === '' || !Number.isFinite(entry.data.x) || !Number.isFinite(entry.data.y)) {
+                entry.error = 'X and Y must be numbers';
+            }
+
+            return entry;
+        });
+    }
+};
+
+// The server tests read exports back with it
+if (typeof module !== 'undefined') {
+    module.exports = { CSVModule };
+}
@@ -0,0 +1,87 @@
+/**
+ * Fantasy Map Builder - Live Updates
+ * Receives the changes other people make to the open world, and who else is viewing it
+ */
+
+const LiveModule = {
+    // Open event stream
+    source: null,
+
+    // World and map the stream was opened for
+    worldId: null,
+    mapId: null,
+
+    // Callbacks
+    onEvent: null,
+    onPresence: null,
+    onClosed: null,
+
+    /**
+     * Listen for changes to a world. Reopens the stream only if the world or map changed.
+     * @param {string} worldId - World to follow
+     * @param {string|null} mapId - Map being viewed, shown to the others in the world
+     */
+    connect(worldId, mapId = null) {
+        if (this.source && this.worldId === worldId && this.mapId === mapId) return;
+
+        this.disconnect();
+        this.worldId = worldId;
+        this.mapId = mapId;
+
+        const source = new EventSource(API.getLiveUrl(worldId, mapId), { withCredentials: true });
+        source.onmessage = (e) => this.handleMessage(e);
+        source.onerror = () => {
+            // The browser retries dropped streams itself; it gives up once the server refuses
+            if (source.readyState === EventSource.CLOSED && this.source === source) {
+                this.source = null;
+                if (this.onClosed) {
+                    this.onClosed(worldId);
+                }
+            }
+        };
+        this.source = source;
+    },
+
+    /**
+     * Stop listening
+     */
+    disconnect() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.worldId = null;
+        this.mapId = null;
+
+        if (this.onPresence) {
+            this.onPresence([]);
+        }
+    },
+
+    /**
+     * Pass an event on to the app
+     */
+    handleMessage(e) {
+        let message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (err) {
+            console.error('Unreadable live update:', err);
+            return;
+        }
+
+        if (message.type === 'presence') {
+            if (this.onPresence) {
+                this.onPresence(message.data);
+            }
+            return;
+        }
+
+        // This tab's own changes are already on screen
+        if (message.origin && message.origin === API.clientId) return;
+
+        if (this.onEvent) {
+            this.onEvent(message.type, message.data);
+        }
+    }
+};
@@ -5,7 +5,7 @@
 
 const MapModule = {
     map: null,
-    imageOverlay: null,
+    imageLayer: null,
     mapBounds: null,
     imageSize: { width: 0, height: 0 },
 
@@ -24,6 +24,12 @@ const MapModule = {
     routeLines: [],
     routeMarkers: [],
 
+    // Called after the view stops panning or zooming
+    onViewChange: null,
+
+    // Whether the map is only for viewing (the exported static site), with no way to upload an image
+    readOnly: false,
+
     /**
      * Initialize the map
      */
@@ -42,14 +48,17 @@ const MapModule = {
         this.measurementLayer = L.layerGroup().addTo(this.map);
         this.routeLayer = L.layerGroup().addTo(this.map);
 
+        this.map.on('moveend', () => {
+            if (this.onViewChange) {
+                this.onViewChange();
+            }
+        });
+
         // Set initial view
         this.map.setView([0, 0], 0);
 
         // Show empty state initially
         this.showEmptyState();
-
-        // Load saved map if exists
-        this.loadSavedMap();
     },
 
     /**
@@ -65,11 +74,11 @@ const MapModule = {
             emptyState.innerHTML = `
                 <div class="icon">🗺️</div>
                 <p>No map loaded</p>
-                <button class="btn-primary" id="btn-empty-upload">Upload Your Map</button>
+                ${this.readOnly ? '' : '<button class="btn-primary" id="btn-empty-upload">Upload Your Map</button>'}
             `;
             mapWrapper.appendChild(emptyState);
 
-            emptyState.querySelector('#btn-empty-upload').addEventListener('click', () => {
+            emptyState.querySelector('#btn-empty-upload')?.addEventListener('click', () => {
                 document.getElementById('file-map-upload').click();
             });
         }
@@ -92,11 +101,12 @@ const MapModule = {
      * @param {string} imageUrl - URL or data URL of the image
      * @param {number} width - Image width
      * @param {number} height - Image height
+     * @param {Object} [tiles] - Tile pyramid from the server ({ url, size, levels })
      */
-    loadMapImage(imageUrl, width, height) {
-        // Remove existing overlay
-        if (this.imageOverlay) {
-            this.map.removeLayer(this.imageOverlay);
+    loadMapImage(imageUrl, width, height, tiles = null) {
+        // Remove existing image layer
+        if (this.imageLayer) {
+            this.map.removeLayer(this.imageLayer);
         }
 
         this.imageSize = { width, height };
@@ -106,57 +116,54 @@ const MapModule = {
         const bounds = [[0, 0], [height, width]];
         this.mapBounds = L.latLngBounds(bounds);
 
-        // Create image overlay but don't add to map yet (Safari fix)
-        // Safari has issues when image is added before fully loaded
-        // See: https://github.com/Leaflet/Leaflet/issues/6322
-        this.imageOverlay = L.imageOverlay(imageUrl, bounds);
-
-        // Wait for image to load before adding to map
-        this.imageOverlay.on('load', () => {
-            // Fit map to image bounds after image loads
-            this.map.fitBounds(bounds);
-
-            // Set max bounds with symmetric padding to allow panning beyond edges
-            const padding = 0.3; // 30% padding on all sides
-            const paddedBounds = [
-                [-height * padding, -width * padding],
-                [height * (1 + padding), width * (1 + padding)]
-            ];
-            this.map.setMaxBounds(paddedBounds);
-        });
-
-        // Add to map and trigger load
-        this.imageOverlay.addTo(this.map);
+        if (tiles) {
+            // Zoom 0 is full resolution and each level below halves it, so tile
+            // pixels line up with the same coordinates as the plain image
+            this.map.setMinZoom(Math.min(-3, -tiles.levels - 1));
+            this.imageLayer = L.tileLayer(tiles.url, {
+                tileSize: tiles.size,
+                minZoom: this.map.getMinZoom(),
+                maxZoom: this.map.getMaxZoom(),
+                minNativeZoom: -tiles.levels,
+                maxNativeZoom: 0,
+                bounds: this.mapBounds,
+                noWrap: true
+            });
+            this.imageLayer.addTo(this.map);
+            this.fitToImage(bounds);
+        } else {
+            this.map.setMinZoom(-3);
 
-        this.hideEmptyState();
+            // Create image overlay but don't add to map yet (Safari fix)
+            // Safari has issues when image is added before fully loaded
+            // See: https://github.com/Leaflet/Leaflet/issues/6322
+            this.imageLayer = L.imageOverlay(imageUrl, bounds);
 
-        // Save to localStorage
-        this.saveMapImage(imageUrl, width, height);
-    },
+            // Wait for image to load before fitting the map to it
+            this.imageLayer.on('load', () => this.fitToImage(bounds));
 
-    /**
-     * Save map image to localStorage
-     */
-    saveMapImage(imageUrl, width, height) {
-        // Only save if it's a data URL (uploaded image)
-        if (imageUrl.startsWith('data:')) {
-            localStorage.setItem('fantasymap_mapimage', JSON.stringify({
-                imageUrl,
-                width,
-                height
-            }));
+            // Add to map and trigger load
+            this.imageLayer.addTo(this.map);
         }
+
+        this.hideEmptyState();
     },
 
     /**
-     * Load saved map from localStorage
+     * Fit the view to the image and limit panning to just beyond its edges
+     * @param {Array} bounds - Image bounds [[0, 0], [height, width]]
      */
-    loadSavedMap() {
-        const saved = localStorage.getItem('fantasymap_mapimage');
-        if (saved) {
-            const { imageUrl, width, height } = JSON.parse(saved);
-            this.loadMapImage(imageUrl, width, height);
-        }
+    fitToImage(bounds) {
+        const [, [height, width]] = bounds;
+        this.map.fitBounds(bounds);
+
+        // Set max bounds with symmetric padding to allow panning beyond edges
+        const padding = 0.3; // 30% padding on all sides
+        const paddedBounds = [
+            [-height * padding, -width * padding],
+            [height * (1 + padding), width * (1 + padding)]
+        ];
+        this.map.setMaxBounds(paddedBounds);
     },
 
     /**
@@ -208,6 +215,21 @@ const MapModule = {
         return L.latLng(y, x);
     },
 
+    /**
+     * Get the part of the map in view, in map coordinates
+     * @param {number} padding - Extra margin on each side, as a fraction of the view size
+     * @returns {Object} { minX, minY, maxX, maxY }
+     */
+    getViewBounds(padding = 0) {
+        const bounds = this.map.getBounds().pad(padding);
+        return {
+            minX: bounds.getWest(),
+            minY: bounds.getSouth(),
+            maxX: bounds.getEast(),
+            maxY: bounds.getNorth()
+        };
+    },
+
     /**
      * Start measuring mode
      */
@@ -424,14 +446,16 @@ const MapModule = {
      * Clear the map
      */
     clearMap() {
-        if (this.imageOverlay) {
-            this.map.removeLayer(this.imageOverlay);
-            this.imageOverlay = null;
+        if (this.imageLayer) {
+            this.map.removeLayer(this.imageLayer);
+            this.imageLayer = null;
         }
         this.markersLayer.clearLayers();
-        this.clearMeasurement();
-        this.clearRoute();
-        localStorage.removeItem('fantasymap_mapimage');
+        // The read-only viewer has no measuring or route tools
+        if (!this.readOnly) {
+            this.clearMeasurement();
+            this.clearRoute();
+        }
         this.showEmptyState();
     }
 };
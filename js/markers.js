@@ -13,9 +13,29 @@ const MarkersModule = {
     // Leaflet markers map (id -> marker)
     leafletMarkers: {},
 
+    // Whether markers can be dragged (false for read-only viewers)
+    editable: true,
+
     // Event callbacks
     onLocationSelect: null,
     onLocationUpdate: null,
+    onLocationMove: null,
+
+    // Fetches the locations inside a box ({ minX, minY, maxX, maxY }); set to load by viewport
+    fetchLocations: null,
+
+    // Box the loaded locations cover, or null if nothing is loaded
+    loadedBounds: null,
+
+    // Viewport fetch in progress ({ bounds, promise })
+    pendingLoad: null,
+
+    // Increases with every viewport fetch, so responses for an older view are ignored
+    viewportRequest: 0,
+
+    // How far beyond the view to load, as a fraction of the view size on each side,
+    // so small pans and zooms don't need another fetch
+    viewportPadding: 0.5,
 
     /**
      * Initialize markers module
@@ -32,24 +52,107 @@ const MarkersModule = {
      */
     loadLocations(locations) {
         this.clearAll();
-        this.locations = locations.map(loc => ({
-            ...loc,
-            // Normalize field names for compatibility
-            stampId: loc.stamp_id || loc.stampId,
-            wikiLink: loc.wiki_link || loc.wikiLink
-        }));
+        this.locations = locations.map(loc => this.normalizeLocation(loc));
+        // Every location is loaded, so panning never needs to fetch more
+        this.loadedBounds = { minX: -Infinity, minY: -Infinity, maxX: Infinity, maxY: Infinity };
         this.renderAllMarkers();
     },
 
     /**
-     * Add a location from API response
+     * Normalize field names from the API for compatibility
      */
-    addLocationFromAPI(location) {
-        const normalizedLoc = {
+    normalizeLocation(location) {
+        return {
             ...location,
             stampId: location.stamp_id || location.stampId,
             wikiLink: location.wiki_link || location.wikiLink
         };
+    },
+
+    /**
+     * Load the locations in and around the current view if the view has moved
+     * beyond what is already loaded
+     * @param {boolean} force - Fetch even if the view is inside the loaded area
+     */
+    async loadViewport(force = false) {
+        if (!this.fetchLocations) return;
+
+        const view = MapModule.getViewBounds();
+        if (!force) {
+            if (this.loadedBounds && this.boundsContain(this.loadedBounds, view)) return;
+            if (this.pendingLoad && this.boundsContain(this.pendingLoad.bounds, view)) {
+                return this.pendingLoad.promise;
+            }
+        }
+
+        const bounds = MapModule.getViewBounds(this.viewportPadding);
+        const request = ++this.viewportRequest;
+        const promise = this.fetchLocations(bounds).then(locations => {
+            // The view moved again or the map changed while this was loading
+            if (request !== this.viewportRequest) return;
+
+            this.setLocations(locations);
+            this.loadedBounds = bounds;
+        }).finally(() => {
+            if (this.pendingLoad?.promise === promise) {
+                this.pendingLoad = null;
+            }
+        });
+
+        this.pendingLoad = { bounds, promise };
+        return promise;
+    },
+
+    /**
+     * Replace the loaded locations, rebuilding only the markers that changed.
+     * The selected location stays loaded even once it is out of view.
+     * @param {Array} locations - Locations from the API
+     */
+    setLocations(locations) {
+        const incoming = new Map(locations.map(loc => [loc.id, this.normalizeLocation(loc)]));
+        if (this.selectedLocation && !incoming.has(this.selectedLocation.id)) {
+            incoming.set(this.selectedLocation.id, this.selectedLocation);
+        }
+
+        for (const id of Object.keys(this.leafletMarkers)) {
+            if (!incoming.has(id)) {
+                MapModule.markersLayer.removeLayer(this.leafletMarkers[id]);
+                delete this.leafletMarkers[id];
+            }
+        }
+
+        const previous = new Map(this.locations.map(loc => [loc.id, loc]));
+        for (const location of incoming.values()) {
+            const loaded = previous.get(location.id);
+            if (!loaded || !this.leafletMarkers[location.id] || loaded.updated_at !== location.updated_at) {
+                this.renderMarker(location);
+            }
+        }
+
+        this.locations = [...incoming.values()];
+        if (this.selectedLocation) {
+            this.selectedLocation = incoming.get(this.selectedLocation.id);
+        }
+    },
+
+    /**
+     * Check if one box lies entirely inside another
+     */
+    boundsContain(outer, inner) {
+        return inner.minX >= outer.minX && inner.maxX <= outer.maxX &&
+            inner.minY >= outer.minY && inner.maxY <= outer.maxY;
+    },
+
+    /**
+     * Add a location from API response (updating it instead if it is already loaded,
+     * as when a live update arrives for a location the viewport just fetched)
+     */
+    addLocationFromAPI(location) {
+        if (this.getLocation(location.id)) {
+            return this.updateLocationFromAPI(location, false);
+        }
+
+        const normalizedLoc = this.normalizeLocation(location);
         this.locations.push(normalizedLoc);
         this.renderMarker(normalizedLoc);
         return normalizedLoc;
@@ -57,21 +160,22 @@ const MarkersModule = {
 
     /**
      * Update a location from API response
+     * @param {Object} location - Location from the API
+     * @param {boolean} notify - Call onLocationUpdate (live updates only refresh the card if it's open)
      */
-    updateLocationFromAPI(location) {
+    updateLocationFromAPI(location, notify = true) {
         const index = this.locations.findIndex(loc => loc.id === location.id);
         if (index === -1) return null;
 
-        const normalizedLoc = {
-            ...location,
-            stampId: location.stamp_id || location.stampId,
-            wikiLink: location.wiki_link || location.wikiLink
-        };
+        const normalizedLoc = this.normalizeLocation(location);
 
         this.locations[index] = normalizedLoc;
         this.updateMarker(normalizedLoc);
+        if (this.selectedLocation && this.selectedLocation.id === normalizedLoc.id) {
+            this.selectedLocation = normalizedLoc;
+        }
 
-        if (this.onLocationUpdate) {
+        if (notify && this.onLocationUpdate) {
             this.onLocationUpdate(normalizedLoc);
         }
 
@@ -194,15 +298,16 @@ const MarkersModule = {
         const stampId = location.stamp_id || location.stampId;
         const stamp = StampManager.getStamp(stampId);
         const icon = stamp ? stamp.icon : '📍';
+        const selected = this.selectedLocation?.id === location.id;
 
         const marker = L.marker(MapModule.coordsToLatLng(location.x, location.y), {
             icon: L.divIcon({
                 className: 'leaflet-div-icon',
-                html: `<div class="custom-marker" data-id="${location.id}">${icon}</div>`,
+                html: `<div class="custom-marker${selected ? ' selected' : ''}" data-id="${location.id}">${icon}</div>`,
                 iconSize: [40, 40],
                 iconAnchor: [20, 20]
             }),
-            draggable: true
+            draggable: this.editable
         });
 
         // Click handler
@@ -214,10 +319,14 @@ const MarkersModule = {
         // Drag handler
         marker.on('dragend', (e) => {
             const newLatLng = e.target.getLatLng();
-            this.updateLocation(location.id, {
-                x: newLatLng.lng,
-                y: newLatLng.lat
-            });
+            const to = { x: newLatLng.lng, y: newLatLng.lat };
+
+            if (this.onLocationMove) {
+                const current = this.getLocation(location.id);
+                this.onLocationMove(current, { x: current.x, y: current.y }, to);
+            } else {
+                this.updateLocation(location.id, to);
+            }
         });
 
         // Tooltip
@@ -254,6 +363,16 @@ const MarkersModule = {
         this.renderMarker(location);
     },
 
+    /**
+     * Enable or disable marker dragging
+     * @param {boolean} editable - Whether markers can be moved
+     */
+    setEditable(editable) {
+        if (this.editable === editable) return;
+        this.editable = editable;
+        this.renderAllMarkers();
+    },
+
     /**
      * Render all markers
      */
@@ -352,8 +471,11 @@ const MarkersModule = {
         this.locations = [];
         this.leafletMarkers = {};
         this.selectedLocation = null;
+        this.loadedBounds = null;
+        this.pendingLoad = null;
+        // Drop any viewport fetch still in flight for the old map
+        this.viewportRequest++;
         MapModule.markersLayer.clearLayers();
-        localStorage.removeItem('fantasymap_locations');
     },
 
     /**
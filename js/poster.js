@@ -0,0 +1,433 @@
+/**
+ * Fantasy Map Builder - Poster Export
+ * Draws the full map image with its markers, name labels, a scale bar and a legend,
+ * and saves it as a PNG or as a PDF tiled across printed pages
+ */
+
+const PosterModule = {
+    // Largest canvas browsers reliably draw, per side and in total
+    maxSide: 16384,
+    maxPixels: 120000000,
+
+    // Paper sizes in PDF points (1/72 inch), portrait
+    paperSizes: {
+        a4: { name: 'A4', width: 595.28, height: 841.89 },
+        a3: { name: 'A3', width: 841.89, height: 1190.55 },
+        letter: { name: 'Letter', width: 612, height: 792 },
+        tabloid: { name: 'Tabloid', width: 792, height: 1224 }
+    },
+
+    // Blank border around the map on each printed page, in points
+    pageMargin: 36,
+
+    // Fonts that draw stamps in color where the system has one
+    emojiFont: '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif',
+
+    // Singular and plural names of the scale units
+    unitNames: {
+        miles: ['mile', 'miles'],
+        km: ['km', 'km'],
+        leagues: ['league', 'leagues']
+    },
+
+    /**
+     * Size of the poster in pixels
+     * @param {Object} map - Map with width and height
+     * @param {number} resolution - Poster pixels per map image pixel
+     */
+    getSize(map, resolution) {
+        return {
+            width: Math.round(map.width * resolution),
+            height: Math.round(map.height * resolution)
+        };
+    },
+
+    /**
+     * Whether browsers can draw a poster this big
+     */
+    fitsCanvas({ width, height }) {
+        return width <= this.maxSide && height <= this.maxSide && width * height <= this.maxPixels;
+    },
+
+    /**
+     * Draw the poster
+     * @param {Object} map - The map, with its image_url, width, height and scale
+     * @param {Array} locations - Every location on the map
+     * @param {Object} options
+     * @param {number} options.resolution - Poster pixels per map image pixel
+     * @param {boolean} options.labels - Write each location's name under its stamp
+     * @param {boolean} options.scaleBar - Draw a scale bar
+     * @param {boolean} options.legend - List the stamps used
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async render(map, locations, { resolution = 1, labels = true, scaleBar = true, legend = true } = {}) {
+        if (!map.image_url || !map.width || !map.height) {
+            throw new Error('This map has no image to export');
+        }
+
+        const size = this.getSize(map, resolution);
+        if (!this.fitsCanvas(size)) {
+            throw new Error('The poster is too large for the browser to draw; choose a smaller size');
+        }
+
+        const image = await this.loadImage(map.image_url);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, size.width, size.height);
+
+        // Sizes follow the poster, so small and large maps look alike
+        const unit = Math.max(10, Math.round(Math.min(size.width, size.height) / 80));
+
+        this.drawMarkers(ctx, map, locations, resolution, unit, labels);
+        if (scaleBar) {
+            this.drawScaleBar(ctx, map, resolution, unit);
+        }
+        if (legend) {
+            this.drawLegend(ctx, locations, unit);
+        }
+
+        return canvas;
+    },
+
+    /**
+     * Load an image the canvas may read back
+     */
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.crossOrigin = 'use-credentials';
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Failed to load the map image'));
+            image.src = url;
+        });
+    },
+
+    /**
+     * The stamp a location shows, falling back to a pin like the map does
+     */
+    stampFor(location) {
+        return StampManager.getStamp(location.stamp_id) || StampManager.getStamp('pin');
+    },
+
+    /**
+     * Draw every location's stamp, and its name if asked
+     */
+    drawMarkers(ctx, map, locations, resolution, unit, labels) {
+        const iconSize = unit * 2.5;
+        const labelSize = Math.round(unit * 1.1);
+
+        // Location y counts up from the bottom of the image; the canvas counts down
+        const points = locations
+            .map(location => ({
+                location,
+                x: location.x * resolution,
+                y: (map.height - location.y) * resolution
+            }))
+            .sort((a, b) => a.y - b.y);
+
+        ctx.save();
+        ctx.textAlign = 'center';
+
+        ctx.textBaseline = 'middle';
+        ctx.font = `${iconSize}px ${this.emojiFont}`;
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+        ctx.shadowOffsetX = iconSize * 0.05;
+        ctx.shadowOffsetY = iconSize * 0.05;
+        ctx.shadowBlur = iconSize * 0.1;
+        for (const { location, x, y } of points) {
+            ctx.fillText(this.stampFor(location).icon, x, y);
+        }
+
+        if (labels) {
+            ctx.shadowColor = 'transparent';
+            ctx.textBaseline = 'top';
+            ctx.font = `600 ${labelSize}px sans-serif`;
+            ctx.lineJoin = 'round';
+            ctx.lineWidth = labelSize * 0.25;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+            ctx.fillStyle = '#ffffff';
+            for (const { location, x, y } of points) {
+                const labelY = y + iconSize * 0.55;
+                ctx.strokeText(location.name, x, labelY);
+                ctx.fillText(location.name, x, labelY);
+            }
+        }
+
+        ctx.restore();
+    },
+
+    /**
+     * Round a distance down to 1, 2 or 5 times a power of ten
+     */
+    niceDistance(distance) {
+        const power = Math.pow(10, Math.floor(Math.log10(distance)));
+        const leading = distance / power;
+        return (leading >= 5 ? 5 : leading >= 2 ? 2 : 1) * power;
+    },
+
+    /**
+     * Draw a scale bar about a fifth of the poster's width in its bottom left corner
+     */
+    drawScaleBar(ctx, map, resolution, unit) {
+        // scale_value is distance units per map image pixel
+        const scale = map.scale_value > 0 ? map.scale_value : 1;
+        const scaleUnit = this.unitNames[map.scale_unit] ? map.scale_unit : 'miles';
+
+        const distance = this.niceDistance(ctx.canvas.width / 5 / resolution * scale);
+        const length = distance / scale * resolution;
+        const segments = 4;
+        const barHeight = unit * 0.6;
+        const fontSize = Math.round(unit * 1.1);
+        const [singular, plural] = this.unitNames[scaleUnit];
+        const label = `${Number(distance.toPrecision(6))} ${distance === 1 ? singular : plural}`;
+
+        ctx.save();
+        ctx.font = `600 ${fontSize}px sans-serif`;
+        const labelWidth = ctx.measureText(label).width;
+
+        // Background box
+        const padding = unit;
+        const boxWidth = length + labelWidth / 2 + padding * 2 + fontSize / 2;
+        const boxHeight = fontSize + barHeight + padding * 2.5;
+        const boxX = unit;
+        const boxY = ctx.canvas.height - unit - boxHeight;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+
+        // Alternating segments
+        const barX = boxX + padding;
+        const barY = boxY + padding * 1.5 + fontSize;
+        for (let i = 0; i < segments; i++) {
+            ctx.fillStyle = i % 2 === 0 ? '#1a1a2e' : '#ffffff';
+            ctx.fillRect(barX + length / segments * i, barY, length / segments, barHeight);
+        }
+        ctx.strokeStyle = '#1a1a2e';
+        ctx.lineWidth = Math.max(1, unit / 10);
+        ctx.strokeRect(barX, barY, length, barHeight);
+
+        // Distances at each end
+        ctx.fillStyle = '#1a1a2e';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('0', barX, barY - unit * 0.3);
+        ctx.fillText(label, barX + length, barY - unit * 0.3);
+
+        ctx.restore();
+    },
+
+    /**
+     * List the stamps the locations use, with how many of each, in the bottom right corner
+     */
+    drawLegend(ctx, locations, unit) {
+        const counts = new Map();
+        for (const location of locations) {
+            const stamp = this.stampFor(location);
+            const entry = counts.get(stamp.id) || { stamp, count: 0 };
+            entry.count++;
+            counts.set(stamp.id, entry);
+        }
+        if (counts.size === 0) return;
+
+        const entries = [...counts.values()].sort((a, b) => a.stamp.name.localeCompare(b.stamp.name));
+        const fontSize = Math.round(unit * 1.1);
+        const rowHeight = fontSize * 1.8;
+        const padding = unit;
+        const titleHeight = fontSize * 2;
+
+        ctx.save();
+        ctx.font = `${fontSize}px sans-serif`;
+        const texts = entries.map(({ stamp, count }) => `${stamp.name} (${count})`);
+        const columnWidth = Math.max(...texts.map(text => ctx.measureText(text).width)) + fontSize * 2.5;
+
+        // Wrap into more columns rather than run off the poster
+        const maxRows = Math.max(1, Math.floor((ctx.canvas.height * 0.6 - titleHeight - padding * 2) / rowHeight));
+        const columns = Math.ceil(entries.length / maxRows);
+        const rows = Math.ceil(entries.length / columns);
+
+        const boxWidth = columns * columnWidth + padding * 2;
+        const boxHeight = titleHeight + rows * rowHeight + padding * 2;
+        const boxX = ctx.canvas.width - unit - boxWidth;
+        const boxY = ctx.canvas.height - unit - boxHeight;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+
+        ctx.fillStyle = '#1a1a2e';
+        ctx.textBaseline = 'middle';
+        ctx.font = `700 ${fontSize}px sans-serif`;
+        ctx.fillText('Legend', boxX + padding, boxY + padding + titleHeight / 2);
+
+        entries.forEach(({ stamp }, index) => {
+            const x = boxX + padding + Math.floor(index / rows) * columnWidth;
+            const y = boxY + padding + titleHeight + (index % rows + 0.5) * rowHeight;
+            ctx.font = `${Math.round(fontSize * 1.3)}px ${this.emojiFont}`;
+            ctx.fillText(stamp.icon, x, y);
+            ctx.font = `${fontSize}px sans-serif`;
+            ctx.fillText(texts[index], x + fontSize * 2, y);
+        });
+
+        ctx.restore();
+    },
+
+    /**
+     * Encode a canvas as an image file
+     * @returns {Promise<Blob>}
+     */
+    toBlob(canvas, type = 'image/png', quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('The browser could not encode the poster'));
+                }
+            }, type, quality);
+        });
+    },
+
+    /**
+     * How a poster splits into printed pages
+     * @param {Object} size - Poster size in pixels
+     * @param {Object} options
+     * @param {string} options.paper - Key of paperSizes
+     * @param {boolean} options.landscape - Turn the paper sideways
+     * @param {number} options.pagesAcross - Pages side by side
+     * @returns {Object} { pageWidth, pageHeight, tileWidth, tileHeight, columns, rows, dpi }
+     */
+    getTiling(size, { paper = 'a4', landscape = false, pagesAcross = 1 }) {
+        const sheet = this.paperSizes[paper] || this.paperSizes.a4;
+        const pageWidth = landscape ? sheet.height : sheet.width;
+        const pageHeight = landscape ? sheet.width : sheet.height;
+        const printWidth = pageWidth - this.pageMargin * 2;
+        const printHeight = pageHeight - this.pageMargin * 2;
+
+        // Each page shows a tile of the poster with the paper's proportions
+        const tileWidth = Math.ceil(size.width / pagesAcross);
+        const tileHeight = Math.round(tileWidth * printHeight / printWidth);
+
+        return {
+            pageWidth,
+            pageHeight,
+            tileWidth,
+            tileHeight,
+            columns: pagesAcross,
+            rows: Math.ceil(size.height / tileHeight),
+            dpi: Math.round(tileWidth / (printWidth / 72))
+        };
+    },
+
+    /**
+     * Split a poster across printed pages as a PDF
+     * @param {HTMLCanvasElement} canvas - The drawn poster
+     * @param {Object} options - As for getTiling
+     * @returns {Promise<Blob>}
+     */
+    async toPDF(canvas, options) {
+        const tiling = this.getTiling(canvas, options);
+        const { pageWidth, pageHeight, tileWidth, tileHeight, columns, rows } = tiling;
+        const margin = this.pageMargin;
+
+        const tile = document.createElement('canvas');
+        tile.width = tileWidth;
+        tile.height = tileHeight;
+        const ctx = tile.getContext('2d');
+
+        const pages = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                // Tiles past the poster's edge are left white
+                const sx = column * tileWidth;
+                const sy = row * tileHeight;
+                const sw = Math.min(tileWidth, canvas.width - sx);
+                const sh = Math.min(tileHeight, canvas.height - sy);
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, tileWidth, tileHeight);
+                ctx.drawImage(canvas, sx, sy, sw, sh, 0, 0, sw, sh);
+
+                const jpeg = await this.toBlob(tile, 'image/jpeg', 0.92);
+                pages.push({
+                    width: pageWidth,
+                    height: pageHeight,
+                    image: {
+                        bytes: new Uint8Array(await jpeg.arrayBuffer()),
+                        width: tileWidth,
+                        height: tileHeight
+                    },
+                    placement: { x: margin, y: margin, width: pageWidth - margin * 2, height: pageHeight - margin * 2 },
+                    label: `Page ${pages.length + 1} of ${rows * columns} - row ${row + 1}, column ${column + 1}`
+                });
+            }
+        }
+
+        return this.buildPDF(pages);
+    },
+
+    /**
+     * Write a PDF with one JPEG image and a caption per page
+     * @param {Array} pages - { width, height, image: { bytes, width, height }, placement, label }
+     * @returns {Blob}
+     */
+    buildPDF(pages) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (part) => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const startObject = (id) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+        };
+        const number = (value) => String(Math.round(value * 100) / 100);
+        const text = (value) => value.replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, '?');
+
+        // Objects 1-3 are the catalog, page tree and font; each page then has
+        // its page object, its content stream and its image
+        const objectCount = 4 + pages.length * 3;
+        const pageId = (index) => 4 + index * 3;
+
+        write('%PDF-1.4\n');
+        startObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+        startObject(2);
+        write(`<< /Type /Pages /Kids [${pages.map((page, index) => `${pageId(index)} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+        startObject(3);
+        write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>\nendobj\n');
+
+        pages.forEach((page, index) => {
+            const id = pageId(index);
+            const { x, y, width, height } = page.placement;
+            const content =
+                `q ${number(width)} 0 0 ${number(height)} ${number(x)} ${number(y)} cm /Im0 Do Q\n` +
+                `BT /F1 8 Tf ${number(x)} ${number(y / 2)} Td (${text(page.label)}) Tj ET`;
+
+            startObject(id);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(page.width)} ${number(page.height)}] ` +
+                `/Resources << /Font << /F1 3 0 R >> /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>\nendobj\n`);
+
+            startObject(id + 1);
+            write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+            startObject(id + 2);
+            write(`<< /Type /XObject /Subtype /Image /Width ${page.image.width} /Height ${page.image.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.image.bytes.length} >>\nstream\n`);
+            write(page.image.bytes);
+            write('\nendstream\nendobj\n');
+        });
+
+        const xrefOffset = length;
+        write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objectCount; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+};
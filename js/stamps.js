@@ -117,6 +117,8 @@ const StampManager = {
      * Add a custom stamp from API response
      */
     addCustomStampFromAPI(stamp) {
+        if (this.getStamp(stamp.id)) return;
+
         const category = stamp.category || 'custom';
         const stampData = {
             id: stamp.id,
@@ -132,6 +134,20 @@ const StampManager = {
         }
     },
 
+    /**
+     * Remove a custom stamp deleted through the API
+     */
+    removeCustomStampFromAPI(stampId) {
+        for (const category of Object.values(this.stamps)) {
+            const index = category.stamps.findIndex(s => s.id === stampId && s.custom);
+            if (index !== -1) {
+                category.stamps.splice(index, 1);
+                return true;
+            }
+        }
+        return false;
+    },
+
     /**
      * Get all stamps
      */
@@ -174,7 +190,6 @@ const StampManager = {
             this.stamps.custom.stamps.push(stamp);
         }
 
-        this.saveStamps();
         return stamp;
     },
 
@@ -186,26 +201,17 @@ const StampManager = {
             const index = category.stamps.findIndex(s => s.id === stampId && s.custom);
             if (index !== -1) {
                 category.stamps.splice(index, 1);
-                this.saveStamps();
                 return true;
             }
         }
         return false;
     },
 
-    /**
-     * Save stamps to localStorage
-     */
-    saveStamps() {
-        localStorage.setItem('fantasymap_stamps', JSON.stringify(this.stamps));
-    },
-
     /**
      * Reset to default stamps
      */
     resetToDefaults() {
         this.stamps = JSON.parse(JSON.stringify(this.defaultStamps));
-        this.saveStamps();
     },
 
     /**
@@ -265,3 +271,8 @@ const StampManager = {
         }
     }
 };
+
+// The server reads the built-in stamps from here too
+if (typeof module !== 'undefined') {
+    module.exports = { StampManager };
+}
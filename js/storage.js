@@ -1,213 +1,83 @@
 /**
  * Fantasy Map Builder - Storage Module
- * Handles saving, loading, and exporting project data
+ * Reads projects left in the browser by the browser-only version
  */
 
 const StorageModule = {
-    /**
-     * Save current project to localStorage
-     */
-    saveToLocalStorage() {
-        // Individual modules already save to localStorage
-        // This is for explicit "Save" action confirmation
-        const projectMeta = {
-            savedAt: Date.now(),
-            version: '1.0.0'
-        };
-        localStorage.setItem('fantasymap_meta', JSON.stringify(projectMeta));
-        return true;
-    },
-
-    /**
-     * Export project as JSON
-     * @returns {Object} Project data
-     */
-    exportProject() {
-        // Get map image
-        const mapImageData = localStorage.getItem('fantasymap_mapimage');
-        const mapImage = mapImageData ? JSON.parse(mapImageData) : null;
-
-        // Get locations
-        const locations = MarkersModule.exportLocations();
-
-        // Get travel settings
-        const travelSettings = TravelCalculator.getSettings();
-
-        // Get custom stamps
-        const stamps = StampManager.getAllStamps();
-
-        return {
-            version: '1.0.0',
-            exportedAt: Date.now(),
-            mapImage: mapImage,
-            locations: locations,
-            travelSettings: travelSettings,
-            stamps: stamps
-        };
+    // Where the browser-only version (format 1.0.0) kept its single project
+    legacyKeys: {
+        meta: 'fantasymap_meta',
+        mapImage: 'fantasymap_mapimage',
+        locations: 'fantasymap_locations',
+        travelSettings: 'fantasymap_travel',
+        stamps: 'fantasymap_stamps'
     },
 
     /**
-     * Export project as JSON file (triggers download)
-     * @param {string} filename - Optional filename
+     * Whether this browser still holds a project from the browser-only version.
+     * Only its locations and meta count: travel settings and stamps were saved even with
+     * no map, and earlier server versions cached every uploaded map image on its own.
+     * @returns {boolean}
      */
-    downloadProject(filename = 'fantasy-map-project.json') {
-        const data = this.exportProject();
-        const json = JSON.stringify(data, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    hasLegacyProject() {
+        return !!(
+            localStorage.getItem(this.legacyKeys.locations) ||
+            localStorage.getItem(this.legacyKeys.meta)
+        );
     },
 
     /**
-     * Import project from JSON
-     * @param {Object} data - Project data
-     * @param {boolean} replace - Whether to replace existing data
+     * Remove a map image cached by an earlier server version, which is already on the
+     * server. It is kept when it belongs to a browser-only project.
      */
-    importProject(data, replace = true) {
-        if (!data || !data.version) {
-            throw new Error('Invalid project file');
+    clearStrayMapImage() {
+        if (!this.hasLegacyProject()) {
+            localStorage.removeItem(this.legacyKeys.mapImage);
         }
-
-        // Import map image
-        if (data.mapImage && replace) {
-            localStorage.setItem('fantasymap_mapimage', JSON.stringify(data.mapImage));
-            MapModule.loadMapImage(
-                data.mapImage.imageUrl,
-                data.mapImage.width,
-                data.mapImage.height
-            );
-        }
-
-        // Import locations
-        if (data.locations) {
-            MarkersModule.importLocations(data.locations, replace);
-        }
-
-        // Import travel settings
-        if (data.travelSettings && replace) {
-            TravelCalculator.speeds = data.travelSettings.speeds;
-            TravelCalculator.hoursPerDay = data.travelSettings.hoursPerDay;
-            TravelCalculator.scale = data.travelSettings.scale;
-            TravelCalculator.saveSettings();
-        }
-
-        // Import stamps
-        if (data.stamps && replace) {
-            StampManager.stamps = data.stamps;
-            StampManager.saveStamps();
-        }
-
-        return true;
     },
 
     /**
-     * Load project from file
-     * @param {File} file - JSON file
-     * @returns {Promise}
+     * Read the project left in this browser, in the format its "Save Project" wrote
+     * @returns {Object|null} Legacy project, or null if there isn't one
      */
-    loadFromFile(file) {
-        return new Promise((resolve, reject) => {
-            if (!file.name.endsWith('.json')) {
-                reject(new Error('Please select a JSON file'));
-                return;
+    readLegacyProject() {
+        if (!this.hasLegacyProject()) return null;
+
+        const read = (key) => {
+            try {
+                return JSON.parse(localStorage.getItem(key));
+            } catch (err) {
+                console.error(`Unreadable ${key}:`, err);
+                return null;
             }
+        };
 
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    this.importProject(data, true);
-                    resolve(data);
-                } catch (err) {
-                    reject(new Error('Failed to parse project file: ' + err.message));
-                }
-            };
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
-        });
+        return {
+            version: '1.0.0',
+            exportedAt: Date.now(),
+            mapImage: read(this.legacyKeys.mapImage),
+            locations: read(this.legacyKeys.locations) || [],
+            travelSettings: read(this.legacyKeys.travelSettings),
+            stamps: read(this.legacyKeys.stamps)
+        };
     },
 
     /**
-     * Check if there's existing project data
+     * Whether parsed import data is a legacy project rather than a world export
+     * @param {Object} data - Parsed import file
      * @returns {boolean}
      */
-    hasExistingData() {
-        return !!(
-            localStorage.getItem('fantasymap_mapimage') ||
-            localStorage.getItem('fantasymap_locations')
-        );
+    isLegacyProject(data) {
+        if (!data || typeof data !== 'object' || data.world) return false;
+        return data.version === '1.0.0' || 'mapImage' in data || Array.isArray(data.locations);
     },
 
     /**
-     * Clear all project data
+     * Forget the legacy project once it is safely on the server
      */
-    clearAllData() {
-        localStorage.removeItem('fantasymap_meta');
-        localStorage.removeItem('fantasymap_mapimage');
-        localStorage.removeItem('fantasymap_locations');
-        localStorage.removeItem('fantasymap_travel');
-        localStorage.removeItem('fantasymap_stamps');
-
-        // Reinitialize modules
-        StampManager.init();
-        TravelCalculator.init();
-        MapModule.clearMap();
-        MarkersModule.clearAll();
-    },
-
-    /**
-     * Get project metadata
-     * @returns {Object|null}
-     */
-    getProjectMeta() {
-        const meta = localStorage.getItem('fantasymap_meta');
-        return meta ? JSON.parse(meta) : null;
-    },
-
-    /**
-     * Export locations only (for wiki integration)
-     * @returns {string} CSV format
-     */
-    exportLocationsAsCSV() {
-        const locations = MarkersModule.getAllLocations();
-        const headers = ['Name', 'Description', 'Wiki Link', 'Notes', 'Stamp', 'X', 'Y'];
-        const rows = locations.map(loc => {
-            const stamp = StampManager.getStamp(loc.stampId);
-            return [
-                `"${(loc.name || '').replace(/"/g, '""')}"`,
-                `"${(loc.description || '').replace(/"/g, '""')}"`,
-                `"${(loc.wikiLink || '').replace(/"/g, '""')}"`,
-                `"${(loc.notes || '').replace(/"/g, '""')}"`,
-                stamp ? stamp.name : loc.stampId,
-                loc.x,
-                loc.y
-            ].join(',');
-        });
-
-        return [headers.join(','), ...rows].join('\n');
-    },
-
-    /**
-     * Download locations as CSV
-     */
-    downloadLocationsCSV(filename = 'map-locations.csv') {
-        const csv = this.exportLocationsAsCSV();
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    clearLegacyProject() {
+        for (const key of Object.values(this.legacyKeys)) {
+            localStorage.removeItem(key);
+        }
     }
 };
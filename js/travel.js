@@ -57,17 +57,6 @@ const TravelCalculator = {
         this.hoursPerDay = settings.hours_per_day || 8;
     },
 
-    /**
-     * Save settings to localStorage
-     */
-    saveSettings() {
-        localStorage.setItem('fantasymap_travel', JSON.stringify({
-            speeds: this.speeds,
-            hoursPerDay: this.hoursPerDay,
-            scale: this.scale
-        }));
-    },
-
     /**
      * Set map scale
      * @param {number} pixelsPerUnit - Pixels per distance unit
@@ -76,7 +65,6 @@ const TravelCalculator = {
     setScale(pixelsPerUnit, unit) {
         this.scale.pixelsPerUnit = pixelsPerUnit;
         this.scale.unit = unit;
-        this.saveSettings();
     },
 
     /**
@@ -222,7 +210,6 @@ const TravelCalculator = {
     setSpeed(mode, speed) {
         if (this.speeds.hasOwnProperty(mode)) {
             this.speeds[mode] = speed;
-            this.saveSettings();
         }
     },
 
@@ -232,7 +219,6 @@ const TravelCalculator = {
      */
     setHoursPerDay(hours) {
         this.hoursPerDay = Math.max(1, Math.min(24, hours));
-        this.saveSettings();
     },
 
     /**
@@ -252,6 +238,5 @@ const TravelCalculator = {
     resetToDefaults() {
         this.speeds = { ...this.defaultSpeeds };
         this.hoursPerDay = 8;
-        this.saveSettings();
     }
 };
@@ -0,0 +1,125 @@
+/**
+ * Fantasy Map Builder - Undo Manager
+ * Undo/redo stack for map edits
+ */
+
+const UndoManager = {
+    // Commands that can be undone, most recent last
+    undoStack: [],
+
+    // Commands that were undone and can be redone, most recent last
+    redoStack: [],
+
+    // Maximum number of commands kept
+    limit: 100,
+
+    // True while a command is being replayed
+    busy: false,
+
+    // Event callbacks
+    onChange: null,
+    onError: null,
+
+    /**
+     * Record a command that has just been carried out
+     * @param {Object} command - { label, undo, redo } where undo and redo are async functions
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+
+        // A new edit starts a new branch of history
+        this.redoStack = [];
+        this.notify();
+    },
+
+    /**
+     * Undo the most recent command
+     * @returns {Object|null} The command undone
+     */
+    async undo() {
+        return this.replay(this.undoStack, this.redoStack, 'undo');
+    },
+
+    /**
+     * Redo the most recently undone command
+     * @returns {Object|null} The command redone
+     */
+    async redo() {
+        return this.replay(this.redoStack, this.undoStack, 'redo');
+    },
+
+    /**
+     * Run a command from one stack and move it to the other
+     */
+    async replay(from, to, direction) {
+        if (this.busy || from.length === 0) return null;
+
+        const command = from.pop();
+        this.busy = true;
+        this.notify();
+
+        try {
+            await command[direction]();
+            to.push(command);
+            return command;
+        } catch (err) {
+            // The command no longer applies (e.g. someone else deleted the location), so drop it
+            if (this.onError) {
+                this.onError(err, command, direction);
+            }
+            return null;
+        } finally {
+            this.busy = false;
+            this.notify();
+        }
+    },
+
+    /**
+     * Check if there is anything to undo
+     */
+    canUndo() {
+        return !this.busy && this.undoStack.length > 0;
+    },
+
+    /**
+     * Check if there is anything to redo
+     */
+    canRedo() {
+        return !this.busy && this.redoStack.length > 0;
+    },
+
+    /**
+     * Get the command the next undo would run
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    },
+
+    /**
+     * Get the command the next redo would run
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    },
+
+    /**
+     * Forget all commands (e.g. when switching maps)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    },
+
+    /**
+     * Tell listeners the stacks changed
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+};
@@ -0,0 +1,292 @@
+/**
+ * Fantasy Map Builder - Static Site Viewer
+ * Shows a world exported as a static site, read-only and without the server.
+ * The world comes from data.js (window.FANTASYMAP_SITE), written by the export.
+ */
+
+const ViewerApp = {
+    // The exported world: { world, customStamps, maps }, each map with its locations
+    site: null,
+
+    // Map being shown
+    currentMap: null,
+
+    // Most search results listed
+    searchLimit: 50,
+
+    /**
+     * Initialize the viewer
+     */
+    init() {
+        this.site = window.FANTASYMAP_SITE || null;
+
+        StampManager.init();
+        MapModule.readOnly = true;
+        MapModule.init();
+        MarkersModule.init();
+        MarkersModule.setEditable(false);
+        MarkersModule.onLocationSelect = (location) => this.showLocationDetails(location);
+
+        MapModule.map.on('click', () => {
+            MarkersModule.deselectAll();
+            this.hideLocationDetails();
+        });
+
+        if (!this.site) {
+            document.getElementById('location-details').querySelector('.placeholder-text').textContent =
+                'No world data found. Open the index.html of an exported site.';
+            return;
+        }
+
+        document.title = this.site.world.name;
+        document.getElementById('site-title').textContent = this.site.world.name;
+        StampManager.loadCustomStamps(this.site.customStamps);
+
+        const select = document.getElementById('map-select');
+        for (const map of this.site.maps) {
+            const option = document.createElement('option');
+            option.value = map.id;
+            option.textContent = map.name;
+            select.appendChild(option);
+        }
+        select.disabled = this.site.maps.length === 0;
+        select.addEventListener('change', () => this.selectMap(select.value));
+
+        this.setupSearch();
+
+        if (this.site.maps.length > 0) {
+            this.selectMap(this.site.maps[0].id);
+        }
+    },
+
+    /**
+     * Show a map and its locations
+     */
+    selectMap(mapId) {
+        const map = this.site.maps.find(m => m.id === mapId);
+        if (!map) return;
+
+        this.currentMap = map;
+        document.getElementById('map-select').value = map.id;
+        this.hideLocationDetails();
+        MarkersModule.clearAll();
+
+        if (map.image_url) {
+            MapModule.loadMapImage(map.image_url, map.width, map.height);
+        } else {
+            MapModule.clearMap();
+        }
+
+        // Every location is in the export, so there is nothing to load by viewport
+        MarkersModule.loadLocations(map.locations);
+    },
+
+    /**
+     * Show a location's card in the sidebar
+     */
+    showLocationDetails(location) {
+        const stamp = StampManager.getStamp(location.stamp_id);
+
+        const card = document.createElement('div');
+        card.className = 'location-card';
+
+        const header = document.createElement('div');
+        header.className = 'location-card-header';
+
+        const icon = document.createElement('span');
+        icon.className = 'location-card-icon';
+        icon.textContent = stamp ? stamp.icon : '📍';
+
+        const title = document.createElement('span');
+        title.className = 'location-card-title';
+        title.textContent = location.name || 'Unnamed Location';
+
+        header.append(icon, title);
+        card.appendChild(header);
+
+        if (location.description) {
+            const description = document.createElement('p');
+            description.className = 'location-card-description';
+            description.textContent = location.description;
+            card.appendChild(description);
+        }
+
+        if (location.wiki_link) {
+            const link = document.createElement('a');
+            link.className = 'location-card-wiki';
+            link.href = location.wiki_link;
+            link.target = '_blank';
+            link.rel = 'noopener';
+
+            const linkIcon = document.createElement('span');
+            linkIcon.className = 'wiki-icon';
+            linkIcon.textContent = '📖';
+
+            const linkText = document.createElement('span');
+            linkText.textContent = 'Open Wiki Page';
+
+            link.append(linkIcon, linkText);
+            card.appendChild(link);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'location-card-actions';
+        const panButton = document.createElement('button');
+        panButton.className = 'small-btn';
+        panButton.textContent = 'Pan To';
+        panButton.addEventListener('click', () => MarkersModule.panToLocation(location.id));
+        actions.appendChild(panButton);
+        card.appendChild(actions);
+
+        const details = document.getElementById('location-details');
+        details.innerHTML = '';
+        details.appendChild(card);
+    },
+
+    /**
+     * Put the sidebar back to its placeholder
+     */
+    hideLocationDetails() {
+        const placeholder = document.createElement('p');
+        placeholder.className = 'placeholder-text';
+        placeholder.textContent = 'Click on a marker to view details';
+
+        const details = document.getElementById('location-details');
+        details.innerHTML = '';
+        details.appendChild(placeholder);
+    },
+
+    /**
+     * Setup the search box, which searches every map in the export
+     */
+    setupSearch() {
+        const input = document.getElementById('search-input');
+        const results = document.getElementById('search-results');
+
+        input.addEventListener('input', () => this.renderSearchResults(this.search(input.value)));
+
+        input.addEventListener('focus', () => {
+            if (results.childElementCount > 0) results.style.display = 'block';
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                results.style.display = 'none';
+                input.blur();
+            } else if (e.key === 'Enter') {
+                results.querySelector('.search-result')?.click();
+            }
+        });
+
+        // Close the results when clicking anywhere else
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-group')) {
+                results.style.display = 'none';
+            }
+        });
+    },
+
+    /**
+     * Find maps and locations whose names (or, for locations, descriptions) contain the query.
+     * Name matches come first.
+     * @param {string} query - Search text
+     * @returns {Array|null} Hits ({ type, name, map, location }), or null for an empty query
+     */
+    search(query) {
+        query = query.trim().toLowerCase();
+        if (!query) return null;
+
+        const byName = [];
+        const byDescription = [];
+
+        for (const map of this.site.maps) {
+            if (map.name.toLowerCase().includes(query)) {
+                byName.push({ type: 'map', name: map.name, map });
+            }
+            for (const location of map.locations) {
+                const hit = { type: 'location', name: location.name || 'Unnamed Location', map, location };
+                if ((location.name || '').toLowerCase().includes(query)) {
+                    byName.push(hit);
+                } else if ((location.description || '').toLowerCase().includes(query)) {
+                    byDescription.push(hit);
+                }
+            }
+        }
+
+        return [...byName, ...byDescription].slice(0, this.searchLimit);
+    },
+
+    /**
+     * Render search hits under the search box
+     * @param {Array|null} hits - Hits from search(), or null to close the results
+     */
+    renderSearchResults(hits) {
+        const results = document.getElementById('search-results');
+        results.innerHTML = '';
+
+        if (!hits) {
+            results.style.display = 'none';
+            return;
+        }
+
+        if (hits.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-empty';
+            empty.textContent = 'No matches';
+            results.appendChild(empty);
+        }
+
+        for (const hit of hits) {
+            const item = document.createElement('button');
+            item.className = 'search-result';
+
+            const icon = document.createElement('span');
+            icon.className = 'search-result-icon';
+            icon.textContent = hit.type === 'location'
+                ? (StampManager.getStamp(hit.location.stamp_id)?.icon || '📍')
+                : '🗺️';
+
+            const body = document.createElement('span');
+            body.className = 'search-result-body';
+
+            const name = document.createElement('span');
+            name.className = 'search-result-name';
+            name.textContent = hit.name;
+
+            const context = document.createElement('span');
+            context.className = 'search-result-context';
+            context.textContent = hit.type === 'location' ? hit.map.name : 'Map';
+
+            body.append(name, context);
+            item.append(icon, body);
+            item.addEventListener('click', () => this.openSearchHit(hit));
+            results.appendChild(item);
+        }
+
+        results.style.display = 'block';
+    },
+
+    /**
+     * Show the map a search hit is on, and select it if it's a location
+     */
+    openSearchHit(hit) {
+        document.getElementById('search-results').style.display = 'none';
+
+        const switching = this.currentMap?.id !== hit.map.id;
+        if (switching) {
+            this.selectMap(hit.map.id);
+        }
+
+        if (hit.type === 'location') {
+            MarkersModule.selectLocation(hit.location.id);
+            // A newly shown image fits the view to itself once loaded, so pan after that
+            if (switching && MapModule.imageLayer) {
+                MapModule.imageLayer.once('load', () => MarkersModule.panToLocation(hit.location.id));
+            } else {
+                MarkersModule.panToLocation(hit.location.id);
+            }
+        }
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => ViewerApp.init());
@@ -0,0 +1,57 @@
+/**
+ * Fantasy Map Builder - CSV Export
+ * Writes locations as CSV for spreadsheets; the import wizard (js/csv.js) reads it back
+ */
+
+// Columns of a CSV export, in order. x_scaled and y_scaled are x and y multiplied by the
+// map's scale, in scale_unit; they are for reading in a spreadsheet and aren't imported.
+const CSV_COLUMNS = ['map', 'name', 'description', 'wiki_link', 'notes', 'stamp_id', 'stamp', 'x', 'y', 'x_scaled', 'y_scaled', 'scale_unit'];
+
+/**
+ * Write one CSV field. Text is always quoted, and text a spreadsheet would run
+ * as a formula gets a leading ' (the import wizard removes it again).
+ */
+const csvField = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Write the locations of some maps as CSV, one row per location
+ * @param {Array} maps - Maps, each with its locations
+ * @param {Map} stamps - Stamps by ID (built-in and the world's custom stamps), to name them
+ * @returns {string}
+ */
+function locationsToCsv(maps, stamps) {
+    const rows = [CSV_COLUMNS.join(',')];
+
+    for (const map of maps) {
+        const scale = map.scale_value > 0 ? map.scale_value : 1;
+        const scaled = (pixels) => Math.round(pixels * scale * 1000) / 1000;
+
+        for (const location of map.locations) {
+            const stamp = stamps.get(location.stamp_id);
+            rows.push([
+                map.name,
+                location.name,
+                location.description,
+                location.wiki_link,
+                location.notes,
+                location.stamp_id,
+                stamp ? stamp.name : null,
+                location.x,
+                location.y,
+                scaled(location.x),
+                scaled(location.y),
+                map.scale_unit || 'miles'
+            ].map(csvField).join(','));
+        }
+    }
+
+    return rows.join('\r\n') + '\r\n';
+}
+
+module.exports = { locationsToCsv, CSV_COLUMNS };
@@ -4,135 +4,74 @@
  */
 
 const Database = require('better-sqlite3');
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcrypt');
+const { ImageStore } = require('./images');
+const { TileStore } = require('./tiles');
+const { migrate } = require('./migrations');
+const { DATA_PATH } = require('./paths');
 
 // Password hashing rounds
 const SALT_ROUNDS = 10;
 
+// User columns that are safe to return (everything but the password hash)
+const USER_COLUMNS = 'id, username, display_name, is_admin, disabled, created_at, updated_at';
+
+// Sets updated_at to now, but always later than before: it is the ETag of worlds,
+// maps and locations, so two saves in the same millisecond must still differ
+const TOUCH_UPDATED_AT = 'updated_at = MAX(?, updated_at + 1)';
+
+// Image files released by maps, checked once the change that released them is over (see MapsDB.releaseImage)
+const releasedImages = new Set();
+
 // Database file path
-const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'fantasymap.db');
+const DB_PATH = process.env.DB_PATH || path.join(DATA_PATH, 'fantasymap.db');
 
 // Initialize database
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
 const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 
-/**
- * Initialize database schema
- */
-function initSchema() {
-    db.exec(`
-        -- Users table
-        CREATE TABLE IF NOT EXISTS users (
-            id TEXT PRIMARY KEY,
-            username TEXT UNIQUE NOT NULL,
-            password_hash TEXT NOT NULL,
-            display_name TEXT,
-            created_at INTEGER NOT NULL,
-            updated_at INTEGER NOT NULL
-        );
-
-        -- Worlds table (container for multiple maps)
-        CREATE TABLE IF NOT EXISTS worlds (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            description TEXT DEFAULT '',
-            created_at INTEGER NOT NULL,
-            updated_at INTEGER NOT NULL
-        );
-
-        -- Maps table (individual maps within a world)
-        CREATE TABLE IF NOT EXISTS maps (
-            id TEXT PRIMARY KEY,
-            world_id TEXT NOT NULL,
-            name TEXT NOT NULL,
-            image_data TEXT,
-            width INTEGER DEFAULT 0,
-            height INTEGER DEFAULT 0,
-            scale_value REAL DEFAULT 1,
-            scale_unit TEXT DEFAULT 'miles',
-            created_at INTEGER NOT NULL,
-            updated_at INTEGER NOT NULL,
-            FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
-        );
-
-        -- Locations table (markers on maps)
-        CREATE TABLE IF NOT EXISTS locations (
-            id TEXT PRIMARY KEY,
-            map_id TEXT NOT NULL,
-            name TEXT NOT NULL,
-            description TEXT DEFAULT '',
-            wiki_link TEXT DEFAULT '',
-            notes TEXT DEFAULT '',
-            stamp_id TEXT DEFAULT 'pin',
-            x REAL NOT NULL,
-            y REAL NOT NULL,
-            created_at INTEGER NOT NULL,
-            updated_at INTEGER NOT NULL,
-            FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE
-        );
-
-        -- Custom stamps table (per-world custom stamps)
-        CREATE TABLE IF NOT EXISTS custom_stamps (
-            id TEXT PRIMARY KEY,
-            world_id TEXT NOT NULL,
-            icon TEXT NOT NULL,
-            name TEXT NOT NULL,
-            category TEXT DEFAULT 'custom',
-            created_at INTEGER NOT NULL,
-            FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
-        );
-
-        -- Travel settings table (per-world travel configuration)
-        CREATE TABLE IF NOT EXISTS travel_settings (
-            id TEXT PRIMARY KEY,
-            world_id TEXT UNIQUE NOT NULL,
-            walking_speed REAL DEFAULT 3,
-            horse_speed REAL DEFAULT 8,
-            wagon_speed REAL DEFAULT 4,
-            hours_per_day INTEGER DEFAULT 8,
-            FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
-        );
-
-        -- Create indexes for better query performance
-        CREATE INDEX IF NOT EXISTS idx_maps_world_id ON maps(world_id);
-        CREATE INDEX IF NOT EXISTS idx_locations_map_id ON locations(map_id);
-        CREATE INDEX IF NOT EXISTS idx_custom_stamps_world_id ON custom_stamps(world_id);
-    `);
-}
-
-// Initialize schema on module load
-initSchema();
+// Bring the schema up to date before anything queries it
+migrate(db, DB_PATH);
 
 /**
  * World operations
  */
 const WorldsDB = {
-    getAll() {
+    /**
+     * Get all worlds a user owns or has been invited to, with their role in each
+     */
+    getForUser(userId) {
         return db.prepare(`
             SELECT w.*,
+                   CASE WHEN w.owner_id = ? THEN 'owner' ELSE wm.role END as role,
                    COUNT(DISTINCT m.id) as map_count,
                    COUNT(DISTINCT l.id) as location_count
             FROM worlds w
-            LEFT JOIN maps m ON m.world_id = w.id
-            LEFT JOIN locations l ON l.map_id = m.id
+            LEFT JOIN world_members wm ON wm.world_id = w.id AND wm.user_id = ?
+            LEFT JOIN maps m ON m.world_id = w.id AND m.deleted_at IS NULL
+            LEFT JOIN locations l ON l.map_id = m.id AND l.deleted_at IS NULL
+            WHERE (w.owner_id = ? OR wm.user_id IS NOT NULL) AND w.deleted_at IS NULL
             GROUP BY w.id
             ORDER BY w.updated_at DESC
-        `).all();
+        `).all(userId, userId, userId);
     },
 
     getById(id) {
-        return db.prepare('SELECT * FROM worlds WHERE id = ?').get(id);
+        return db.prepare('SELECT * FROM worlds WHERE id = ? AND deleted_at IS NULL').get(id);
     },
 
     create(data) {
         const id = uuidv4();
         const now = Date.now();
         db.prepare(`
-            INSERT INTO worlds (id, name, description, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?)
-        `).run(id, data.name || 'New World', data.description || '', now, now);
+            INSERT INTO worlds (id, owner_id, name, description, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(id, data.owner_id, data.name || 'New World', data.description || '', now, now);
 
         // Create default travel settings for this world
         TravelSettingsDB.create(id);
@@ -155,7 +94,7 @@ const WorldsDB = {
         }
 
         if (fields.length > 0) {
-            fields.push('updated_at = ?');
+            fields.push(TOUCH_UPDATED_AT);
             values.push(now);
             values.push(id);
 
@@ -165,42 +104,184 @@ const WorldsDB = {
         return this.getById(id);
     },
 
-    delete(id) {
+    /**
+     * Move a world to the trash. Its contents stay as they are and come back with it.
+     */
+    delete(id, userId) {
+        db.prepare('UPDATE worlds SET deleted_at = ?, deleted_by = ? WHERE id = ?').run(Date.now(), userId, id);
+        return { success: true };
+    },
+
+    /**
+     * Permanently delete a world and everything in it
+     */
+    purge(id) {
+        const mapIds = db.prepare('SELECT id FROM maps WHERE world_id = ?').pluck().all(id);
+        for (const mapId of mapIds) {
+            MapsDB.purge(mapId);
+        }
+        db.prepare('DELETE FROM custom_stamps WHERE world_id = ?').run(id);
+        db.prepare('DELETE FROM travel_settings WHERE world_id = ?').run(id);
+        db.prepare('DELETE FROM world_members WHERE world_id = ?').run(id);
         db.prepare('DELETE FROM worlds WHERE id = ?').run(id);
         return { success: true };
+    },
+
+    /**
+     * Move every world owned by one user to another
+     */
+    transferOwnership(fromUserId, toUserId) {
+        const now = Date.now();
+        db.prepare('UPDATE worlds SET owner_id = ?, updated_at = ? WHERE owner_id = ?').run(toUserId, now, fromUserId);
+        // The new owner no longer needs a separate membership in those worlds
+        db.prepare(`
+            DELETE FROM world_members
+            WHERE user_id = ? AND world_id IN (SELECT id FROM worlds WHERE owner_id = ?)
+        `).run(toUserId, toUserId);
+        return { success: true };
+    },
+
+    /**
+     * Assign every world without an owner to the given user
+     */
+    claimUnowned(ownerId) {
+        db.prepare('UPDATE worlds SET owner_id = ? WHERE owner_id IS NULL').run(ownerId);
+        return { success: true };
     }
 };
 
+/**
+ * World member operations
+ */
+const WorldMembersDB = {
+    /**
+     * Get everyone a world is shared with, including their user details
+     */
+    getByWorldId(worldId) {
+        return db.prepare(`
+            SELECT wm.world_id, wm.user_id, wm.role, wm.created_at, wm.updated_at,
+                   u.username, u.display_name
+            FROM world_members wm
+            JOIN users u ON u.id = wm.user_id
+            WHERE wm.world_id = ?
+            ORDER BY u.username ASC
+        `).all(worldId);
+    },
+
+    /**
+     * Get a single membership
+     */
+    get(worldId, userId) {
+        return db.prepare(`
+            SELECT wm.world_id, wm.user_id, wm.role, wm.created_at, wm.updated_at,
+                   u.username, u.display_name
+            FROM world_members wm
+            JOIN users u ON u.id = wm.user_id
+            WHERE wm.world_id = ? AND wm.user_id = ?
+        `).get(worldId, userId);
+    },
+
+    /**
+     * Add a member or change their role
+     */
+    set(worldId, userId, role) {
+        const now = Date.now();
+        db.prepare(`
+            INSERT INTO world_members (world_id, user_id, role, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (world_id, user_id) DO UPDATE SET role = excluded.role, updated_at = excluded.updated_at
+        `).run(worldId, userId, role, now, now);
+        return this.get(worldId, userId);
+    },
+
+    delete(worldId, userId) {
+        db.prepare('DELETE FROM world_members WHERE world_id = ? AND user_id = ?').run(worldId, userId);
+        return { success: true };
+    }
+};
+
+// Map columns returned by queries (image bytes live in the image store, not the row)
+const MAP_COLUMNS = `m.id, m.world_id, m.name, m.image_file, m.image_type, m.image_size,
+                     m.width, m.height, m.scale_value, m.scale_unit, m.created_at, m.updated_at`;
+
+/**
+ * Replace a map row's internal image file name with the URLs the image and
+ * its tile pyramid are served from
+ */
+function formatMap(row) {
+    if (!row) return row;
+    const { image_file, ...map } = row;
+    // The version parameter changes with the image content so browsers can cache it forever
+    map.image_url = image_file ? `/api/maps/${row.id}/image?v=${imageVersion(image_file)}` : null;
+
+    // Tiles are built in the background, so this stays null for a while after an upload
+    const tiles = TileStore.getInfo(image_file);
+    map.tiles = tiles ? {
+        url: `/api/maps/${row.id}/tiles/{z}/{x}/{y}?v=${imageVersion(image_file)}`,
+        size: tiles.size,
+        levels: tiles.levels
+    } : null;
+    return map;
+}
+
+/**
+ * Get the cache-busting version of a stored image file
+ */
+function imageVersion(file) {
+    return file.split('.')[0].slice(0, 16);
+}
+
 /**
  * Map operations
  */
 const MapsDB = {
     getByWorldId(worldId) {
         return db.prepare(`
-            SELECT m.*, COUNT(l.id) as location_count
+            SELECT ${MAP_COLUMNS}, COUNT(l.id) as location_count
             FROM maps m
-            LEFT JOIN locations l ON l.map_id = m.id
-            WHERE m.world_id = ?
+            LEFT JOIN locations l ON l.map_id = m.id AND l.deleted_at IS NULL
+            WHERE m.world_id = ? AND m.deleted_at IS NULL
             GROUP BY m.id
             ORDER BY m.updated_at DESC
-        `).all(worldId);
+        `).all(worldId).map(formatMap);
     },
 
     getById(id) {
-        return db.prepare('SELECT * FROM maps WHERE id = ?').get(id);
+        return formatMap(db.prepare(`SELECT ${MAP_COLUMNS} FROM maps m WHERE m.id = ? AND m.deleted_at IS NULL`).get(id));
     },
 
+    /**
+     * Get the stored image file details for a map
+     */
+    getImage(id) {
+        const image = db.prepare('SELECT image_file, image_type, image_size FROM maps WHERE id = ?').get(id);
+        return image && image.image_file ? image : null;
+    },
+
+    /**
+     * Get every image file in use by a map
+     */
+    getImageFiles() {
+        return db.prepare('SELECT DISTINCT image_file FROM maps WHERE image_file IS NOT NULL').pluck().all();
+    },
+
+    /**
+     * Create a map. An image may be given as a data URL in data.image_data.
+     */
     create(data) {
         const id = uuidv4();
         const now = Date.now();
+        const image = data.image_data ? ImageStore.saveDataUrl(data.image_data) : null;
         db.prepare(`
-            INSERT INTO maps (id, world_id, name, image_data, width, height, scale_value, scale_unit, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO maps (id, world_id, name, image_file, image_type, image_size, width, height, scale_value, scale_unit, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `).run(
             id,
             data.world_id,
             data.name || 'New Map',
-            data.image_data || null,
+            image ? image.file : null,
+            image ? image.type : null,
+            image ? image.size : 0,
             data.width || 0,
             data.height || 0,
             data.scale_value || 1,
@@ -208,6 +289,9 @@ const MapsDB = {
             now,
             now
         );
+        if (image) {
+            TileStore.enqueue(image.file);
+        }
         return this.getById(id);
     },
 
@@ -216,7 +300,7 @@ const MapsDB = {
         const fields = [];
         const values = [];
 
-        const allowedFields = ['name', 'image_data', 'width', 'height', 'scale_value', 'scale_unit'];
+        const allowedFields = ['name', 'width', 'height', 'scale_value', 'scale_unit'];
         for (const field of allowedFields) {
             if (data[field] !== undefined) {
                 fields.push(`${field} = ?`);
@@ -225,18 +309,86 @@ const MapsDB = {
         }
 
         if (fields.length > 0) {
-            fields.push('updated_at = ?');
+            fields.push(TOUCH_UPDATED_AT);
             values.push(now);
             values.push(id);
 
             db.prepare(`UPDATE maps SET ${fields.join(', ')} WHERE id = ?`).run(...values);
         }
 
+        // Older clients still send the image inline as a data URL
+        if (data.image_data !== undefined) {
+            this.setImage(id, data.image_data ? ImageStore.saveDataUrl(data.image_data) : null);
+        }
+
         return this.getById(id);
     },
 
-    delete(id) {
+    /**
+     * Point a map at a stored image (or clear it with null)
+     * @param {string} id - Map ID
+     * @param {Object|null} image - { file, type, size } from ImageStore
+     */
+    setImage(id, image) {
+        const previous = this.getImage(id);
+        db.prepare(`
+            UPDATE maps SET image_file = ?, image_type = ?, image_size = ?, image_data = NULL, ${TOUCH_UPDATED_AT}
+            WHERE id = ?
+        `).run(image ? image.file : null, image ? image.type : null, image ? image.size : 0, Date.now(), id);
+
+        if (image) {
+            TileStore.enqueue(image.file);
+        }
+        if (previous && (!image || previous.image_file !== image.file)) {
+            this.releaseImage(previous.image_file);
+        }
+        return this.getById(id);
+    },
+
+    /**
+     * Delete an image file and its tiles once no map or revision uses it any more.
+     * The check waits for the caller's transaction to end (transactions are synchronous,
+     * so it is over by the next tick): if it rolls back, the file is still in use.
+     */
+    releaseImage(file) {
+        if (releasedImages.size === 0) {
+            setImmediate(() => this.deleteUnusedImages());
+        }
+        releasedImages.add(file);
+    },
+
+    /**
+     * Delete the released image files that nothing uses any more
+     */
+    deleteUnusedImages() {
+        for (const file of releasedImages) {
+            const users = db.prepare('SELECT COUNT(*) as count FROM maps WHERE image_file = ?').get(file);
+            if (users.count === 0 && !RevisionsDB.referencesImage(file)) {
+                ImageStore.remove(file);
+                TileStore.remove(file);
+            }
+        }
+        releasedImages.clear();
+    },
+
+    /**
+     * Move a map to the trash. Its locations stay as they are and come back with it.
+     */
+    delete(id, userId) {
+        db.prepare('UPDATE maps SET deleted_at = ?, deleted_by = ? WHERE id = ?').run(Date.now(), userId, id);
+        return { success: true };
+    },
+
+    /**
+     * Permanently delete a map and its locations
+     */
+    purge(id) {
+        const image = this.getImage(id);
+        LocationsDB.purgeByMapId(id);
         db.prepare('DELETE FROM maps WHERE id = ?').run(id);
+        if (image) {
+            this.releaseImage(image.image_file);
+        }
         return { success: true };
     }
 };
@@ -246,11 +398,121 @@ const MapsDB = {
  */
 const LocationsDB = {
     getByMapId(mapId) {
-        return db.prepare('SELECT * FROM locations WHERE map_id = ? ORDER BY created_at ASC').all(mapId);
+        return db.prepare('SELECT * FROM locations WHERE map_id = ? AND deleted_at IS NULL ORDER BY created_at ASC').all(mapId);
     },
 
+    /**
+     * Get the locations on a map inside a box, using the spatial index
+     * @param {string} mapId - Map ID
+     * @param {Object} bbox - { minX, minY, maxX, maxY } in map pixels
+     */
+    getByMapIdInBounds(mapId, bbox) {
+        return db.prepare(`
+            SELECT l.*
+            FROM locations_rtree r
+            JOIN spatial_keys k ON k.key = r.id
+            JOIN locations l ON l.id = k.record_id
+            WHERE r.min_map = (SELECT key FROM spatial_keys WHERE record_id = ?)
+              AND r.max_x >= ? AND r.min_x <= ?
+              AND r.max_y >= ? AND r.min_y <= ?
+              AND l.deleted_at IS NULL
+            ORDER BY l.created_at ASC
+        `).all(mapId, bbox.minX, bbox.maxX, bbox.minY, bbox.maxY);
+    },
+
+    /**
+     * Get a location, unless it or its map is in the trash
+     */
     getById(id) {
-        return db.prepare('SELECT * FROM locations WHERE id = ?').get(id);
+        return db.prepare(`
+            SELECT l.*
+            FROM locations l
+            JOIN maps m ON m.id = l.map_id
+            WHERE l.id = ? AND l.deleted_at IS NULL AND m.deleted_at IS NULL
+        `).get(id);
+    },
+
+    /**
+     * Get the locations on a map closest to a point, nearest first
+     * @param {string} mapId - Map ID
+     * @param {Object} point - { x, y } in map pixels
+     * @param {Object} options
+     * @param {number} [options.radius] - Only locations within this many pixels
+     * @param {number} [options.limit] - At most this many locations
+     * @param {Array} [options.stampIds] - Only locations with one of these stamps
+     * @param {string} [options.excludeId] - Location to leave out (usually the one at the point)
+     * @returns {Array} Locations with their pixel_distance from the point
+     */
+    getNearby(mapId, point, { radius = null, limit = null, stampIds = [], excludeId = null } = {}) {
+        const stampFilter = stampIds.length > 0 ? `AND l.stamp_id IN (${stampIds.map(() => '?').join(', ')})` : '';
+        const inBox = db.prepare(`
+            SELECT l.*
+            FROM locations_rtree r
+            JOIN spatial_keys k ON k.key = r.id
+            JOIN locations l ON l.id = k.record_id
+            WHERE r.min_map = (SELECT key FROM spatial_keys WHERE record_id = ?)
+              AND r.max_x >= ? AND r.min_x <= ?
+              AND r.max_y >= ? AND r.min_y <= ?
+              AND l.deleted_at IS NULL
+              AND l.id != ?
+              ${stampFilter}
+        `);
+
+        const within = (distance) => inBox.all(
+            mapId,
+            point.x - distance, point.x + distance,
+            point.y - distance, point.y + distance,
+            excludeId || '',
+            ...stampIds
+        )
+            .map(location => ({
+                ...location,
+                pixel_distance: Math.hypot(location.x - point.x, location.y - point.y)
+            }))
+            .filter(location => location.pixel_distance <= distance)
+            .sort((a, b) => a.pixel_distance - b.pixel_distance);
+
+        if (radius !== null) {
+            const locations = within(radius);
+            return limit !== null ? locations.slice(0, limit) : locations;
+        }
+
+        // Without a radius, widen the search until it holds enough locations or
+        // reaches past every location on the map. Anything closer than the search
+        // distance is inside the box, so the nearest found are the nearest overall.
+        const extent = db.prepare(`
+            SELECT MIN(min_x) as min_x, MAX(max_x) as max_x, MIN(min_y) as min_y, MAX(max_y) as max_y
+            FROM locations_rtree
+            WHERE min_map = (SELECT key FROM spatial_keys WHERE record_id = ?)
+        `).get(mapId);
+        if (extent.min_x === null) return [];
+
+        const farthest = Math.hypot(
+            Math.max(Math.abs(point.x - extent.min_x), Math.abs(point.x - extent.max_x)),
+            Math.max(Math.abs(point.y - extent.min_y), Math.abs(point.y - extent.max_y))
+        );
+
+        let distance = 256;
+        for (;;) {
+            const locations = within(distance);
+            if (locations.length >= limit || distance >= farthest) {
+                return locations.slice(0, limit);
+            }
+            distance *= 4;
+        }
+    },
+
+    /**
+     * Get the ID of the world a location belongs to
+     */
+    getWorldId(id) {
+        const row = db.prepare(`
+            SELECT m.world_id
+            FROM locations l
+            JOIN maps m ON m.id = l.map_id
+            WHERE l.id = ?
+        `).get(id);
+        return row ? row.world_id : null;
     },
 
     create(data) {
@@ -289,7 +551,7 @@ const LocationsDB = {
         }
 
         if (fields.length > 0) {
-            fields.push('updated_at = ?');
+            fields.push(TOUCH_UPDATED_AT);
             values.push(now);
             values.push(id);
 
@@ -299,12 +561,23 @@ const LocationsDB = {
         return this.getById(id);
     },
 
-    delete(id) {
+    /**
+     * Move a location to the trash
+     */
+    delete(id, userId) {
+        db.prepare('UPDATE locations SET deleted_at = ?, deleted_by = ? WHERE id = ?').run(Date.now(), userId, id);
+        return { success: true };
+    },
+
+    /**
+     * Permanently delete a location
+     */
+    purge(id) {
         db.prepare('DELETE FROM locations WHERE id = ?').run(id);
         return { success: true };
     },
 
-    deleteByMapId(mapId) {
+    purgeByMapId(mapId) {
         db.prepare('DELETE FROM locations WHERE map_id = ?').run(mapId);
         return { success: true };
     }
@@ -318,6 +591,10 @@ const CustomStampsDB = {
         return db.prepare('SELECT * FROM custom_stamps WHERE world_id = ? ORDER BY created_at ASC').all(worldId);
     },
 
+    getById(id) {
+        return db.prepare('SELECT * FROM custom_stamps WHERE id = ?').get(id);
+    },
+
     create(data) {
         const id = uuidv4();
         const now = Date.now();
@@ -325,7 +602,7 @@ const CustomStampsDB = {
             INSERT INTO custom_stamps (id, world_id, icon, name, category, created_at)
             VALUES (?, ?, ?, ?, ?, ?)
         `).run(id, data.world_id, data.icon, data.name, data.category || 'custom', now);
-        return db.prepare('SELECT * FROM custom_stamps WHERE id = ?').get(id);
+        return this.getById(id);
     },
 
     delete(id) {
@@ -372,6 +649,449 @@ const TravelSettingsDB = {
     }
 };
 
+// Markers the index puts around matches in snippets, replaced with <mark> once the snippet is escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Search terms beyond this are ignored
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * Full-text search operations
+ *
+ * Worlds, maps and locations are indexed by triggers (see migration 4), so the
+ * index never needs updating here.
+ */
+const SearchDB = {
+    /**
+     * Turn what a user typed into an FTS5 query matching every word as a prefix
+     * @returns {string|null} Query, or null if there is nothing to search for
+     */
+    buildQuery(text) {
+        const terms = (text.match(/[\p{L}\p{N}_]+/gu) || []).slice(0, MAX_SEARCH_TERMS);
+        if (terms.length === 0) return null;
+        return terms.map(term => `"${term}"*`).join(' ');
+    },
+
+    /**
+     * Search the worlds, maps and locations a user can see, best matches first
+     * @param {string} userId - User whose worlds are searched
+     * @param {string} text - Search text
+     * @param {number} limit - Maximum number of hits
+     * @returns {Array} Hits with type, id, name, an HTML snippet with <mark>ed matches, world and map
+     */
+    search(userId, text, limit = 20) {
+        const query = this.buildQuery(text);
+        if (!query) return [];
+
+        // Names count for more than descriptions, descriptions for more than notes
+        const rows = db.prepare(`
+            SELECT e.entity_type as type, e.entity_id as id,
+                   snippet(search_index, -1, ?, ?, '…', 16) as snippet,
+                   bm25(search_index, 10.0, 3.0, 1.0) as rank,
+                   w.id as world_id, w.name as world_name,
+                   CASE WHEN w.owner_id = ? THEN 'owner' ELSE wm.role END as role,
+                   m.id as map_id, m.name as map_name,
+                   COALESCE(l.name, m.name, w.name) as name,
+                   l.stamp_id, l.x, l.y
+            FROM search_index
+            JOIN search_entries e ON e.id = search_index.rowid
+            LEFT JOIN locations l ON e.entity_type = 'location' AND l.id = e.entity_id
+            LEFT JOIN maps m ON m.id = CASE e.entity_type WHEN 'map' THEN e.entity_id ELSE l.map_id END
+            JOIN worlds w ON w.id = CASE e.entity_type WHEN 'world' THEN e.entity_id ELSE m.world_id END
+            LEFT JOIN world_members wm ON wm.world_id = w.id AND wm.user_id = ?
+            WHERE search_index MATCH ?
+              AND (w.owner_id = ? OR wm.user_id IS NOT NULL)
+              AND w.deleted_at IS NULL
+              AND (e.entity_type = 'world' OR m.deleted_at IS NULL)
+              AND (e.entity_type != 'location' OR l.deleted_at IS NULL)
+            ORDER BY rank
+            LIMIT ?
+        `).all(MATCH_START, MATCH_END, userId, userId, query, userId, limit);
+
+        return rows.map(row => ({
+            type: row.type,
+            id: row.id,
+            name: row.name,
+            snippet: escapeHtml(row.snippet || '')
+                .split(MATCH_START).join('<mark>')
+                .split(MATCH_END).join('</mark>'),
+            rank: row.rank,
+            role: row.role,
+            world: { id: row.world_id, name: row.world_name },
+            map: row.map_id ? { id: row.map_id, name: row.map_name } : null,
+            location: row.type === 'location' ? { stamp_id: row.stamp_id, x: row.x, y: row.y } : null
+        }));
+    }
+};
+
+// Tables holding each kind of record that keeps a revision history
+const REVISION_TABLES = {
+    world: 'worlds',
+    map: 'maps',
+    location: 'locations'
+};
+
+// Fields a restore puts back from a revision. Everything else (owners, the world or map a
+// record is in, a map's image and its size) is kept from the current row, since changes to
+// it such as ownership transfers aren't recorded as revisions.
+const RESTORED_FIELDS = {
+    world: ['name', 'description'],
+    map: ['name', 'scale_value', 'scale_unit'],
+    location: ['name', 'description', 'wiki_link', 'notes', 'stamp_id', 'x', 'y']
+};
+
+// Revision columns returned by queries
+const REVISION_COLUMNS = `r.id, r.entity_type, r.entity_id, r.world_id, r.action, r.data, r.user_id, r.created_at,
+                          u.username, u.display_name`;
+
+/**
+ * Parse the JSON snapshot of a revision row
+ */
+function formatRevision(row) {
+    if (!row) return row;
+    return { ...row, data: JSON.parse(row.data) };
+}
+
+/**
+ * Prepare a row for a snapshot. Trash state isn't part of a record's history,
+ * and legacy inline image data is never copied.
+ */
+function snapshotRow(row) {
+    if (!row) return row;
+    const { deleted_at, deleted_by, image_data, ...data } = row;
+    return data;
+}
+
+/**
+ * Revision history operations
+ *
+ * Every create, update, delete and restore of a world, map or location stores a
+ * snapshot of the record. Deletes snapshot the record as it was when it went to
+ * the trash.
+ */
+const RevisionsDB = {
+    /**
+     * Check if a kind of record keeps revisions
+     */
+    isTracked(entityType) {
+        return Object.prototype.hasOwnProperty.call(REVISION_TABLES, entityType);
+    },
+
+    /**
+     * Read the current state of a record, including trashed records
+     */
+    snapshot(entityType, id) {
+        const table = REVISION_TABLES[entityType];
+        return snapshotRow(db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id)) || null;
+    },
+
+    /**
+     * Record a revision of a record's current state. Call after a create or
+     * update, and before a delete.
+     * @param {string} entityType - 'world', 'map' or 'location'
+     * @param {string} entityId - Record ID
+     * @param {string} action - 'create', 'update', 'delete' or 'restore'
+     * @param {string} userId - Author of the change
+     */
+    record(entityType, entityId, action, userId) {
+        const data = this.snapshot(entityType, entityId);
+        if (!data) return null;
+
+        const worldId = entityType === 'world' ? data.id
+            : entityType === 'map' ? data.world_id
+                : LocationsDB.getWorldId(entityId);
+
+        const id = uuidv4();
+        db.prepare(`
+            INSERT INTO revisions (id, entity_type, entity_id, world_id, action, data, user_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(id, entityType, entityId, worldId, action, JSON.stringify(data), userId, Date.now());
+        return this.getById(id);
+    },
+
+    /**
+     * Get a record's history, newest first
+     */
+    getForEntity(entityType, entityId) {
+        return db.prepare(`
+            SELECT ${REVISION_COLUMNS}
+            FROM revisions r
+            LEFT JOIN users u ON u.id = r.user_id
+            WHERE r.entity_type = ? AND r.entity_id = ?
+            ORDER BY r.created_at DESC, r.rowid DESC
+        `).all(entityType, entityId).map(formatRevision);
+    },
+
+    getById(id) {
+        return formatRevision(db.prepare(`
+            SELECT ${REVISION_COLUMNS}
+            FROM revisions r
+            LEFT JOIN users u ON u.id = r.user_id
+            WHERE r.id = ?
+        `).get(id));
+    },
+
+    /**
+     * Get the newest revision of a record
+     */
+    getLatest(entityType, entityId) {
+        const row = db.prepare(`
+            SELECT id FROM revisions
+            WHERE entity_type = ? AND entity_id = ?
+            ORDER BY created_at DESC, rowid DESC
+            LIMIT 1
+        `).get(entityType, entityId);
+        return row ? this.getById(row.id) : null;
+    },
+
+    /**
+     * Get the revision of the same record made just before the given one
+     */
+    getPrevious(revision) {
+        const row = db.prepare(`
+            SELECT id FROM revisions
+            WHERE entity_type = ? AND entity_id = ?
+              AND (created_at < ? OR (created_at = ? AND rowid < (SELECT rowid FROM revisions WHERE id = ?)))
+            ORDER BY created_at DESC, rowid DESC
+            LIMIT 1
+        `).get(revision.entity_type, revision.entity_id, revision.created_at, revision.created_at, revision.id);
+        return row ? this.getById(row.id) : null;
+    },
+
+    /**
+     * List the fields that differ between two snapshots
+     * @param {Object|null} from - Older snapshot data (null for none)
+     * @param {Object} to - Newer snapshot data
+     * @returns {Array} [{ field, from, to }]
+     */
+    diff(from, to) {
+        const fields = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+        const changes = [];
+        for (const field of fields) {
+            // Timestamps change with every revision and aren't worth showing
+            if (field === 'updated_at') continue;
+            const before = from ? from[field] : undefined;
+            const after = to ? to[field] : undefined;
+            if (before !== after) {
+                changes.push({ field, from: before ?? null, to: after ?? null });
+            }
+        }
+        return changes;
+    },
+
+    /**
+     * Put a record's content back the way it was in a revision, taking it out of
+     * the trash if needed. A record that no longer exists is recreated from the
+     * whole snapshot.
+     * @returns {Object} The revision recording the restore
+     */
+    restore(revision, userId) {
+        return db.transaction(() => {
+            const table = REVISION_TABLES[revision.entity_type];
+            const current = db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(revision.entity_id);
+
+            let row = revision.data;
+            if (current) {
+                row = { ...current };
+                for (const field of RESTORED_FIELDS[revision.entity_type]) {
+                    if (revision.data[field] !== undefined) {
+                        row[field] = revision.data[field];
+                    }
+                }
+            }
+
+            upsertRow(table, {
+                ...row,
+                deleted_at: null,
+                deleted_by: null,
+                updated_at: Date.now()
+            });
+
+            // Recreated maps may point at images whose tiles were removed
+            if (!current && revision.entity_type === 'map' && row.image_file) {
+                TileStore.enqueue(row.image_file);
+            }
+
+            return this.record(revision.entity_type, revision.entity_id, 'restore', userId);
+        })();
+    },
+
+    /**
+     * Delete the history of a record and, for worlds and maps, of everything in it
+     */
+    deleteForEntity(entityType, entityId) {
+        if (entityType === 'world') {
+            db.prepare('DELETE FROM revisions WHERE world_id = ?').run(entityId);
+            return;
+        }
+        if (entityType === 'map') {
+            db.prepare(`
+                DELETE FROM revisions
+                WHERE entity_type = 'location' AND entity_id IN (SELECT id FROM locations WHERE map_id = ?)
+            `).run(entityId);
+        }
+        db.prepare('DELETE FROM revisions WHERE entity_type = ? AND entity_id = ?').run(entityType, entityId);
+    },
+
+    /**
+     * Check if any revision still refers to an image file
+     */
+    referencesImage(file) {
+        const row = db.prepare(`
+            SELECT 1 FROM revisions WHERE entity_type = 'map' AND instr(data, ?) > 0 LIMIT 1
+        `).get(file);
+        return !!row;
+    }
+};
+
+/**
+ * Insert a snapshot row, or overwrite the row with the same ID.
+ * Snapshot fields for columns that no longer exist are dropped.
+ */
+function upsertRow(table, row) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all()
+        .map(col => col.name)
+        .filter(column => row[column] !== undefined);
+    const updates = columns.filter(column => column !== 'id').map(column => `${column} = excluded.${column}`);
+    db.prepare(`
+        INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+        ON CONFLICT(id) DO UPDATE SET ${updates.join(', ')}
+    `).run(...columns.map(column => row[column]));
+}
+
+/**
+ * Trash operations
+ *
+ * Deleted worlds, maps and locations keep their rows with deleted_at set and are
+ * hidden from every other query. Restoring clears deleted_at; purging removes the
+ * record, everything in it and its revision history for good.
+ */
+const TrashDB = {
+    /**
+     * Get the trashed items a user may restore: worlds and maps in worlds they
+     * own, and locations in worlds they can edit. Items inside a trashed world
+     * or map are left out; they come back with it.
+     */
+    getForUser(userId) {
+        const worlds = db.prepare(`
+            SELECT 'world' as type, w.id, w.name, w.id as world_id, w.name as world_name,
+                   NULL as map_id, NULL as map_name, w.deleted_at, w.deleted_by,
+                   COALESCE(u.display_name, u.username) as deleted_by_name
+            FROM worlds w
+            LEFT JOIN users u ON u.id = w.deleted_by
+            WHERE w.deleted_at IS NOT NULL AND w.owner_id = ?
+        `).all(userId);
+
+        const maps = db.prepare(`
+            SELECT 'map' as type, m.id, m.name, w.id as world_id, w.name as world_name,
+                   NULL as map_id, NULL as map_name, m.deleted_at, m.deleted_by,
+                   COALESCE(u.display_name, u.username) as deleted_by_name
+            FROM maps m
+            JOIN worlds w ON w.id = m.world_id
+            LEFT JOIN users u ON u.id = m.deleted_by
+            WHERE m.deleted_at IS NOT NULL AND w.deleted_at IS NULL AND w.owner_id = ?
+        `).all(userId);
+
+        const locations = db.prepare(`
+            SELECT 'location' as type, l.id, l.name, w.id as world_id, w.name as world_name,
+                   m.id as map_id, m.name as map_name, l.deleted_at, l.deleted_by,
+                   COALESCE(u.display_name, u.username) as deleted_by_name
+            FROM locations l
+            JOIN maps m ON m.id = l.map_id
+            JOIN worlds w ON w.id = m.world_id
+            LEFT JOIN world_members wm ON wm.world_id = w.id AND wm.user_id = ?
+            LEFT JOIN users u ON u.id = l.deleted_by
+            WHERE l.deleted_at IS NOT NULL AND m.deleted_at IS NULL AND w.deleted_at IS NULL
+              AND (w.owner_id = ? OR wm.role = 'editor')
+        `).all(userId, userId);
+
+        return [...worlds, ...maps, ...locations].sort((a, b) => b.deleted_at - a.deleted_at);
+    },
+
+    /**
+     * Get a trashed item and the world it belongs to. Items inside a trashed
+     * world or map can't be restored on their own.
+     * @returns {Object|null} { type, id, name, world_id, map_id, owner_id, deleted_at }
+     */
+    getItem(type, id) {
+        let row;
+        if (type === 'world') {
+            row = db.prepare(`
+                SELECT id, name, id as world_id, NULL as map_id, owner_id, deleted_at
+                FROM worlds WHERE id = ? AND deleted_at IS NOT NULL
+            `).get(id);
+        } else if (type === 'map') {
+            row = db.prepare(`
+                SELECT m.id, m.name, m.world_id, NULL as map_id, w.owner_id, m.deleted_at
+                FROM maps m JOIN worlds w ON w.id = m.world_id
+                WHERE m.id = ? AND m.deleted_at IS NOT NULL AND w.deleted_at IS NULL
+            `).get(id);
+        } else if (type === 'location') {
+            row = db.prepare(`
+                SELECT l.id, l.name, m.world_id, l.map_id, w.owner_id, l.deleted_at
+                FROM locations l JOIN maps m ON m.id = l.map_id JOIN worlds w ON w.id = m.world_id
+                WHERE l.id = ? AND l.deleted_at IS NOT NULL AND m.deleted_at IS NULL AND w.deleted_at IS NULL
+            `).get(id);
+        }
+        return row ? { type, ...row } : null;
+    },
+
+    /**
+     * Take an item out of the trash
+     */
+    restore(type, id) {
+        db.prepare(`
+            UPDATE ${REVISION_TABLES[type]} SET deleted_at = NULL, deleted_by = NULL, updated_at = ? WHERE id = ?
+        `).run(Date.now(), id);
+    },
+
+    /**
+     * Permanently delete an item, everything in it and its history
+     */
+    purge(type, id) {
+        db.transaction(() => {
+            // History goes first so the images it refers to can be released
+            RevisionsDB.deleteForEntity(type, id);
+            if (type === 'world') {
+                WorldsDB.purge(id);
+            } else if (type === 'map') {
+                MapsDB.purge(id);
+            } else {
+                LocationsDB.purge(id);
+            }
+        })();
+    },
+
+    /**
+     * Purge everything that has been in the trash since before a cutoff time
+     * @returns {number} Number of items purged
+     */
+    purgeExpired(cutoff) {
+        let count = 0;
+        for (const [type, table] of Object.entries(REVISION_TABLES)) {
+            const ids = db.prepare(`SELECT id FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < ?`).pluck().all(cutoff);
+            for (const id of ids) {
+                // An earlier purge of the world or map it was in may have removed it already
+                if (db.prepare(`SELECT 1 FROM ${table} WHERE id = ?`).get(id)) {
+                    this.purge(type, id);
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+};
+
 /**
  * User operations
  */
@@ -388,7 +1108,7 @@ const UsersDB = {
      * Get user by ID (without password hash)
      */
     getById(id) {
-        const user = db.prepare('SELECT id, username, display_name, created_at, updated_at FROM users WHERE id = ?').get(id);
+        const user = db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).get(id);
         return user || null;
     },
 
@@ -409,9 +1129,9 @@ const UsersDB = {
 
         try {
             db.prepare(`
-                INSERT INTO users (id, username, password_hash, display_name, created_at, updated_at)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `).run(id, data.username, passwordHash, data.display_name || data.username, now, now);
+                INSERT INTO users (id, username, password_hash, display_name, is_admin, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(id, data.username, passwordHash, data.display_name || data.username, data.is_admin ? 1 : 0, now, now);
             return this.getById(id);
         } catch (err) {
             if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
@@ -436,13 +1156,7 @@ const UsersDB = {
         }
 
         // Return user without password hash
-        return {
-            id: user.id,
-            username: user.username,
-            display_name: user.display_name,
-            created_at: user.created_at,
-            updated_at: user.updated_at
-        };
+        return this.getById(user.id);
     },
 
     /**
@@ -464,28 +1178,304 @@ const UsersDB = {
         return this.getById(id);
     },
 
+    /**
+     * Grant or revoke admin rights
+     */
+    setAdmin(id, isAdmin) {
+        const now = Date.now();
+        db.prepare('UPDATE users SET is_admin = ?, updated_at = ? WHERE id = ?').run(isAdmin ? 1 : 0, now, id);
+        return this.getById(id);
+    },
+
+    /**
+     * Disable or re-enable a user's account
+     */
+    setDisabled(id, disabled) {
+        const now = Date.now();
+        db.prepare('UPDATE users SET disabled = ?, updated_at = ? WHERE id = ?').run(disabled ? 1 : 0, now, id);
+        return this.getById(id);
+    },
+
     /**
      * Get all users (without password hashes)
      */
     getAll() {
-        return db.prepare('SELECT id, username, display_name, created_at, updated_at FROM users ORDER BY created_at ASC').all();
+        return db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY created_at ASC`).all();
     },
 
     /**
      * Delete a user
      */
     delete(id) {
+        db.prepare('DELETE FROM world_members WHERE user_id = ?').run(id);
+        db.prepare('DELETE FROM api_tokens WHERE user_id = ?').run(id);
         db.prepare('DELETE FROM users WHERE id = ?').run(id);
         return { success: true };
     }
 };
 
+// Token columns that are safe to return (everything but the hash)
+const TOKEN_COLUMNS = 'id, user_id, name, token_prefix, read_only, expires_at, last_used_at, created_at';
+
+/**
+ * Hash an API token for storage and lookup
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * API token operations
+ */
+const ApiTokensDB = {
+    /**
+     * Get a user's tokens (without hashes)
+     */
+    getByUserId(userId) {
+        return db.prepare(`SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC`).all(userId);
+    },
+
+    getById(id) {
+        return db.prepare(`SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE id = ?`).get(id);
+    },
+
+    /**
+     * Create a token. The plain token is only returned here; just its hash is stored.
+     */
+    create(data) {
+        const id = uuidv4();
+        const now = Date.now();
+        const token = 'fmp_' + crypto.randomBytes(32).toString('base64url');
+
+        db.prepare(`
+            INSERT INTO api_tokens (id, user_id, name, token_hash, token_prefix, read_only, expires_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            id,
+            data.user_id,
+            data.name,
+            hashToken(token),
+            token.slice(0, 12),
+            data.read_only ? 1 : 0,
+            data.expires_at || null,
+            now
+        );
+
+        return { ...this.getById(id), token };
+    },
+
+    /**
+     * Find an unexpired token by its plain value and record that it was used
+     */
+    verify(token) {
+        const row = db.prepare(`SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE token_hash = ?`).get(hashToken(token));
+        if (!row) {
+            return null;
+        }
+
+        const now = Date.now();
+        if (row.expires_at && row.expires_at <= now) {
+            return null;
+        }
+
+        db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(now, row.id);
+        return { ...row, last_used_at: now };
+    },
+
+    delete(id) {
+        db.prepare('DELETE FROM api_tokens WHERE id = ?').run(id);
+        return { success: true };
+    }
+};
+
+/**
+ * Auth event log operations
+ *
+ * Event types: login, login_failed, lockout, logout, password_changed, password_reset, session_revoked
+ */
+const AuthEventsDB = {
+    /**
+     * Record an event
+     * @param {string} type - Event type
+     * @param {Object} data - { username, user_id, ip, details }
+     */
+    record(type, data = {}) {
+        db.prepare(`
+            INSERT INTO auth_events (type, username, user_id, ip, details, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(type, data.username || null, data.user_id || null, data.ip || null, data.details || null, Date.now());
+    },
+
+    /**
+     * List events, newest first
+     * @param {Object} filter - { type, username, before (event ID), limit }
+     */
+    list(filter = {}) {
+        const conditions = [];
+        const values = [];
+
+        if (filter.type) {
+            conditions.push('type = ?');
+            values.push(filter.type);
+        }
+        if (filter.username) {
+            conditions.push('username = ? COLLATE NOCASE');
+            values.push(filter.username);
+        }
+        if (filter.before) {
+            conditions.push('id < ?');
+            values.push(filter.before);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.prepare(`
+            SELECT * FROM auth_events ${where} ORDER BY id DESC LIMIT ?
+        `).all(...values, filter.limit || 100);
+    },
+
+    /**
+     * Delete events recorded before a time
+     * @returns {number} Events deleted
+     */
+    purgeOlderThan(cutoff) {
+        return db.prepare('DELETE FROM auth_events WHERE created_at < ?').run(cutoff).changes;
+    }
+};
+
+// Session columns that are safe to return (everything but the cookie secret and contents)
+const SESSION_COLUMNS = 'id, user_id, ip, user_agent, created_at, last_seen_at, expires_at';
+
+// How often a session's last activity time is written, at most
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+/**
+ * Login session operations, used by the session store
+ */
+const SessionsDB = {
+    /**
+     * Hash a session ID (the cookie value) for storage and lookup, as with API tokens
+     */
+    hashSid(sid) {
+        return hashToken(sid);
+    },
+
+    /**
+     * Get an unexpired session's data
+     */
+    get(sid) {
+        const row = db.prepare('SELECT data FROM sessions WHERE sid_hash = ? AND expires_at > ?').get(hashToken(sid), Date.now());
+        return row ? JSON.parse(row.data) : null;
+    },
+
+    /**
+     * Save a session's data, creating it if needed
+     * @param {string} sid - Session ID from the cookie
+     * @param {Object} data - Session data, including userId and device ({ ip, user_agent }) once logged in
+     * @param {number} expiresAt - When the session expires
+     */
+    set(sid, data, expiresAt) {
+        const now = Date.now();
+        db.prepare(`
+            INSERT INTO sessions (sid_hash, id, user_id, data, ip, user_agent, created_at, last_seen_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (sid_hash) DO UPDATE SET
+                user_id = excluded.user_id,
+                data = excluded.data,
+                ip = excluded.ip,
+                user_agent = excluded.user_agent,
+                last_seen_at = excluded.last_seen_at,
+                expires_at = excluded.expires_at
+        `).run(
+            hashToken(sid),
+            uuidv4(),
+            data.userId || null,
+            JSON.stringify(data),
+            data.device?.ip || null,
+            data.device?.user_agent || null,
+            now,
+            now,
+            expiresAt
+        );
+    },
+
+    /**
+     * Push back a session's expiry and record that it was used (at most once a minute)
+     */
+    touch(sid, expiresAt) {
+        const now = Date.now();
+        db.prepare(`
+            UPDATE sessions SET expires_at = ?, last_seen_at = ?
+            WHERE sid_hash = ? AND last_seen_at < ?
+        `).run(expiresAt, now, hashToken(sid), now - SESSION_TOUCH_INTERVAL);
+    },
+
+    destroy(sid) {
+        db.prepare('DELETE FROM sessions WHERE sid_hash = ?').run(hashToken(sid));
+    },
+
+    destroyById(id) {
+        db.prepare('DELETE FROM sessions WHERE id = ?').run(id);
+    },
+
+    /**
+     * Get a user's unexpired sessions, most recently used first. Includes sid_hash, for
+     * telling which one is the current session (see hashSid); don't send it to clients.
+     */
+    getByUserId(userId) {
+        return db.prepare(`
+            SELECT sid_hash, ${SESSION_COLUMNS} FROM sessions
+            WHERE user_id = ? AND expires_at > ?
+            ORDER BY last_seen_at DESC
+        `).all(userId, Date.now());
+    },
+
+    getById(id) {
+        return db.prepare(`SELECT sid_hash, ${SESSION_COLUMNS} FROM sessions WHERE id = ?`).get(id);
+    },
+
+    /**
+     * End all of a user's sessions, except one if given
+     * @param {string} userId - The user
+     * @param {string} [exceptSid] - Session ID (the cookie value) to keep
+     * @returns {number} Sessions ended
+     */
+    deleteByUserId(userId, exceptSid = null) {
+        return db.prepare('DELETE FROM sessions WHERE user_id = ? AND sid_hash IS NOT ?')
+            .run(userId, exceptSid ? hashToken(exceptSid) : null).changes;
+    },
+
+    /**
+     * Delete expired sessions
+     * @returns {number} Sessions deleted
+     */
+    purgeExpired() {
+        return db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(Date.now()).changes;
+    },
+
+    clear() {
+        db.prepare('DELETE FROM sessions').run();
+    },
+
+    count() {
+        return db.prepare('SELECT COUNT(*) FROM sessions WHERE expires_at > ?').pluck().get(Date.now());
+    }
+};
+
 module.exports = {
+    DB_PATH,
     db,
     UsersDB,
+    ApiTokensDB,
     WorldsDB,
+    WorldMembersDB,
     MapsDB,
+    imageVersion,
     LocationsDB,
     CustomStampsDB,
-    TravelSettingsDB
+    TravelSettingsDB,
+    RevisionsDB,
+    TrashDB,
+    SearchDB,
+    AuthEventsDB,
+    SessionsDB
 };
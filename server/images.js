@@ -0,0 +1,115 @@
+/**
+ * Fantasy Map Builder - Image Store
+ * Keeps uploaded map images as files on disk, named by content hash
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_PATH } = require('./paths');
+
+// Directory holding image files
+const IMAGES_PATH = process.env.IMAGES_PATH || path.join(DATA_PATH, 'images');
+
+// File extensions for the image types browsers can display. SVG is left out: it can
+// carry script, which would run with the viewer's session when the image is opened.
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/bmp': 'bmp',
+    'image/avif': 'avif'
+};
+
+fs.mkdirSync(IMAGES_PATH, { recursive: true });
+
+const ImageStore = {
+    /**
+     * Check if a MIME type can be stored
+     */
+    isSupportedType(mimeType) {
+        return Object.prototype.hasOwnProperty.call(EXTENSIONS, mimeType);
+    },
+
+    /**
+     * Save image bytes and return the stored file details.
+     * Identical images share one file.
+     * @param {Buffer} buffer - Image bytes
+     * @param {string} mimeType - Image MIME type
+     * @returns {Object} { file, type, size, hash }
+     */
+    save(buffer, mimeType) {
+        if (!this.isSupportedType(mimeType)) {
+            throw new Error(`Unsupported image type: ${mimeType}`);
+        }
+
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        const file = `${hash}.${EXTENSIONS[mimeType]}`;
+        const filePath = this.path(file);
+
+        if (!fs.existsSync(filePath)) {
+            // Write to a temp file first so a crash never leaves a truncated image
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, buffer);
+            fs.renameSync(tempPath, filePath);
+        }
+
+        return { file, type: mimeType, size: buffer.length, hash };
+    },
+
+    /**
+     * Save an image given as a data URL (the format the app used to store inline)
+     * @param {string} dataUrl - data:image/...;base64,...
+     * @returns {Object} { file, type, size, hash }
+     */
+    saveDataUrl(dataUrl) {
+        const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(dataUrl || '');
+        if (!match) {
+            throw new Error('Invalid image data URL');
+        }
+
+        const buffer = match[2]
+            ? Buffer.from(match[3], 'base64')
+            : Buffer.from(decodeURIComponent(match[3]), 'utf8');
+
+        return this.save(buffer, match[1]);
+    },
+
+    /**
+     * Read a stored image back as a data URL (used for self-contained exports)
+     */
+    toDataUrl(file, mimeType) {
+        return `data:${mimeType};base64,${this.read(file).toString('base64')}`;
+    },
+
+    /**
+     * Read a stored image's contents
+     */
+    read(file) {
+        return fs.readFileSync(this.path(file));
+    },
+
+    /**
+     * Get the absolute path of a stored image
+     */
+    path(file) {
+        return path.join(IMAGES_PATH, path.basename(file));
+    },
+
+    /**
+     * Check if a stored image exists on disk
+     */
+    exists(file) {
+        return !!file && fs.existsSync(this.path(file));
+    },
+
+    /**
+     * Delete a stored image
+     */
+    remove(file) {
+        fs.rmSync(this.path(file), { force: true });
+    }
+};
+
+module.exports = { ImageStore, IMAGES_PATH };
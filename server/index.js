@@ -8,26 +8,72 @@ const express = require('express');
 const cors = require('cors');
 const session = require('express-session');
 const path = require('path');
-const crypto = require('crypto');
-const { UsersDB, WorldsDB, MapsDB, LocationsDB, CustomStampsDB, TravelSettingsDB } = require('./database');
+const multer = require('multer');
+const { ImageStore } = require('./images');
+const { TileStore } = require('./tiles');
+const { validate, sendFieldErrors } = require('./validation');
+const { schemas } = require('./schemas');
+const { LoginGuard, rateLimit, formatWait } = require('./ratelimit');
+const { SqliteSessionStore, loadSessionSecret } = require('./sessionstore');
+const { LiveHub } = require('./live');
+const { isLegacyProject, convertLegacyProject } = require('./legacy');
+const { buildSite, LEAFLET_PATH } = require('./site');
+const { locationsToCsv } = require('./csv');
+const { StampManager } = require('../js/stamps');
+const {
+    DB_PATH,
+    db,
+    UsersDB,
+    ApiTokensDB,
+    WorldsDB,
+    WorldMembersDB,
+    MapsDB,
+    imageVersion,
+    LocationsDB,
+    CustomStampsDB,
+    TravelSettingsDB,
+    RevisionsDB,
+    TrashDB,
+    SearchDB,
+    AuthEventsDB,
+    SessionsDB
+} = require('./database');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Generate a random session secret if not provided
-const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+// Days deleted items stay in the trash before they are purged (0 keeps them until purged by hand)
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS ?? 30);
+
+// Days the auth event log is kept
+const AUTH_EVENT_RETENTION_DAYS = 90;
+
+// Changes each user (or client address, before logging in) may make per minute (0 turns throttling off)
+const WRITE_RATE_LIMIT = parseInt(process.env.WRITE_RATE_LIMIT ?? 300);
+
+// Secret that signs session cookies; without SESSION_SECRET one is generated once and kept next to the database
+const SESSION_SECRET = process.env.SESSION_SECRET ||
+    loadSessionSecret(process.env.SESSION_SECRET_PATH || path.join(path.dirname(DB_PATH), 'session-secret'));
+
+// Behind a reverse proxy, take client addresses from X-Forwarded-For (a hop count, "loopback", etc.)
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
 
 // Middleware
 app.use(cors({
     origin: true,
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['ETag']
 }));
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '50mb', type: ['application/json', 'application/geo+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Session configuration
 app.use(session({
     secret: SESSION_SECRET,
+    store: new SqliteSessionStore(),
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -37,8 +83,21 @@ app.use(session({
     }
 }));
 
-// Serve static files from parent directory
-app.use(express.static(path.join(__dirname, '..')));
+// Serve the frontend. Only its pages, scripts and styles are mounted, so nothing else
+// in the repository (the server, its data) can be reached however the URL is written.
+const APP_PATH = path.join(__dirname, '..');
+app.get(['/', '/index.html'], (req, res) => res.sendFile(path.join(APP_PATH, 'index.html')));
+app.get('/viewer.html', (req, res) => res.sendFile(path.join(APP_PATH, 'viewer.html')));
+app.use('/js', express.static(path.join(APP_PATH, 'js')));
+app.use('/css', express.static(path.join(APP_PATH, 'css')));
+// The viewer loads Leaflet from beside itself, as it does in an exported site
+app.use('/vendor/leaflet', express.static(LEAFLET_PATH));
+
+// Map image uploads are held in memory, then written to the image store
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 200 * 1024 * 1024 }
+});
 
 // Error handler wrapper
 const asyncHandler = (fn) => (req, res, next) =>
@@ -48,16 +107,303 @@ const asyncHandler = (fn) => (req, res, next) =>
 // AUTHENTICATION MIDDLEWARE
 // ============================================
 
+// HTTP methods a read-only API token may use
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Look up the "Authorization: Bearer <token>" header of a request without a session,
+ * into req.token (null if the token is invalid or expired). Runs on every API request,
+ * so throttling can tell token users apart; requireAuth refuses invalid tokens.
+ */
+const loadToken = (req, res, next) => {
+    const authHeader = req.get('Authorization') || '';
+    if (!req.session.userId && authHeader.startsWith('Bearer ')) {
+        req.token = ApiTokensDB.verify(authHeader.slice(7).trim());
+    }
+    next();
+};
+
 /**
- * Check if user is authenticated
+ * Check if user is authenticated and their account is still active.
+ * Accepts either a session cookie or an API token (see loadToken).
  */
 const requireAuth = (req, res, next) => {
-    if (!req.session.userId) {
+    let userId = req.session.userId;
+
+    if (!userId && req.token !== undefined) {
+        const token = req.token;
+        if (!token) {
+            return res.status(401).json({ error: 'Invalid or expired API token' });
+        }
+        if (token.read_only && !READ_ONLY_METHODS.includes(req.method)) {
+            return res.status(403).json({ error: 'This API token is read-only' });
+        }
+        userId = token.user_id;
+    }
+
+    if (!userId) {
         return res.status(401).json({ error: 'Authentication required' });
     }
+
+    const user = UsersDB.getById(userId);
+    if (!user || user.disabled) {
+        return res.status(401).json({ error: user ? 'Account is disabled' : 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+};
+
+/**
+ * Reject API tokens on routes that need a logged-in browser session (use after requireAuth)
+ */
+const requireSession = (req, res, next) => {
+    if (req.token) {
+        return res.status(403).json({ error: 'This action is not available to API tokens' });
+    }
+    next();
+};
+
+/**
+ * Check if the authenticated user is an admin (use after requireAuth)
+ */
+const requireAdmin = (req, res, next) => {
+    if (!req.user.is_admin) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+};
+
+// ============================================
+// ACCESS CONTROL
+// ============================================
+
+// Roles in ascending order of privilege
+const ROLE_LEVELS = { viewer: 1, editor: 2, owner: 3 };
+
+/**
+ * Get the logged-in user's role in a world ('owner', 'editor', 'viewer' or null)
+ */
+const getWorldRole = (req, world) => {
+    if (!world) return null;
+    if (world.owner_id === req.user.id) return 'owner';
+    const member = WorldMembersDB.get(world.id, req.user.id);
+    return member ? member.role : null;
+};
+
+/**
+ * Attach a world and the user's role to the request if the role is at least minRole.
+ * Worlds the user has no access to answer 404 so their existence isn't revealed.
+ */
+const authorizeWorld = (req, res, next, world, minRole, notFoundMessage) => {
+    const role = getWorldRole(req, world);
+    if (!role) {
+        return res.status(404).json({ error: notFoundMessage });
+    }
+    if (ROLE_LEVELS[role] < ROLE_LEVELS[minRole]) {
+        return res.status(403).json({ error: `This action requires the ${minRole} role` });
+    }
+    req.world = { ...world, role };
+    next();
+};
+
+/**
+ * Load the world named by a route param into req.world
+ */
+const requireWorld = (minRole, param = 'worldId') => (req, res, next) => {
+    const world = WorldsDB.getById(req.params[param]);
+    authorizeWorld(req, res, next, world, minRole, 'World not found');
+};
+
+/**
+ * Load the map named by a route param into req.map (and its world into req.world)
+ */
+const requireMap = (minRole, param = 'mapId') => (req, res, next) => {
+    const map = MapsDB.getById(req.params[param]);
+    const world = map ? WorldsDB.getById(map.world_id) : null;
+    req.map = map;
+    authorizeWorld(req, res, next, world, minRole, 'Map not found');
+};
+
+/**
+ * Load the location named by a route param into req.location (and its world into req.world)
+ */
+const requireLocation = (minRole, param = 'id') => (req, res, next) => {
+    const location = LocationsDB.getById(req.params[param]);
+    const world = location ? WorldsDB.getById(LocationsDB.getWorldId(location.id)) : null;
+    req.location = location;
+    authorizeWorld(req, res, next, world, minRole, 'Location not found');
+};
+
+/**
+ * Load the custom stamp named by a route param into req.stamp (and its world into req.world)
+ */
+const requireStamp = (minRole, param = 'id') => (req, res, next) => {
+    const stamp = CustomStampsDB.getById(req.params[param]);
+    const world = stamp ? WorldsDB.getById(stamp.world_id) : null;
+    req.stamp = stamp;
+    authorizeWorld(req, res, next, world, minRole, 'Stamp not found');
+};
+
+/**
+ * Attach the world a piece of history belongs to. A deleted world's history
+ * stays visible to its last owner so it can be restored.
+ */
+const authorizeHistory = (req, res, next, worldId, minRole, notFoundMessage) => {
+    const world = WorldsDB.getById(worldId);
+    if (world) {
+        return authorizeWorld(req, res, next, world, minRole, notFoundMessage);
+    }
+
+    const latest = RevisionsDB.getLatest('world', worldId);
+    if (!latest || latest.data.owner_id !== req.user.id) {
+        return res.status(404).json({ error: notFoundMessage });
+    }
+    req.world = { ...latest.data, role: 'owner' };
     next();
 };
 
+/**
+ * Check access to the history of the record named by :entityType and :entityId
+ */
+const requireHistory = (minRole) => (req, res, next) => {
+    const { entityType, entityId } = req.params;
+    const latest = RevisionsDB.isTracked(entityType) ? RevisionsDB.getLatest(entityType, entityId) : null;
+    if (!latest) {
+        return res.status(404).json({ error: 'History not found' });
+    }
+    authorizeHistory(req, res, next, latest.world_id, minRole, 'History not found');
+};
+
+/**
+ * Load the revision named by a route param into req.revision (and its world into req.world)
+ */
+const requireRevision = (minRole, param = 'id') => (req, res, next) => {
+    const revision = RevisionsDB.getById(req.params[param]);
+    if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+    }
+    req.revision = revision;
+    authorizeHistory(req, res, next, revision.world_id, minRole, 'Revision not found');
+};
+
+/**
+ * Load the trashed item named by :type and :id into req.trashItem. Worlds and
+ * maps need the world's owner, locations an editor.
+ */
+const requireTrashItem = (req, res, next) => {
+    const item = RevisionsDB.isTracked(req.params.type) ? TrashDB.getItem(req.params.type, req.params.id) : null;
+    req.trashItem = item;
+    const world = item ? { id: item.world_id, owner_id: item.owner_id } : null;
+    authorizeWorld(req, res, next, world, item && item.type === 'location' ? 'editor' : 'owner', 'Item not found in trash');
+};
+
+// ============================================
+// CONDITIONAL REQUESTS
+// ============================================
+
+/**
+ * Entity tag of a world, map or location. updated_at changes on every save,
+ * so it identifies the version a client has.
+ */
+const etagOf = (record) => `"${record.updated_at}"`;
+
+/**
+ * Send a world, map or location along with its ETag
+ */
+const sendRecord = (res, record, status = 200) => {
+    res.set('ETag', etagOf(record));
+    res.status(status).json(record);
+};
+
+/**
+ * Refuse to change a record edited since the client loaded it. Requests with an
+ * If-Match header naming another version get a 412 carrying the current record,
+ * so the client can show both side by side. Use after the middleware that loads
+ * the record into req[key].
+ */
+const requireIfMatch = (key) => (req, res, next) => {
+    const header = req.get('If-Match');
+    if (!header) return next();
+
+    const record = req[key];
+    const current = etagOf(record);
+    const tags = header.split(',').map(tag => tag.trim());
+    if (tags.includes('*') || tags.includes(current)) return next();
+
+    res.set('ETag', current);
+    res.status(412).json({ error: `This ${key} was changed by someone else since you loaded it`, current: record });
+};
+
+// ============================================
+// RATE LIMITING
+// ============================================
+
+app.use('/api', loadToken);
+
+// Throttle changes per user, whether they log in or use a token; reads are left alone
+// so panning a busy map never hits the limit
+app.use('/api', rateLimit({
+    max: WRITE_RATE_LIMIT,
+    windowMs: 60 * 1000,
+    key: (req) => {
+        if (READ_ONLY_METHODS.includes(req.method)) return null;
+        const userId = req.session.userId ?? req.token?.user_id;
+        return userId ? `user:${userId}` : `ip:${req.ip}`;
+    },
+    message: 'Too many changes in a short time. Wait a minute and try again.'
+}));
+
+// Cap login attempts per address, so parallel guesses can't get ahead of the lockout
+const loginRateLimit = rateLimit({
+    max: 30,
+    windowMs: 60 * 1000,
+    key: (req) => req.ip,
+    message: 'Too many login attempts. Wait a minute and try again.'
+});
+
+/**
+ * Refuse a password check while the username or client address is locked out
+ * @returns {boolean} Whether a 429 was sent
+ */
+const rejectIfLockedOut = (req, res, username) => {
+    const wait = LoginGuard.retryAfter(req.ip, username);
+    if (wait <= 0) return false;
+
+    res.set('Retry-After', String(Math.ceil(wait / 1000)));
+    res.status(429).json({ error: `Too many failed logins. Try again in ${formatWait(wait)}.` });
+    return true;
+};
+
+/**
+ * Log a user in on this session, remembering the device for the sessions list
+ */
+const startSession = (req, user) => {
+    req.session.userId = user.id;
+    req.session.device = {
+        ip: req.ip,
+        user_agent: (req.get('User-Agent') || '').slice(0, 500)
+    };
+};
+
+/**
+ * Count a failed password check and log it, along with any lockout it starts
+ */
+const recordLoginFailure = (req, username, details) => {
+    const user = UsersDB.getByUsername(username);
+    const event = { username, user_id: user ? user.id : null, ip: req.ip };
+
+    AuthEventsDB.record('login_failed', { ...event, details: details || (user ? 'Wrong password' : 'Unknown username') });
+
+    for (const lockout of LoginGuard.recordFailure(req.ip, username)) {
+        const locked = lockout.scope === 'username' ? 'Username' : `Address ${req.ip}`;
+        AuthEventsDB.record('lockout', {
+            ...event,
+            details: `${locked} locked for ${formatWait(lockout.duration)} after ${lockout.failures} failed logins`
+        });
+    }
+};
+
 // ============================================
 // AUTH API
 // ============================================
@@ -65,7 +411,10 @@ const requireAuth = (req, res, next) => {
 // Check auth status and if setup is needed
 app.get('/api/auth/status', asyncHandler(async (req, res) => {
     const hasUsers = UsersDB.hasUsers();
-    const user = req.session.userId ? UsersDB.getById(req.session.userId) : null;
+    let user = req.session.userId ? UsersDB.getById(req.session.userId) : null;
+    if (user && user.disabled) {
+        user = null;
+    }
 
     res.json({
         authenticated: !!user,
@@ -74,38 +423,28 @@ app.get('/api/auth/status', asyncHandler(async (req, res) => {
     });
 }));
 
-// Register (only allowed if no users exist, or if authenticated)
-app.post('/api/auth/register', asyncHandler(async (req, res) => {
+// Register (only allowed for first-time setup; admins add users via /api/admin/users)
+app.post('/api/auth/register', validate(schemas.register), asyncHandler(async (req, res) => {
     const { username, password, display_name } = req.body;
 
-    if (!username || !password) {
-        return res.status(400).json({ error: 'Username and password are required' });
-    }
-
-    if (username.length < 3) {
-        return res.status(400).json({ error: 'Username must be at least 3 characters' });
-    }
-
-    if (password.length < 6) {
-        return res.status(400).json({ error: 'Password must be at least 6 characters' });
-    }
-
-    // Only allow registration if no users exist (first user setup)
-    // or if user is already authenticated (admin creating new user)
-    const hasUsers = UsersDB.hasUsers();
-    if (hasUsers && !req.session.userId) {
+    if (UsersDB.hasUsers()) {
         return res.status(403).json({ error: 'Registration is not open' });
     }
 
     try {
+        // The first account is the admin
         const user = await UsersDB.create({
             username,
             password,
-            display_name: display_name || username
+            display_name: display_name || username,
+            is_admin: true
         });
 
+        // and takes over any worlds left from before ownership existed
+        WorldsDB.claimUnowned(user.id);
+
         // Auto-login after registration
-        req.session.userId = user.id;
+        startSession(req, user);
 
         res.status(201).json({
             success: true,
@@ -120,19 +459,25 @@ app.post('/api/auth/register', asyncHandler(async (req, res) => {
 }));
 
 // Login
-app.post('/api/auth/login', asyncHandler(async (req, res) => {
+app.post('/api/auth/login', loginRateLimit, validate(schemas.login), asyncHandler(async (req, res) => {
     const { username, password } = req.body;
 
-    if (!username || !password) {
-        return res.status(400).json({ error: 'Username and password are required' });
-    }
+    if (rejectIfLockedOut(req, res, username)) return;
 
     const user = await UsersDB.verifyPassword(username, password);
     if (!user) {
+        recordLoginFailure(req, username);
         return res.status(401).json({ error: 'Invalid username or password' });
     }
 
-    req.session.userId = user.id;
+    if (user.disabled) {
+        AuthEventsDB.record('login_failed', { username, user_id: user.id, ip: req.ip, details: 'Account is disabled' });
+        return res.status(403).json({ error: 'This account has been disabled' });
+    }
+
+    LoginGuard.clearUsername(username);
+    AuthEventsDB.record('login', { username, user_id: user.id, ip: req.ip });
+    startSession(req, user);
 
     res.json({
         success: true,
@@ -142,6 +487,12 @@ app.post('/api/auth/login', asyncHandler(async (req, res) => {
 
 // Logout
 app.post('/api/auth/logout', (req, res) => {
+    const user = req.session.userId ? UsersDB.getById(req.session.userId) : null;
+    if (user) {
+        AuthEventsDB.record('logout', { username: user.username, user_id: user.id, ip: req.ip });
+    }
+    LiveHub.disconnect(client => client.sid === req.sessionID);
+
     req.session.destroy((err) => {
         if (err) {
             return res.status(500).json({ error: 'Failed to logout' });
@@ -151,292 +502,1283 @@ app.post('/api/auth/logout', (req, res) => {
 });
 
 // Change password (authenticated users only)
-app.post('/api/auth/change-password', requireAuth, asyncHandler(async (req, res) => {
+app.post('/api/auth/change-password', requireAuth, requireSession, validate(schemas.changePassword), asyncHandler(async (req, res) => {
     const { current_password, new_password } = req.body;
 
-    if (!current_password || !new_password) {
-        return res.status(400).json({ error: 'Current and new password are required' });
-    }
-
-    if (new_password.length < 6) {
-        return res.status(400).json({ error: 'New password must be at least 6 characters' });
-    }
+    // Guessing the current password counts towards a lockout like a failed login
+    if (rejectIfLockedOut(req, res, req.user.username)) return;
 
     // Verify current password
-    const user = UsersDB.getById(req.session.userId);
-    const verified = await UsersDB.verifyPassword(user.username, current_password);
+    const verified = await UsersDB.verifyPassword(req.user.username, current_password);
     if (!verified) {
+        recordLoginFailure(req, req.user.username, 'Wrong current password when changing password');
         return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
-    await UsersDB.updatePassword(req.session.userId, new_password);
+    await UsersDB.updatePassword(req.user.id, new_password);
+    AuthEventsDB.record('password_changed', { username: req.user.username, user_id: req.user.id, ip: req.ip });
+
+    // Anyone else logged in with the old password is logged out; this browser stays logged in
+    endSessions(req, req.user, req.sessionID, 'after a password change');
 
     res.json({ success: true });
 }));
 
 // ============================================
-// WORLDS API (Protected)
+// SESSIONS (Session only)
 // ============================================
 
-// Get all worlds
-app.get('/api/worlds', requireAuth, asyncHandler(async (req, res) => {
-    const worlds = WorldsDB.getAll();
-    res.json(worlds);
-}));
+/**
+ * Describe a session for its owner, without the cookie secret
+ */
+const describeSession = (req, { sid_hash, ...details }) => ({
+    ...details,
+    current: sid_hash === SessionsDB.hashSid(req.sessionID)
+});
 
-// Get single world
-app.get('/api/worlds/:id', requireAuth, asyncHandler(async (req, res) => {
-    const world = WorldsDB.getById(req.params.id);
-    if (!world) {
-        return res.status(404).json({ error: 'World not found' });
+/**
+ * Log a user out everywhere, or everywhere but one session, closing their live
+ * update streams too, and record it in the auth event log
+ * @param {Object} req - The request, for the address recorded
+ * @param {Object} user - User whose sessions end
+ * @param {string|null} exceptSid - Session ID to keep, if any
+ * @param {string} [reason] - Why, appended to the event details
+ * @returns {number} Sessions ended
+ */
+const endSessions = (req, user, exceptSid, reason) => {
+    const revoked = SessionsDB.deleteByUserId(user.id, exceptSid);
+    LiveHub.disconnect(client => client.user.id === user.id && (!exceptSid || client.sid !== exceptSid));
+    if (revoked > 0) {
+        const sessions = `${revoked}${exceptSid ? ' other' : ''} session${revoked === 1 ? '' : 's'}`;
+        AuthEventsDB.record('session_revoked', {
+            username: user.username,
+            user_id: user.id,
+            ip: req.ip,
+            details: `Logged out ${sessions}${reason ? ` ${reason}` : ''}`
+        });
     }
-    res.json(world);
+    return revoked;
+};
+
+// List the current user's logged-in sessions
+app.get('/api/auth/sessions', requireAuth, requireSession, asyncHandler(async (req, res) => {
+    res.json(SessionsDB.getByUserId(req.user.id).map(s => describeSession(req, s)));
 }));
 
-// Create world
-app.post('/api/worlds', requireAuth, asyncHandler(async (req, res) => {
-    const world = WorldsDB.create(req.body);
-    res.status(201).json(world);
+// Log out every session but the current one
+app.delete('/api/auth/sessions', requireAuth, requireSession, asyncHandler(async (req, res) => {
+    const revoked = endSessions(req, req.user, req.sessionID);
+    res.json({ success: true, revoked });
 }));
 
-// Update world
-app.put('/api/worlds/:id', requireAuth, asyncHandler(async (req, res) => {
-    const world = WorldsDB.update(req.params.id, req.body);
-    if (!world) {
-        return res.status(404).json({ error: 'World not found' });
+// Log out one session
+app.delete('/api/auth/sessions/:id', requireAuth, requireSession, asyncHandler(async (req, res) => {
+    const target = SessionsDB.getById(req.params.id);
+    if (!target || target.user_id !== req.user.id) {
+        return res.status(404).json({ error: 'Session not found' });
     }
-    res.json(world);
-}));
 
-// Delete world
-app.delete('/api/worlds/:id', requireAuth, asyncHandler(async (req, res) => {
-    WorldsDB.delete(req.params.id);
+    SessionsDB.destroyById(target.id);
+    LiveHub.disconnect(client => client.sid && SessionsDB.hashSid(client.sid) === target.sid_hash);
+    AuthEventsDB.record('session_revoked', {
+        username: req.user.username,
+        user_id: req.user.id,
+        ip: req.ip,
+        details: `Logged out ${target.ip || 'unknown address'}`
+    });
     res.json({ success: true });
 }));
 
 // ============================================
-// MAPS API (Protected)
+// API TOKENS (Session only)
 // ============================================
 
-// Get all maps for a world
-app.get('/api/worlds/:worldId/maps', requireAuth, asyncHandler(async (req, res) => {
-    const maps = MapsDB.getByWorldId(req.params.worldId);
-    res.json(maps);
+// List the current user's tokens
+app.get('/api/tokens', requireAuth, requireSession, asyncHandler(async (req, res) => {
+    res.json(ApiTokensDB.getByUserId(req.user.id));
 }));
 
-// Get single map
-app.get('/api/maps/:id', requireAuth, asyncHandler(async (req, res) => {
-    const map = MapsDB.getById(req.params.id);
-    if (!map) {
-        return res.status(404).json({ error: 'Map not found' });
-    }
-    res.json(map);
-}));
+// Create a token; the plain token is only ever returned in this response
+app.post('/api/tokens', requireAuth, requireSession, validate(schemas.createToken), asyncHandler(async (req, res) => {
+    const { name, read_only, expires_in_days } = req.body;
 
-// Create map
-app.post('/api/worlds/:worldId/maps', requireAuth, asyncHandler(async (req, res) => {
-    const map = MapsDB.create({
-        ...req.body,
-        world_id: req.params.worldId
+    const expiresAt = expires_in_days
+        ? Date.now() + expires_in_days * 24 * 60 * 60 * 1000
+        : null;
+
+    const token = ApiTokensDB.create({
+        user_id: req.user.id,
+        name,
+        read_only: !!read_only,
+        expires_at: expiresAt
     });
-    res.status(201).json(map);
+
+    res.status(201).json(token);
 }));
 
-// Update map
-app.put('/api/maps/:id', requireAuth, asyncHandler(async (req, res) => {
-    const map = MapsDB.update(req.params.id, req.body);
-    if (!map) {
-        return res.status(404).json({ error: 'Map not found' });
+// Revoke a token
+app.delete('/api/tokens/:id', requireAuth, requireSession, asyncHandler(async (req, res) => {
+    const token = ApiTokensDB.getById(req.params.id);
+    if (!token || token.user_id !== req.user.id) {
+        return res.status(404).json({ error: 'Token not found' });
     }
-    res.json(map);
-}));
 
-// Delete map
-app.delete('/api/maps/:id', requireAuth, asyncHandler(async (req, res) => {
-    MapsDB.delete(req.params.id);
+    ApiTokensDB.delete(token.id);
     res.json({ success: true });
 }));
 
 // ============================================
-// LOCATIONS API (Protected)
+// ADMIN API (Admins only)
 // ============================================
 
-// Get all locations for a map
-app.get('/api/maps/:mapId/locations', requireAuth, asyncHandler(async (req, res) => {
-    const locations = LocationsDB.getByMapId(req.params.mapId);
-    res.json(locations);
+// List all users
+app.get('/api/admin/users', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
+    res.json(UsersDB.getAll());
 }));
 
-// Get single location
-app.get('/api/locations/:id', requireAuth, asyncHandler(async (req, res) => {
-    const location = LocationsDB.getById(req.params.id);
-    if (!location) {
-        return res.status(404).json({ error: 'Location not found' });
+// Create a user
+app.post('/api/admin/users', requireAuth, requireAdmin, validate(schemas.createUser), asyncHandler(async (req, res) => {
+    const { username, password, display_name, is_admin } = req.body;
+
+    try {
+        const user = await UsersDB.create({
+            username,
+            password,
+            display_name: display_name || username,
+            is_admin: !!is_admin
+        });
+        res.status(201).json(user);
+    } catch (err) {
+        if (err.message === 'Username already exists') {
+            return res.status(409).json({ error: err.message });
+        }
+        throw err;
     }
-    res.json(location);
 }));
 
-// Create location
-app.post('/api/maps/:mapId/locations', requireAuth, asyncHandler(async (req, res) => {
-    const location = LocationsDB.create({
-        ...req.body,
-        map_id: req.params.mapId
-    });
-    res.status(201).json(location);
-}));
+// Update a user's display name, admin flag or disabled state
+app.put('/api/admin/users/:id', requireAuth, requireAdmin, validate(schemas.updateUser), asyncHandler(async (req, res) => {
+    const { display_name, is_admin, disabled } = req.body;
 
-// Update location
-app.put('/api/locations/:id', requireAuth, asyncHandler(async (req, res) => {
-    const location = LocationsDB.update(req.params.id, req.body);
-    if (!location) {
-        return res.status(404).json({ error: 'Location not found' });
+    let user = UsersDB.getById(req.params.id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
     }
-    res.json(location);
-}));
 
-// Delete location
-app.delete('/api/locations/:id', requireAuth, asyncHandler(async (req, res) => {
-    LocationsDB.delete(req.params.id);
-    res.json({ success: true });
-}));
+    // Admins can't lock themselves out
+    if (user.id === req.user.id && (is_admin === false || disabled === true)) {
+        return res.status(400).json({ error: 'You cannot disable your own account or remove your own admin access' });
+    }
 
-// ============================================
-// CUSTOM STAMPS API (Protected)
-// ============================================
+    if (display_name !== undefined) {
+        user = UsersDB.updateDisplayName(user.id, display_name);
+    }
+    if (is_admin !== undefined) {
+        user = UsersDB.setAdmin(user.id, is_admin);
+    }
+    if (disabled !== undefined) {
+        user = UsersDB.setDisabled(user.id, disabled);
+        if (disabled) {
+            SessionsDB.deleteByUserId(user.id);
+            LiveHub.disconnect(client => client.user.id === user.id);
+        }
+    }
 
-// Get custom stamps for a world
-app.get('/api/worlds/:worldId/stamps', requireAuth, asyncHandler(async (req, res) => {
-    const stamps = CustomStampsDB.getByWorldId(req.params.worldId);
-    res.json(stamps);
+    res.json(user);
 }));
 
-// Create custom stamp
-app.post('/api/worlds/:worldId/stamps', requireAuth, asyncHandler(async (req, res) => {
-    const stamp = CustomStampsDB.create({
-        ...req.body,
-        world_id: req.params.worldId
+// Reset a user's password
+app.post('/api/admin/users/:id/reset-password', requireAuth, requireAdmin, validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+    const { new_password } = req.body;
+
+    const target = UsersDB.getById(req.params.id);
+    if (!target) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await UsersDB.updatePassword(target.id, new_password);
+
+    // A new password ends any lockout on the account
+    LoginGuard.clearUsername(target.username);
+    AuthEventsDB.record('password_reset', {
+        username: target.username,
+        user_id: target.id,
+        ip: req.ip,
+        details: `By ${req.user.username}`
     });
-    res.status(201).json(stamp);
+
+    // Every session logged in with the old password ends, including the admin's own if it's theirs
+    endSessions(req, target, null, `after a password reset by ${req.user.username}`);
+
+    res.json(user);
 }));
 
-// Delete custom stamp
-app.delete('/api/stamps/:id', requireAuth, asyncHandler(async (req, res) => {
-    CustomStampsDB.delete(req.params.id);
-    res.json({ success: true });
+// List auth events (logins, failed logins, lockouts, password changes), newest first
+app.get('/api/admin/auth-events', requireAuth, requireAdmin, validate(schemas.authEvents), asyncHandler(async (req, res) => {
+    res.json(AuthEventsDB.list(req.query));
 }));
 
-// ============================================
-// TRAVEL SETTINGS API (Protected)
-// ============================================
+/**
+ * Delete auth events older than the retention period
+ */
+const purgeOldAuthEvents = () => {
+    try {
+        AuthEventsDB.purgeOlderThan(Date.now() - AUTH_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    } catch (err) {
+        console.error('Auth event purge failed:', err);
+    }
+};
 
-// Get travel settings for a world
-app.get('/api/worlds/:worldId/travel-settings', requireAuth, asyncHandler(async (req, res) => {
-    let settings = TravelSettingsDB.getByWorldId(req.params.worldId);
-    if (!settings) {
-        settings = TravelSettingsDB.create(req.params.worldId);
+// Delete a user; their worlds are handed to the admin deleting them
+app.delete('/api/admin/users/:id', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
+    if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
     }
-    res.json(settings);
-}));
 
-// Update travel settings
-app.put('/api/worlds/:worldId/travel-settings', requireAuth, asyncHandler(async (req, res) => {
-    const settings = TravelSettingsDB.update(req.params.worldId, req.body);
-    res.json(settings);
+    if (!UsersDB.getById(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    db.transaction(() => {
+        WorldsDB.transferOwnership(req.params.id, req.user.id);
+        SessionsDB.deleteByUserId(req.params.id);
+        UsersDB.delete(req.params.id);
+    })();
+    LiveHub.disconnect(client => client.user.id === req.params.id);
+
+    res.json({ success: true });
 }));
 
 // ============================================
-// EXPORT/IMPORT API (Protected)
+// LIVE UPDATES API (Protected)
 // ============================================
 
-// Export world data
-app.get('/api/worlds/:worldId/export', requireAuth, asyncHandler(async (req, res) => {
-    const world = WorldsDB.getById(req.params.worldId);
-    if (!world) {
-        return res.status(404).json({ error: 'World not found' });
-    }
-
-    const maps = MapsDB.getByWorldId(req.params.worldId);
-    const customStamps = CustomStampsDB.getByWorldId(req.params.worldId);
-    const travelSettings = TravelSettingsDB.getByWorldId(req.params.worldId);
+// Streams stop receiving changes once their user is disabled or loses access to the world
+LiveHub.canView = (userId, worldId) => {
+    const user = UsersDB.getById(userId);
+    if (!user || user.disabled) return false;
+    return getWorldRole({ user }, WorldsDB.getById(worldId)) !== null;
+};
 
-    // Get locations for each map
-    const mapsWithLocations = maps.map(map => ({
-        ...map,
-        locations: LocationsDB.getByMapId(map.id)
-    }));
+/**
+ * Send a change to everyone viewing a world, tagged with the browser tab that
+ * made it (its X-Client-Id header) so that tab can skip its own change
+ */
+const broadcast = (req, worldId, type, data) =>
+    LiveHub.publish(worldId, type, data, req.get('X-Client-Id') || null);
+
+// Stream changes to a world as Server-Sent Events (?map=<id> names the map being viewed, for presence)
+app.get('/api/worlds/:worldId/events', requireAuth, requireWorld('viewer'), validate(schemas.liveEvents), asyncHandler(async (req, res) => {
+    const mapId = req.query.map !== undefined ? req.query.map : null;
+    if (mapId !== null) {
+        const map = MapsDB.getById(mapId);
+        if (!map || map.world_id !== req.world.id) {
+            return res.status(404).json({ error: 'Map not found' });
+        }
+    }
 
-    res.json({
-        version: '2.0.0',
-        exportedAt: Date.now(),
-        world,
-        maps: mapsWithLocations,
-        customStamps,
-        travelSettings
+    LiveHub.subscribe(req, res, {
+        worldId: req.world.id,
+        user: req.user,
+        role: req.world.role,
+        mapId,
+        clientId: req.query.client !== undefined ? req.query.client : null
     });
 }));
 
-// Import world data
-app.post('/api/import', requireAuth, asyncHandler(async (req, res) => {
-    const data = req.body;
+// ============================================
+// WORLDS API (Protected)
+// ============================================
+
+// Get all worlds the current user owns or has been invited to
+app.get('/api/worlds', requireAuth, asyncHandler(async (req, res) => {
+    const worlds = WorldsDB.getForUser(req.user.id);
+    res.json(worlds);
+}));
+
+// Get single world
+app.get('/api/worlds/:id', requireAuth, requireWorld('viewer', 'id'), asyncHandler(async (req, res) => {
+    sendRecord(res, req.world);
+}));
+
+// Create world
+app.post('/api/worlds', requireAuth, validate(schemas.createWorld), asyncHandler(async (req, res) => {
+    const world = db.transaction(() => {
+        const created = WorldsDB.create({
+            ...req.body,
+            owner_id: req.user.id
+        });
+        RevisionsDB.record('world', created.id, 'create', req.user.id);
+        return created;
+    })();
+    sendRecord(res, { ...world, role: 'owner' }, 201);
+}));
+
+// Update world
+app.put('/api/worlds/:id', requireAuth, requireWorld('owner', 'id'), requireIfMatch('world'), validate(schemas.updateWorld), asyncHandler(async (req, res) => {
+    const world = db.transaction(() => {
+        const updated = WorldsDB.update(req.world.id, req.body);
+        RevisionsDB.record('world', req.world.id, 'update', req.user.id);
+        return updated;
+    })();
+    broadcast(req, req.world.id, 'world.updated', world);
+    sendRecord(res, { ...world, role: req.world.role });
+}));
+
+// Move world to the trash
+app.delete('/api/worlds/:id', requireAuth, requireWorld('owner', 'id'), requireIfMatch('world'), asyncHandler(async (req, res) => {
+    db.transaction(() => {
+        RevisionsDB.record('world', req.world.id, 'delete', req.user.id);
+        WorldsDB.delete(req.world.id, req.user.id);
+    })();
+    broadcast(req, req.world.id, 'world.deleted', { id: req.world.id });
+    LiveHub.disconnect((client, worldId) => worldId === req.world.id);
+    res.json({ success: true });
+}));
+
+// ============================================
+// WORLD SHARING API (Protected)
+// ============================================
 
-    if (!data.world) {
-        return res.status(400).json({ error: 'Invalid import data' });
+// List the users a world is shared with
+app.get('/api/worlds/:worldId/members', requireAuth, requireWorld('viewer'), asyncHandler(async (req, res) => {
+    const owner = UsersDB.getById(req.world.owner_id);
+    const members = WorldMembersDB.getByWorldId(req.world.id);
+    res.json({ owner, members });
+}));
+
+// Invite a user to a world, or change their role
+app.put('/api/worlds/:worldId/members', requireAuth, requireWorld('owner'), validate(schemas.setMember), asyncHandler(async (req, res) => {
+    const { username, role } = req.body;
+
+    const user = UsersDB.getByUsername(username);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.world.owner_id) {
+        return sendFieldErrors(res, { username: 'Must not be the world owner' });
     }
 
-    // Create the world
-    const world = WorldsDB.create({
-        name: data.world.name + ' (Imported)',
-        description: data.world.description
+    const member = WorldMembersDB.set(req.world.id, user.id, role);
+    LiveHub.setRole(req.world.id, user.id, role);
+    res.json(member);
+}));
+
+// Remove a member (owners can remove anyone, members can remove themselves)
+app.delete('/api/worlds/:worldId/members/:userId', requireAuth, requireWorld('viewer'), asyncHandler(async (req, res) => {
+    if (req.world.role !== 'owner' && req.params.userId !== req.user.id) {
+        return res.status(403).json({ error: 'This action requires the owner role' });
+    }
+
+    WorldMembersDB.delete(req.world.id, req.params.userId);
+    LiveHub.disconnect((client, worldId) => worldId === req.world.id && client.user.id === req.params.userId);
+    res.json({ success: true });
+}));
+
+// ============================================
+// MAPS API (Protected)
+// ============================================
+
+// Get all maps for a world
+app.get('/api/worlds/:worldId/maps', requireAuth, requireWorld('viewer'), asyncHandler(async (req, res) => {
+    const maps = MapsDB.getByWorldId(req.world.id);
+    res.json(maps);
+}));
+
+// Get single map
+app.get('/api/maps/:id', requireAuth, requireMap('viewer', 'id'), asyncHandler(async (req, res) => {
+    sendRecord(res, req.map);
+}));
+
+// Create map
+app.post('/api/worlds/:worldId/maps', requireAuth, requireWorld('editor'), validate(schemas.createMap), asyncHandler(async (req, res) => {
+    const map = db.transaction(() => {
+        const created = MapsDB.create({
+            ...req.body,
+            world_id: req.world.id
+        });
+        RevisionsDB.record('map', created.id, 'create', req.user.id);
+        return created;
+    })();
+    broadcast(req, req.world.id, 'map.created', map);
+    sendRecord(res, map, 201);
+}));
+
+// Update map
+app.put('/api/maps/:id', requireAuth, requireMap('editor', 'id'), requireIfMatch('map'), validate(schemas.updateMap), asyncHandler(async (req, res) => {
+    const map = db.transaction(() => {
+        const updated = MapsDB.update(req.map.id, req.body);
+        RevisionsDB.record('map', req.map.id, 'update', req.user.id);
+        return updated;
+    })();
+    broadcast(req, req.world.id, 'map.updated', map);
+    sendRecord(res, map);
+}));
+
+// Move map to the trash
+app.delete('/api/maps/:id', requireAuth, requireMap('owner', 'id'), requireIfMatch('map'), asyncHandler(async (req, res) => {
+    db.transaction(() => {
+        RevisionsDB.record('map', req.map.id, 'delete', req.user.id);
+        MapsDB.delete(req.map.id, req.user.id);
+    })();
+    broadcast(req, req.world.id, 'map.deleted', { id: req.map.id });
+    res.json({ success: true });
+}));
+
+// Get map image (supports conditional and range requests)
+app.get('/api/maps/:id/image', requireAuth, requireMap('viewer', 'id'), asyncHandler(async (req, res) => {
+    const image = MapsDB.getImage(req.map.id);
+    if (!image || !ImageStore.exists(image.image_file)) {
+        return res.status(404).json({ error: 'Map has no image' });
+    }
+
+    // URLs carrying the current version never change content; anything else must revalidate
+    const isVersioned = req.query.v === imageVersion(image.image_file);
+    res.set('Cache-Control', isVersioned ? 'private, max-age=31536000, immutable' : 'private, no-cache');
+    res.type(image.image_type);
+    // Never run anything in an image opened on its own (SVGs uploaded before they were refused)
+    res.set('Content-Security-Policy', "sandbox; default-src 'none'; img-src 'self'; style-src 'unsafe-inline'");
+    res.set('X-Content-Type-Options', 'nosniff');
+
+    res.sendFile(ImageStore.path(image.image_file), { cacheControl: false });
+}));
+
+// Get one tile of a map's deep-zoom pyramid, in Leaflet tile coordinates
+app.get('/api/maps/:id/tiles/:z/:x/:y', requireAuth, requireMap('viewer', 'id'), validate(schemas.getTile), asyncHandler(async (req, res) => {
+    const image = MapsDB.getImage(req.map.id);
+    const tilePath = image && TileStore.tilePath(image.image_file, req.params.z, req.params.x, req.params.y);
+    if (!tilePath) {
+        return res.status(404).json({ error: 'Tile not found' });
+    }
+
+    const isVersioned = req.query.v === imageVersion(image.image_file);
+    res.set('Cache-Control', isVersioned ? 'private, max-age=31536000, immutable' : 'private, no-cache');
+
+    res.sendFile(tilePath, { cacheControl: false }, (err) => {
+        if (err && !res.headersSent) {
+            res.status(404).json({ error: 'Tile not found' });
+        }
     });
+}));
 
-    // Import travel settings
-    if (data.travelSettings) {
-        TravelSettingsDB.update(world.id, data.travelSettings);
+// Upload map image (multipart form: image file plus width and height in pixels)
+app.put('/api/maps/:id/image', requireAuth, requireMap('editor', 'id'), requireIfMatch('map'), imageUpload.single('image'), validate(schemas.uploadMapImage), asyncHandler(async (req, res) => {
+    if (!req.file) {
+        return sendFieldErrors(res, { image: 'Required' });
     }
 
-    // Import custom stamps
-    if (data.customStamps) {
-        for (const stamp of data.customStamps) {
-            CustomStampsDB.create({
-                world_id: world.id,
-                icon: stamp.icon,
-                name: stamp.name,
-                category: stamp.category
+    if (!ImageStore.isSupportedType(req.file.mimetype)) {
+        return sendFieldErrors(res, { image: `Unsupported image type: ${req.file.mimetype}` });
+    }
+
+    const image = ImageStore.save(req.file.buffer, req.file.mimetype);
+    const map = db.transaction(() => {
+        MapsDB.setImage(req.map.id, image);
+        const updated = MapsDB.update(req.map.id, {
+            width: req.body.width || 0,
+            height: req.body.height || 0
+        });
+        RevisionsDB.record('map', req.map.id, 'update', req.user.id);
+        return updated;
+    })();
+
+    broadcast(req, req.world.id, 'map.updated', map);
+    sendRecord(res, map);
+}));
+
+// Remove map image
+app.delete('/api/maps/:id/image', requireAuth, requireMap('editor', 'id'), requireIfMatch('map'), asyncHandler(async (req, res) => {
+    const map = db.transaction(() => {
+        const updated = MapsDB.setImage(req.map.id, null);
+        RevisionsDB.record('map', req.map.id, 'update', req.user.id);
+        return updated;
+    })();
+    broadcast(req, req.world.id, 'map.updated', map);
+    sendRecord(res, map);
+}));
+
+// ============================================
+// LOCATIONS API (Protected)
+// ============================================
+
+// Get the locations on a map, or only those inside ?bbox=minX,minY,maxX,maxY
+app.get('/api/maps/:mapId/locations', requireAuth, requireMap('viewer'), validate(schemas.listLocations), asyncHandler(async (req, res) => {
+    if (req.query.bbox === undefined) {
+        return res.json(LocationsDB.getByMapId(req.map.id));
+    }
+
+    const [minX, minY, maxX, maxY] = req.query.bbox.split(',').map(Number);
+    res.json(LocationsDB.getByMapIdInBounds(req.map.id, { minX, minY, maxX, maxY }));
+}));
+
+/**
+ * Find the locations near a point or another location on a map. Distances use
+ * the map's scale (scale_value units per pixel), like the travel calculator.
+ * Query: x & y, or location; radius (in the map's unit); limit; stamp (comma-separated IDs)
+ */
+app.get('/api/maps/:mapId/locations/nearby', requireAuth, requireMap('viewer'), validate(schemas.nearbyLocations), asyncHandler(async (req, res) => {
+    const map = req.map;
+    let origin;
+    let excludeId = null;
+
+    if (req.query.location !== undefined) {
+        const location = LocationsDB.getById(req.query.location);
+        if (!location || location.map_id !== map.id) {
+            return res.status(404).json({ error: 'Location not found on this map' });
+        }
+        origin = { x: location.x, y: location.y };
+        excludeId = location.id;
+    } else if (req.query.x !== undefined && req.query.y !== undefined) {
+        origin = { x: req.query.x, y: req.query.y };
+    } else {
+        const missing = {};
+        if (req.query.x === undefined) missing.x = 'Required unless location is given';
+        if (req.query.y === undefined) missing.y = 'Required unless location is given';
+        return sendFieldErrors(res, missing);
+    }
+
+    const radius = req.query.radius !== undefined ? req.query.radius : null;
+    let limit = radius === null ? 10 : null;
+    if (req.query.limit !== undefined) {
+        limit = req.query.limit;
+    }
+
+    const stampIds = req.query.stamp !== undefined
+        ? req.query.stamp.split(',').map(id => id.trim()).filter(Boolean)
+        : [];
+
+    const scale = map.scale_value > 0 ? map.scale_value : 1;
+    const locations = LocationsDB.getNearby(map.id, origin, {
+        radius: radius === null ? null : radius / scale,
+        limit,
+        stampIds,
+        excludeId
+    });
+
+    res.json({
+        origin,
+        unit: map.scale_unit || 'miles',
+        scale_value: scale,
+        locations: locations.map(location => ({
+            ...location,
+            distance: location.pixel_distance * scale
+        }))
+    });
+}));
+
+// Get single location
+app.get('/api/locations/:id', requireAuth, requireLocation('viewer'), asyncHandler(async (req, res) => {
+    sendRecord(res, req.location);
+}));
+
+// Create location
+app.post('/api/maps/:mapId/locations', requireAuth, requireMap('editor'), validate(schemas.createLocation), asyncHandler(async (req, res) => {
+    const location = db.transaction(() => {
+        const created = LocationsDB.create({
+            ...req.body,
+            map_id: req.map.id
+        });
+        RevisionsDB.record('location', created.id, 'create', req.user.id);
+        return created;
+    })();
+    broadcast(req, req.world.id, 'location.created', location);
+    sendRecord(res, location, 201);
+}));
+
+// Update location
+app.put('/api/locations/:id', requireAuth, requireLocation('editor'), requireIfMatch('location'), validate(schemas.updateLocation), asyncHandler(async (req, res) => {
+    const location = db.transaction(() => {
+        const updated = LocationsDB.update(req.location.id, req.body);
+        RevisionsDB.record('location', req.location.id, 'update', req.user.id);
+        return updated;
+    })();
+    broadcast(req, req.world.id, 'location.updated', location);
+    sendRecord(res, location);
+}));
+
+// Move location to the trash
+app.delete('/api/locations/:id', requireAuth, requireLocation('editor'), requireIfMatch('location'), asyncHandler(async (req, res) => {
+    db.transaction(() => {
+        RevisionsDB.record('location', req.location.id, 'delete', req.user.id);
+        LocationsDB.delete(req.location.id, req.user.id);
+    })();
+    broadcast(req, req.world.id, 'location.deleted', { id: req.location.id, map_id: req.location.map_id });
+    res.json({ success: true });
+}));
+
+// ============================================
+// BATCH API (Protected)
+// ============================================
+
+// Thrown to roll back a batch once an operation has failed
+const BATCH_ROLLBACK = Symbol('batch rollback');
+
+/**
+ * Check that every operation in a batch has the fields its kind needs
+ * @returns {Object} Error message by field path (empty if all are complete)
+ */
+const checkBatchOperations = (operations) => {
+    const errors = {};
+    operations.forEach((operation, index) => {
+        const path = `operations[${index}]`;
+        if (operation.op === 'create') {
+            if (operation.map_id === undefined) errors[`${path}.map_id`] = 'Required';
+            if (operation.data?.x === undefined) errors[`${path}.data.x`] = 'Required';
+            if (operation.data?.y === undefined) errors[`${path}.data.y`] = 'Required';
+        } else {
+            if (operation.id === undefined) errors[`${path}.id`] = 'Required';
+            if (operation.op === 'update' && operation.data === undefined) errors[`${path}.data`] = 'Required';
+        }
+    });
+    return errors;
+};
+
+/**
+ * Check the user may edit the world a batch operation touches
+ * @returns {Object|null} A failed result, or null if allowed
+ */
+const authorizeBatchOperation = (req, worldId, notFoundMessage) => {
+    const role = getWorldRole(req, worldId ? WorldsDB.getById(worldId) : null);
+    if (!role) {
+        return { status: 404, error: notFoundMessage };
+    }
+    if (ROLE_LEVELS[role] < ROLE_LEVELS.editor) {
+        return { status: 403, error: 'This action requires the editor role' };
+    }
+    return null;
+};
+
+/**
+ * Apply one operation of a batch, inside the batch's transaction
+ * @returns {Object} { status, location | id, world_id } or { status, error }
+ */
+const runBatchOperation = (req, { op, map_id, id, if_match, data }) => {
+    if (op === 'create') {
+        const map = MapsDB.getById(map_id);
+        const denied = authorizeBatchOperation(req, map && map.world_id, 'Map not found');
+        if (denied) return denied;
+
+        const location = LocationsDB.create({ ...data, map_id: map.id });
+        RevisionsDB.record('location', location.id, 'create', req.user.id);
+        return { status: 201, location, world_id: map.world_id };
+    }
+
+    const location = LocationsDB.getById(id);
+    const worldId = location ? LocationsDB.getWorldId(location.id) : null;
+    const denied = authorizeBatchOperation(req, worldId, 'Location not found');
+    if (denied) return denied;
+
+    // Like If-Match, accepting the ETag with or without its quotes
+    if (if_match !== undefined && if_match !== '*' && etagOf(location) !== (if_match.startsWith('"') ? if_match : `"${if_match}"`)) {
+        return { status: 412, error: 'This location was changed by someone else since you loaded it', current: location };
+    }
+
+    if (op === 'update') {
+        const updated = LocationsDB.update(location.id, data);
+        RevisionsDB.record('location', location.id, 'update', req.user.id);
+        return { status: 200, location: updated, world_id: worldId };
+    }
+
+    RevisionsDB.record('location', location.id, 'delete', req.user.id);
+    LocationsDB.delete(location.id, req.user.id);
+    return { status: 200, id: location.id, map_id: location.map_id, world_id: worldId };
+};
+
+/**
+ * Create, update and delete many locations at once, all or nothing. Each operation
+ * gets a result in the same position; if any fails, none are applied.
+ */
+app.post('/api/batch', requireAuth, validate(schemas.batch), asyncHandler(async (req, res) => {
+    const { operations } = req.body;
+
+    const missing = checkBatchOperations(operations);
+    if (Object.keys(missing).length > 0) {
+        return sendFieldErrors(res, missing);
+    }
+
+    let results;
+    try {
+        db.transaction(() => {
+            results = operations.map(operation => runBatchOperation(req, operation));
+            // Throwing rolls back everything the batch did
+            if (results.some(result => result.status >= 400)) throw BATCH_ROLLBACK;
+        })();
+    } catch (err) {
+        if (err !== BATCH_ROLLBACK) throw err;
+
+        const failedIndex = results.findIndex(result => result.status >= 400);
+        const failed = results[failedIndex];
+        return res.status(failed.status).json({
+            error: `Operation ${failedIndex} failed: ${failed.error}`,
+            results: results.map((result, index) => ({
+                op: operations[index].op,
+                ...(result.status >= 400
+                    ? result
+                    : { status: 424, error: 'Not applied because another operation failed' })
+            }))
+        });
+    }
+
+    res.json({
+        results: results.map(({ world_id, ...result }, index) => {
+            const { op } = operations[index];
+            if (op === 'delete') {
+                broadcast(req, world_id, 'location.deleted', { id: result.id, map_id: result.map_id });
+                return { op, status: result.status, id: result.id };
+            }
+            broadcast(req, world_id, op === 'create' ? 'location.created' : 'location.updated', result.location);
+            return { op, ...result, etag: etagOf(result.location) };
+        })
+    });
+}));
+
+// ============================================
+// CUSTOM STAMPS API (Protected)
+// ============================================
+
+// Get custom stamps for a world
+app.get('/api/worlds/:worldId/stamps', requireAuth, requireWorld('viewer'), asyncHandler(async (req, res) => {
+    const stamps = CustomStampsDB.getByWorldId(req.world.id);
+    res.json(stamps);
+}));
+
+// Create custom stamp
+app.post('/api/worlds/:worldId/stamps', requireAuth, requireWorld('editor'), validate(schemas.createStamp), asyncHandler(async (req, res) => {
+    const stamp = CustomStampsDB.create({
+        ...req.body,
+        world_id: req.world.id
+    });
+    broadcast(req, req.world.id, 'stamp.created', stamp);
+    res.status(201).json(stamp);
+}));
+
+// Delete custom stamp
+app.delete('/api/stamps/:id', requireAuth, requireStamp('editor'), asyncHandler(async (req, res) => {
+    CustomStampsDB.delete(req.stamp.id);
+    broadcast(req, req.world.id, 'stamp.deleted', { id: req.stamp.id });
+    res.json({ success: true });
+}));
+
+// ============================================
+// TRAVEL SETTINGS API (Protected)
+// ============================================
+
+// Get travel settings for a world
+app.get('/api/worlds/:worldId/travel-settings', requireAuth, requireWorld('viewer'), asyncHandler(async (req, res) => {
+    let settings = TravelSettingsDB.getByWorldId(req.world.id);
+    if (!settings) {
+        settings = TravelSettingsDB.create(req.world.id);
+    }
+    res.json(settings);
+}));
+
+// Update travel settings
+app.put('/api/worlds/:worldId/travel-settings', requireAuth, requireWorld('editor'), validate(schemas.updateTravelSettings), asyncHandler(async (req, res) => {
+    const settings = TravelSettingsDB.update(req.world.id, req.body);
+    broadcast(req, req.world.id, 'travel-settings.updated', settings);
+    res.json(settings);
+}));
+
+// ============================================
+// REVISION HISTORY API (Protected)
+// ============================================
+
+// List the revisions of a world, map or location, newest first
+app.get('/api/history/:entityType/:entityId', requireAuth, requireHistory('viewer'), asyncHandler(async (req, res) => {
+    const revisions = RevisionsDB.getForEntity(req.params.entityType, req.params.entityId);
+    res.json(revisions);
+}));
+
+// Get a single revision
+app.get('/api/revisions/:id', requireAuth, requireRevision('viewer'), asyncHandler(async (req, res) => {
+    res.json(req.revision);
+}));
+
+// Compare a revision with an earlier one (?against=<revision id>, the previous revision by default)
+app.get('/api/revisions/:id/diff', requireAuth, requireRevision('viewer'), validate(schemas.revisionDiff), asyncHandler(async (req, res) => {
+    const revision = req.revision;
+    let against;
+
+    if (req.query.against !== undefined) {
+        against = RevisionsDB.getById(req.query.against);
+        if (!against || against.entity_type !== revision.entity_type || against.entity_id !== revision.entity_id) {
+            return sendFieldErrors(res, { against: 'Must be a revision of the same record' });
+        }
+    } else {
+        against = RevisionsDB.getPrevious(revision);
+    }
+
+    res.json({
+        from: against,
+        to: revision,
+        changes: RevisionsDB.diff(against ? against.data : null, revision.data)
+    });
+}));
+
+// Restore a record to a revision, taking it out of the trash if it was deleted
+app.post('/api/revisions/:id/restore', requireAuth, requireRevision('editor'), asyncHandler(async (req, res) => {
+    const revision = req.revision;
+    const { data } = revision;
+
+    if (revision.entity_type === 'world' && req.world.role !== 'owner') {
+        return res.status(403).json({ error: 'This action requires the owner role' });
+    }
+
+    // The record a map or location belongs to has to exist before it can be restored
+    if (revision.entity_type === 'map' && !WorldsDB.getById(data.world_id)) {
+        return res.status(409).json({ error: 'Restore the world this map belongs to first' });
+    }
+    if (revision.entity_type === 'location') {
+        const map = MapsDB.getById(data.map_id);
+        if (!map || map.world_id !== revision.world_id) {
+            return res.status(409).json({ error: 'Restore the map this location was on first' });
+        }
+        if (!WorldsDB.getById(map.world_id)) {
+            return res.status(409).json({ error: 'Restore the world this location belongs to first' });
+        }
+    }
+
+    const restored = RevisionsDB.restore(revision, req.user.id);
+
+    let record;
+    if (revision.entity_type === 'world') {
+        record = { ...WorldsDB.getById(revision.entity_id), role: req.world.role };
+    } else if (revision.entity_type === 'map') {
+        record = MapsDB.getById(revision.entity_id);
+    } else {
+        record = LocationsDB.getById(revision.entity_id);
+    }
+    const { role, ...shared } = record;
+    broadcast(req, revision.world_id, `${revision.entity_type}.updated`, shared);
+
+    res.json({ revision: restored, [revision.entity_type]: record });
+}));
+
+// ============================================
+// TRASH API (Protected)
+// ============================================
+
+/**
+ * Add the time an item will be purged automatically
+ */
+const withPurgeTime = (item) => ({
+    ...item,
+    purge_at: TRASH_RETENTION_DAYS > 0 ? item.deleted_at + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000 : null
+});
+
+// List the deleted worlds, maps and locations the current user can restore
+app.get('/api/trash', requireAuth, asyncHandler(async (req, res) => {
+    const items = TrashDB.getForUser(req.user.id).map(withPurgeTime);
+    res.json({ items, retention_days: TRASH_RETENTION_DAYS });
+}));
+
+// Take an item out of the trash
+app.post('/api/trash/:type/:id/restore', requireAuth, requireTrashItem, asyncHandler(async (req, res) => {
+    const { type, id } = req.trashItem;
+    db.transaction(() => {
+        TrashDB.restore(type, id);
+        RevisionsDB.record(type, id, 'restore', req.user.id);
+    })();
+    if (type === 'map') {
+        broadcast(req, req.trashItem.world_id, 'map.created', MapsDB.getById(id));
+    } else if (type === 'location') {
+        broadcast(req, req.trashItem.world_id, 'location.created', LocationsDB.getById(id));
+    }
+    res.json({ success: true, ...req.trashItem, deleted_at: null });
+}));
+
+// Permanently delete an item in the trash
+app.delete('/api/trash/:type/:id', requireAuth, requireTrashItem, asyncHandler(async (req, res) => {
+    TrashDB.purge(req.trashItem.type, req.trashItem.id);
+    res.json({ success: true });
+}));
+
+// Permanently delete everything in the current user's trash
+app.delete('/api/trash', requireAuth, asyncHandler(async (req, res) => {
+    const items = TrashDB.getForUser(req.user.id);
+    db.transaction(() => {
+        for (const item of items) {
+            TrashDB.purge(item.type, item.id);
+        }
+    })();
+    res.json({ success: true, purged: items.length });
+}));
+
+/**
+ * Purge items that have been in the trash longer than the retention period
+ */
+const purgeExpiredTrash = () => {
+    if (!(TRASH_RETENTION_DAYS > 0)) return;
+    try {
+        const count = TrashDB.purgeExpired(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        if (count > 0) {
+            console.log(`Purged ${count} item(s) from the trash`);
+        }
+    } catch (err) {
+        console.error('Trash purge failed:', err);
+    }
+};
+
+// ============================================
+// SEARCH API (Protected)
+// ============================================
+
+// Search the names of worlds and maps and the text of locations across every world the user can see
+app.get('/api/search', requireAuth, validate(schemas.search), asyncHandler(async (req, res) => {
+    const limit = req.query.limit !== undefined ? req.query.limit : 20;
+    res.json(SearchDB.search(req.user.id, req.query.q, limit));
+}));
+
+// ============================================
+// EXPORT/IMPORT API (Protected)
+// ============================================
+
+// Export world data
+app.get('/api/worlds/:worldId/export', requireAuth, requireWorld('viewer'), asyncHandler(async (req, res) => {
+    const world = req.world;
+    const maps = MapsDB.getByWorldId(world.id);
+    const customStamps = CustomStampsDB.getByWorldId(world.id);
+    const travelSettings = TravelSettingsDB.getByWorldId(world.id);
+
+    // Get locations for each map, with images inlined so the export is self-contained
+    const mapsWithLocations = maps.map(({ image_url, ...map }) => {
+        const image = MapsDB.getImage(map.id);
+        return {
+            ...map,
+            image_data: image && ImageStore.exists(image.image_file)
+                ? ImageStore.toDataUrl(image.image_file, image.image_type)
+                : null,
+            locations: LocationsDB.getByMapId(map.id)
+        };
+    });
+
+    res.json({
+        version: '2.0.0',
+        exportedAt: Date.now(),
+        world,
+        maps: mapsWithLocations,
+        customStamps,
+        travelSettings
+    });
+}));
+
+/**
+ * Copy the custom stamps, maps and locations of an export into a world. Everything gets
+ * a new ID, and locations are pointed at the new IDs of the custom stamps they used.
+ * A custom stamp identical to one the world already has reuses it. Call inside a transaction.
+ * @param {Object} req - The request, for the user recorded as the author
+ * @param {string} worldId - World to import into
+ * @param {Object} data - Export data
+ * @returns {Object} What was created: { maps, stamps, locations, stamps_reused }
+ */
+const importWorldContents = (req, worldId, data) => {
+    const imported = { maps: [], stamps: [], locations: 0, stamps_reused: 0 };
+
+    // Custom stamp ID in the export -> ID in this world
+    const stampIds = new Map();
+    const stamps = CustomStampsDB.getByWorldId(worldId);
+
+    for (const stampData of data.customStamps || []) {
+        const category = stampData.category || 'custom';
+        let stamp = stamps.find(s => s.icon === stampData.icon && s.name === stampData.name && s.category === category);
+        if (stamp) {
+            imported.stamps_reused++;
+        } else {
+            stamp = CustomStampsDB.create({
+                world_id: worldId,
+                icon: stampData.icon,
+                name: stampData.name,
+                category
             });
+            stamps.push(stamp);
+            imported.stamps.push(stamp);
+        }
+        if (stampData.id) {
+            stampIds.set(stampData.id, stamp.id);
         }
     }
 
-    // Import maps and locations
-    if (data.maps) {
-        for (const mapData of data.maps) {
-            const map = MapsDB.create({
-                world_id: world.id,
-                name: mapData.name,
-                image_data: mapData.image_data,
-                width: mapData.width,
-                height: mapData.height,
-                scale_value: mapData.scale_value,
-                scale_unit: mapData.scale_unit
+    for (const mapData of data.maps || []) {
+        const map = MapsDB.create({
+            world_id: worldId,
+            name: mapData.name,
+            image_data: mapData.image_data,
+            width: mapData.width,
+            height: mapData.height,
+            scale_value: mapData.scale_value,
+            scale_unit: mapData.scale_unit
+        });
+        RevisionsDB.record('map', map.id, 'create', req.user.id);
+
+        for (const loc of mapData.locations || []) {
+            const location = LocationsDB.create({
+                map_id: map.id,
+                name: loc.name,
+                description: loc.description,
+                wiki_link: loc.wiki_link,
+                notes: loc.notes,
+                // Built-in stamps keep their IDs
+                stamp_id: stampIds.get(loc.stamp_id) || loc.stamp_id,
+                x: loc.x,
+                y: loc.y
             });
+            RevisionsDB.record('location', location.id, 'create', req.user.id);
+            imported.locations++;
+        }
+
+        // Read back so the map's location count is current
+        imported.maps.push(MapsDB.getById(map.id));
+    }
+
+    return imported;
+};
+
+/**
+ * Describe what an import created, by count
+ */
+const describeImport = ({ maps, stamps, locations, stamps_reused }) => ({
+    maps: maps.length,
+    locations,
+    stamps: stamps.length,
+    stamps_reused
+});
+
+/**
+ * Accept projects saved by the old browser-only version by converting them
+ * to a world export before validation
+ */
+const upgradeLegacyImport = (req, res, next) => {
+    if (isLegacyProject(req.body)) {
+        req.body = convertLegacyProject(req.body);
+    }
+    next();
+};
+
+// Import world data (or a legacy project) as a new world
+app.post('/api/import', requireAuth, upgradeLegacyImport, validate(schemas.importWorld), asyncHandler(async (req, res) => {
+    const data = req.body;
+
+    // Import everything or nothing
+    const { world, imported } = db.transaction(() => {
+        const created = WorldsDB.create({
+            owner_id: req.user.id,
+            name: data.world.name + ' (Imported)',
+            description: data.world.description
+        });
+        RevisionsDB.record('world', created.id, 'create', req.user.id);
+
+        if (data.travelSettings) {
+            TravelSettingsDB.update(created.id, data.travelSettings);
+        }
+
+        return { world: created, imported: importWorldContents(req, created.id, data) };
+    })();
 
-            if (mapData.locations) {
-                for (const loc of mapData.locations) {
-                    LocationsDB.create({
-                        map_id: map.id,
-                        name: loc.name,
-                        description: loc.description,
-                        wiki_link: loc.wiki_link,
-                        notes: loc.notes,
-                        stamp_id: loc.stamp_id,
-                        x: loc.x,
-                        y: loc.y
-                    });
-                }
+    res.status(201).json({ success: true, world, imported: describeImport(imported) });
+}));
+
+// Import world data into an existing world, adding its maps and custom stamps
+// (the world's name, description and travel settings are left as they are)
+app.post('/api/worlds/:worldId/import', requireAuth, requireWorld('editor'), validate(schemas.mergeWorld), asyncHandler(async (req, res) => {
+    const imported = db.transaction(() => importWorldContents(req, req.world.id, req.body))();
+
+    for (const stamp of imported.stamps) {
+        broadcast(req, req.world.id, 'stamp.created', stamp);
+    }
+    for (const map of imported.maps) {
+        broadcast(req, req.world.id, 'map.created', map);
+    }
+
+    res.json({ success: true, world: req.world, imported: describeImport(imported) });
+}));
+
+// ============================================
+// GEOJSON
+// ============================================
+
+// Built-in stamps by ID, from the same definitions as the stamp palette
+const BUILT_IN_STAMPS = new Map(
+    Object.entries(StampManager.defaultStamps).flatMap(([category, group]) =>
+        group.stamps.map(stamp => [stamp.id, { ...stamp, category }])
+    )
+);
+
+// Export a map's locations as a GeoJSON FeatureCollection of points in map pixels
+app.get('/api/maps/:id/export.geojson', requireAuth, requireMap('viewer', 'id'), asyncHandler(async (req, res) => {
+    const map = req.map;
+    const customStamps = new Map(CustomStampsDB.getByWorldId(map.world_id).map(stamp => [stamp.id, stamp]));
+
+    const features = LocationsDB.getByMapId(map.id).map(location => {
+        const stamp = customStamps.get(location.stamp_id) || BUILT_IN_STAMPS.get(location.stamp_id);
+        return {
+            type: 'Feature',
+            id: location.id,
+            geometry: { type: 'Point', coordinates: [location.x, location.y] },
+            properties: {
+                name: location.name,
+                description: location.description,
+                notes: location.notes,
+                wiki_link: location.wiki_link,
+                stamp_id: location.stamp_id,
+                stamp_icon: stamp ? stamp.icon : null,
+                stamp_name: stamp ? stamp.name : null
             }
+        };
+    });
+
+    res.type('application/geo+json').send(JSON.stringify({
+        type: 'FeatureCollection',
+        // Not a standard member; GeoJSON has no place for a pixel grid's scale
+        metadata: {
+            map_id: map.id,
+            name: map.name,
+            width: map.width,
+            height: map.height,
+            coordinates: 'pixels',
+            scale_value: map.scale_value,
+            scale_unit: map.scale_unit,
+            exported_at: Date.now()
+        },
+        features
+    }, null, 2));
+}));
+
+/**
+ * Work out which stamp an imported feature should use: a built-in or custom stamp
+ * with its ID, else a custom stamp with the same icon and name, else a pin
+ * @param {Object} properties - The feature's properties
+ * @param {Array} customStamps - The world's custom stamps
+ * @returns {string|null} Stamp ID, or null if the stamp is unknown
+ */
+const resolveImportedStamp = (properties, customStamps) => {
+    const { stamp_id, stamp_icon, stamp_name } = properties;
+    if (stamp_id && (BUILT_IN_STAMPS.has(stamp_id) || customStamps.some(stamp => stamp.id === stamp_id))) {
+        return stamp_id;
+    }
+    const match = stamp_icon && customStamps.find(stamp => stamp.icon === stamp_icon && stamp.name === stamp_name);
+    return match ? match.id : null;
+};
+
+// Create locations on a map from the Point features of a GeoJSON FeatureCollection
+app.post('/api/maps/:id/import.geojson', requireAuth, requireMap('editor', 'id'), validate(schemas.importGeoJSON), asyncHandler(async (req, res) => {
+    const map = req.map;
+
+    // Only points become locations; other geometries (and features without one) are skipped
+    const points = [];
+    const errors = {};
+    req.body.features.forEach((feature, index) => {
+        if (!feature.geometry || feature.geometry.type !== 'Point') return;
+
+        const coordinates = feature.geometry.coordinates;
+        if (!Array.isArray(coordinates) || coordinates.length < 2 || !coordinates.slice(0, 2).every(Number.isFinite)) {
+            errors[`features[${index}].geometry.coordinates`] = 'Must be [x, y]';
+            return;
         }
+        points.push({ coordinates, properties: feature.properties || {} });
+    });
+
+    if (Object.keys(errors).length > 0) {
+        return sendFieldErrors(res, errors);
     }
 
-    res.status(201).json({ success: true, world });
+    const customStamps = CustomStampsDB.getByWorldId(map.world_id);
+    let unknownStamps = 0;
+
+    const locations = db.transaction(() => points.map(({ coordinates: [x, y], properties }) => {
+        let stampId = resolveImportedStamp(properties, customStamps);
+        if (!stampId) {
+            stampId = 'pin';
+            unknownStamps++;
+        }
+
+        const location = LocationsDB.create({
+            map_id: map.id,
+            name: properties.name,
+            description: properties.description,
+            wiki_link: properties.wiki_link,
+            notes: properties.notes,
+            stamp_id: stampId,
+            x,
+            y
+        });
+        RevisionsDB.record('location', location.id, 'create', req.user.id);
+        return location;
+    }))();
+
+    for (const location of locations) {
+        broadcast(req, map.world_id, 'location.created', location);
+    }
+
+    res.status(201).json({
+        success: true,
+        imported: {
+            locations: locations.length,
+            skipped: req.body.features.length - points.length,
+            unknown_stamps: unknownStamps
+        }
+    });
+}));
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * Stamps by ID for a world's CSV export: the built-in ones and its custom stamps
+ */
+const csvStamps = (worldId) => new Map([
+    ...BUILT_IN_STAMPS,
+    ...CustomStampsDB.getByWorldId(worldId).map(stamp => [stamp.id, stamp])
+]);
+
+/**
+ * Attach the locations a CSV export of some maps lists
+ */
+const withLocations = (maps) => maps.map(map => ({ ...map, locations: LocationsDB.getByMapId(map.id) }));
+
+/**
+ * Send CSV as a download
+ */
+const sendCsv = (res, name, csv) => {
+    res.type('text/csv');
+    res.attachment(`${name.replace(/[^a-z0-9]/gi, '_')}.csv`);
+    // The byte order mark tells spreadsheets the file is UTF-8
+    res.send('\ufeff' + csv);
+};
+
+// Export a map's locations as CSV
+app.get('/api/maps/:id/export.csv', requireAuth, requireMap('viewer', 'id'), asyncHandler(async (req, res) => {
+    sendCsv(res, req.map.name, locationsToCsv(withLocations([req.map]), csvStamps(req.map.world_id)));
+}));
+
+// Export the locations of every map in a world as CSV
+app.get('/api/worlds/:worldId/export.csv', requireAuth, requireWorld('viewer'), asyncHandler(async (req, res) => {
+    const maps = MapsDB.getByWorldId(req.world.id);
+    sendCsv(res, req.world.name, locationsToCsv(withLocations(maps), csvStamps(req.world.id)));
+}));
+
+// ============================================
+// STATIC SITE
+// ============================================
+
+// Export a world as a read-only website (a ZIP of the viewer, its data and the map images)
+app.get('/api/worlds/:worldId/export-site', requireAuth, requireWorld('viewer'), asyncHandler(async (req, res) => {
+    const maps = MapsDB.getByWorldId(req.world.id).map(map => {
+        const image = MapsDB.getImage(map.id);
+        return {
+            ...map,
+            image: image && ImageStore.exists(image.image_file)
+                ? { data: ImageStore.read(image.image_file), extension: path.extname(image.image_file).slice(1) }
+                : null,
+            locations: LocationsDB.getByMapId(map.id)
+        };
+    });
+
+    const zip = buildSite(req.world, maps, CustomStampsDB.getByWorldId(req.world.id));
+    res.type('application/zip');
+    res.attachment(`${req.world.name.replace(/[^a-z0-9]/gi, '_')}_site.zip`);
+    res.send(zip);
 }));
 
 // ============================================
@@ -444,6 +1786,15 @@ app.post('/api/import', requireAuth, asyncHandler(async (req, res) => {
 // ============================================
 
 app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    // Request bodies that aren't valid JSON
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+
     console.error('Error:', err);
     res.status(500).json({
         error: 'Internal server error',
@@ -466,4 +1817,23 @@ app.listen(PORT, () => {
         console.log('\n*** First-time setup required ***');
         console.log('Open the application in your browser to create the first user.');
     }
+
+    // Build tiles for images stored before tiling existed or whose build was interrupted
+    for (const file of MapsDB.getImageFiles()) {
+        TileStore.enqueue(file);
+    }
+
+    // Empty expired items from the trash and drop expired sessions, old auth events and lockouts now and every hour
+    const purgeExpired = () => {
+        purgeExpiredTrash();
+        try {
+            SessionsDB.purgeExpired();
+        } catch (err) {
+            console.error('Session cleanup failed:', err);
+        }
+        purgeOldAuthEvents();
+        LoginGuard.prune();
+    };
+    purgeExpired();
+    setInterval(purgeExpired, 60 * 60 * 1000).unref();
 });
@@ -0,0 +1,90 @@
+/**
+ * Fantasy Map Builder - Legacy Projects
+ * Converts projects from the single-map, browser-only version (format 1.0.0) into the
+ * world export format, so they can be imported like any other export
+ */
+
+// Name given to the world a legacy project becomes; the old format had no names
+const LEGACY_WORLD_NAME = 'Fantasy Map';
+const LEGACY_MAP_NAME = 'Map';
+
+const SCALE_UNITS = ['miles', 'km', 'leagues'];
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether import data is a legacy project rather than a world export.
+ * Legacy projects keep one map's image, locations and stamps at the top level.
+ * @param {Object} data - Parsed import file
+ * @returns {boolean}
+ */
+function isLegacyProject(data) {
+    if (!isObject(data) || data.world) return false;
+    return data.version === '1.0.0' || 'mapImage' in data || Array.isArray(data.locations);
+}
+
+/**
+ * Turn a legacy project into a world export with one map. Legacy fields hold whatever
+ * the browser saved, so anything malformed is dropped here or rejected when the
+ * converted export is validated.
+ * @param {Object} data - Legacy project: { mapImage, locations, travelSettings, stamps }
+ * @returns {Object} The project as a world export
+ */
+function convertLegacyProject(data) {
+    const mapImage = isObject(data.mapImage) ? data.mapImage : {};
+    const travel = isObject(data.travelSettings) ? data.travelSettings : {};
+    const speeds = isObject(travel.speeds) ? travel.speeds : {};
+    const scale = isObject(travel.scale) ? travel.scale : {};
+
+    // Custom stamps were kept alongside the built-in ones, grouped by category
+    const customStamps = [];
+    if (isObject(data.stamps)) {
+        for (const [category, group] of Object.entries(data.stamps)) {
+            if (!isObject(group) || !Array.isArray(group.stamps)) continue;
+            for (const stamp of group.stamps) {
+                if (isObject(stamp) && stamp.custom) {
+                    customStamps.push({ id: stamp.id, icon: stamp.icon, name: stamp.name, category });
+                }
+            }
+        }
+    }
+
+    const locations = (Array.isArray(data.locations) ? data.locations : []).map(loc => isObject(loc) ? {
+        name: loc.name,
+        description: loc.description,
+        wiki_link: loc.wikiLink,
+        notes: loc.notes,
+        stamp_id: loc.stampId,
+        x: loc.x,
+        y: loc.y
+    } : loc);
+
+    // Only uploaded images were saved, as data URLs
+    const imageData = typeof mapImage.imageUrl === 'string' && mapImage.imageUrl.startsWith('data:')
+        ? mapImage.imageUrl
+        : null;
+
+    return {
+        version: '2.0.0',
+        world: { name: LEGACY_WORLD_NAME, description: '' },
+        travelSettings: {
+            walking_speed: speeds.walking,
+            horse_speed: speeds.horse,
+            wagon_speed: speeds.wagon,
+            hours_per_day: travel.hoursPerDay
+        },
+        customStamps,
+        maps: [{
+            name: LEGACY_MAP_NAME,
+            image_data: imageData,
+            width: imageData && Number.isFinite(mapImage.width) ? Math.round(mapImage.width) : null,
+            height: imageData && Number.isFinite(mapImage.height) ? Math.round(mapImage.height) : null,
+            // The old pixelsPerUnit was, despite its name, distance units per pixel like scale_value
+            scale_value: Number.isFinite(scale.pixelsPerUnit) && scale.pixelsPerUnit > 0 ? scale.pixelsPerUnit : null,
+            scale_unit: SCALE_UNITS.includes(scale.unit) ? scale.unit : null,
+            locations
+        }]
+    };
+}
+
+module.exports = { isLegacyProject, convertLegacyProject };
@@ -0,0 +1,182 @@
+/**
+ * Fantasy Map Builder - Live Updates
+ * Streams changes to everyone viewing a world as Server-Sent Events,
+ * along with who else is looking at which map
+ */
+
+const crypto = require('crypto');
+
+// A comment is sent this often so idle streams aren't closed by proxies
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 3000;
+
+/**
+ * Keeps the open event streams, grouped by world
+ */
+const LiveHub = {
+    // World ID -> Set of clients { id, sid, user, role, mapId, res, heartbeat }
+    worlds: new Map(),
+
+    // Whether a user may still see a world: (userId, worldId) => boolean. Set by the server,
+    // so streams opened before a user lost access stop receiving changes.
+    canView: null,
+
+    /**
+     * Turn a response into an event stream for a world. The stream stays open until
+     * the client goes away or is disconnected.
+     * @param {Object} req - The request, whose close ends the stream
+     * @param {Object} res - The response to stream to
+     * @param {Object} options
+     * @param {string} options.worldId - World to receive changes for
+     * @param {Object} options.user - The viewer ({ id, username, display_name })
+     * @param {string} options.role - The viewer's role in the world
+     * @param {string|null} options.mapId - Map the viewer has open, for presence
+     * @param {string|null} options.clientId - ID the browser tab sends with its own changes
+     */
+    subscribe(req, res, { worldId, user, role, mapId, clientId }) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Stop nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const client = {
+            id: clientId || crypto.randomUUID(),
+            sid: req.sessionID || null,
+            user: { id: user.id, username: user.username, display_name: user.display_name || null },
+            role,
+            mapId: mapId || null,
+            res
+        };
+        client.heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        if (!this.worlds.has(worldId)) {
+            this.worlds.set(worldId, new Set());
+        }
+        this.worlds.get(worldId).add(client);
+
+        req.on('close', () => this.remove(worldId, client));
+
+        this.publishPresence(worldId);
+    },
+
+    /**
+     * Write one event to a client
+     */
+    send(client, type, data, origin = null) {
+        client.res.write(`data: ${JSON.stringify({ type, data, origin })}\n\n`);
+    },
+
+    /**
+     * Send a change to everyone viewing a world
+     * @param {string} worldId - World the change belongs to
+     * @param {string} type - Event type, such as "location.updated"
+     * @param {Object} data - The changed record, or { id } for deletions
+     * @param {string|null} origin - Client ID of the tab that made the change, so it can skip its own echo
+     */
+    publish(worldId, type, data, origin = null) {
+        const clients = this.worlds.get(worldId);
+        if (!clients) return;
+
+        let ended = false;
+        for (const client of [...clients]) {
+            if (this.canView && !this.canView(client.user.id, worldId)) {
+                this.end(worldId, client);
+                ended = true;
+                continue;
+            }
+            this.send(client, type, data, origin);
+        }
+        if (ended) this.publishPresence(worldId);
+    },
+
+    /**
+     * Tell a user's open streams that their role in a world has changed
+     */
+    setRole(worldId, userId, role) {
+        const clients = this.worlds.get(worldId);
+        if (!clients) return;
+
+        for (const client of clients) {
+            if (client.user.id === userId) {
+                client.role = role;
+                this.send(client, 'role.updated', { world_id: worldId, role });
+            }
+        }
+        this.publishPresence(worldId);
+    },
+
+    /**
+     * Who is viewing a world, one entry per open tab
+     */
+    presence(worldId) {
+        const clients = this.worlds.get(worldId) || new Set();
+        return [...clients].map(client => ({
+            user_id: client.user.id,
+            username: client.user.username,
+            display_name: client.user.display_name,
+            role: client.role,
+            map_id: client.mapId
+        }));
+    },
+
+    /**
+     * Tell everyone viewing a world who else is there
+     */
+    publishPresence(worldId) {
+        this.publish(worldId, 'presence', this.presence(worldId));
+    },
+
+    /**
+     * Forget a client whose stream has closed
+     */
+    remove(worldId, client) {
+        clearInterval(client.heartbeat);
+        const clients = this.worlds.get(worldId);
+        if (!clients || !clients.delete(client)) return;
+
+        if (clients.size === 0) {
+            this.worlds.delete(worldId);
+        } else {
+            this.publishPresence(worldId);
+        }
+    },
+
+    /**
+     * Close a client's stream. Browsers reconnect on their own, so the
+     * reconnect is what gets refused if access has gone.
+     */
+    end(worldId, client) {
+        clearInterval(client.heartbeat);
+        const clients = this.worlds.get(worldId);
+        if (clients) {
+            clients.delete(client);
+            if (clients.size === 0) this.worlds.delete(worldId);
+        }
+        client.res.end();
+    },
+
+    /**
+     * Close every stream matching a test, such as those of a revoked session
+     * @param {Function} test - (client, worldId) => boolean
+     */
+    disconnect(test) {
+        for (const [worldId, clients] of [...this.worlds]) {
+            let ended = false;
+            for (const client of [...clients]) {
+                if (test(client, worldId)) {
+                    this.end(worldId, client);
+                    ended = true;
+                }
+            }
+            if (ended) this.publishPresence(worldId);
+        }
+    }
+};
+
+module.exports = { LiveHub };
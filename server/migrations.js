@@ -0,0 +1,547 @@
+/**
+ * Fantasy Map Builder - Schema Migrations
+ * Versioned, ordered changes to the SQLite schema
+ *
+ * The schema version is kept in SQLite's user_version header field. On
+ * startup every migration newer than that version runs in order, each in its
+ * own transaction, after a backup copy of the database has been written.
+ *
+ * To change the schema, append a migration with the next version number.
+ * Never edit a migration that has shipped; existing databases have already run it.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { ImageStore } = require('./images');
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Schema from before versioned migrations',
+        up(db) {
+            // Databases from before versioning have some of these tables already
+            db.exec(`
+                -- Users table
+                CREATE TABLE IF NOT EXISTS users (
+                    id TEXT PRIMARY KEY,
+                    username TEXT UNIQUE NOT NULL,
+                    password_hash TEXT NOT NULL,
+                    display_name TEXT,
+                    is_admin INTEGER DEFAULT 0,
+                    disabled INTEGER DEFAULT 0,
+                    created_at INTEGER NOT NULL,
+                    updated_at INTEGER NOT NULL
+                );
+
+                -- API tokens table (personal access tokens for scripts)
+                CREATE TABLE IF NOT EXISTS api_tokens (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    token_hash TEXT UNIQUE NOT NULL,
+                    token_prefix TEXT NOT NULL,
+                    read_only INTEGER DEFAULT 0,
+                    expires_at INTEGER,
+                    last_used_at INTEGER,
+                    created_at INTEGER NOT NULL,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                );
+
+                -- Worlds table (container for multiple maps)
+                CREATE TABLE IF NOT EXISTS worlds (
+                    id TEXT PRIMARY KEY,
+                    owner_id TEXT,
+                    name TEXT NOT NULL,
+                    description TEXT DEFAULT '',
+                    created_at INTEGER NOT NULL,
+                    updated_at INTEGER NOT NULL,
+                    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+                );
+
+                -- World members table (users a world is shared with)
+                CREATE TABLE IF NOT EXISTS world_members (
+                    world_id TEXT NOT NULL,
+                    user_id TEXT NOT NULL,
+                    role TEXT NOT NULL CHECK (role IN ('editor', 'viewer')),
+                    created_at INTEGER NOT NULL,
+                    updated_at INTEGER NOT NULL,
+                    PRIMARY KEY (world_id, user_id),
+                    FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                );
+
+                -- Maps table (individual maps within a world)
+                CREATE TABLE IF NOT EXISTS maps (
+                    id TEXT PRIMARY KEY,
+                    world_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    image_data TEXT,
+                    image_file TEXT,
+                    image_type TEXT,
+                    image_size INTEGER DEFAULT 0,
+                    width INTEGER DEFAULT 0,
+                    height INTEGER DEFAULT 0,
+                    scale_value REAL DEFAULT 1,
+                    scale_unit TEXT DEFAULT 'miles',
+                    created_at INTEGER NOT NULL,
+                    updated_at INTEGER NOT NULL,
+                    FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
+                );
+
+                -- Locations table (markers on maps)
+                CREATE TABLE IF NOT EXISTS locations (
+                    id TEXT PRIMARY KEY,
+                    map_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    description TEXT DEFAULT '',
+                    wiki_link TEXT DEFAULT '',
+                    notes TEXT DEFAULT '',
+                    stamp_id TEXT DEFAULT 'pin',
+                    x REAL NOT NULL,
+                    y REAL NOT NULL,
+                    created_at INTEGER NOT NULL,
+                    updated_at INTEGER NOT NULL,
+                    FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE
+                );
+
+                -- Custom stamps table (per-world custom stamps)
+                CREATE TABLE IF NOT EXISTS custom_stamps (
+                    id TEXT PRIMARY KEY,
+                    world_id TEXT NOT NULL,
+                    icon TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    category TEXT DEFAULT 'custom',
+                    created_at INTEGER NOT NULL,
+                    FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
+                );
+
+                -- Travel settings table (per-world travel configuration)
+                CREATE TABLE IF NOT EXISTS travel_settings (
+                    id TEXT PRIMARY KEY,
+                    world_id TEXT UNIQUE NOT NULL,
+                    walking_speed REAL DEFAULT 3,
+                    horse_speed REAL DEFAULT 8,
+                    wagon_speed REAL DEFAULT 4,
+                    hours_per_day INTEGER DEFAULT 8,
+                    FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
+                );
+
+                -- Create indexes for better query performance
+                CREATE INDEX IF NOT EXISTS idx_maps_world_id ON maps(world_id);
+                CREATE INDEX IF NOT EXISTS idx_locations_map_id ON locations(map_id);
+                CREATE INDEX IF NOT EXISTS idx_custom_stamps_world_id ON custom_stamps(world_id);
+                CREATE INDEX IF NOT EXISTS idx_world_members_user_id ON world_members(user_id);
+                CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+            `);
+
+            // Columns added before versioning, missing from the oldest databases
+            addColumnIfMissing(db, 'worlds', 'owner_id', 'TEXT REFERENCES users(id) ON DELETE CASCADE');
+            addColumnIfMissing(db, 'users', 'is_admin', 'INTEGER DEFAULT 0');
+            addColumnIfMissing(db, 'users', 'disabled', 'INTEGER DEFAULT 0');
+            addColumnIfMissing(db, 'maps', 'image_file', 'TEXT');
+            addColumnIfMissing(db, 'maps', 'image_type', 'TEXT');
+            addColumnIfMissing(db, 'maps', 'image_size', 'INTEGER DEFAULT 0');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_worlds_owner_id ON worlds(owner_id)');
+
+            const firstUser = db.prepare('SELECT id FROM users ORDER BY created_at ASC LIMIT 1').get();
+            if (firstUser) {
+                // Hand any unowned worlds to the first account
+                db.prepare('UPDATE worlds SET owner_id = ? WHERE owner_id IS NULL').run(firstUser.id);
+
+                // Databases from before admins existed make the first account the admin
+                const admin = db.prepare('SELECT id FROM users WHERE is_admin = 1 LIMIT 1').get();
+                if (!admin) {
+                    db.prepare('UPDATE users SET is_admin = 1 WHERE id = ?').run(firstUser.id);
+                }
+            }
+
+            moveInlineImages(db);
+        }
+    },
+    {
+        version: 2,
+        description: 'Revision history for worlds, maps and locations',
+        up(db) {
+            db.exec(`
+                -- Revisions table (a snapshot of a record after each change, or before a delete)
+                CREATE TABLE revisions (
+                    id TEXT PRIMARY KEY,
+                    entity_type TEXT NOT NULL CHECK (entity_type IN ('world', 'map', 'location')),
+                    entity_id TEXT NOT NULL,
+                    world_id TEXT NOT NULL,
+                    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore')),
+                    data TEXT NOT NULL,
+                    children TEXT,
+                    user_id TEXT,
+                    created_at INTEGER NOT NULL
+                );
+
+                CREATE INDEX idx_revisions_entity ON revisions(entity_type, entity_id, created_at);
+                CREATE INDEX idx_revisions_world_id ON revisions(world_id);
+            `);
+        }
+    },
+    {
+        version: 3,
+        description: 'Trash for worlds, maps and locations',
+        up(db) {
+            db.exec(`
+                ALTER TABLE worlds ADD COLUMN deleted_at INTEGER;
+                ALTER TABLE worlds ADD COLUMN deleted_by TEXT;
+                ALTER TABLE maps ADD COLUMN deleted_at INTEGER;
+                ALTER TABLE maps ADD COLUMN deleted_by TEXT;
+                ALTER TABLE locations ADD COLUMN deleted_at INTEGER;
+                ALTER TABLE locations ADD COLUMN deleted_by TEXT;
+
+                -- Only trashed rows are indexed, for the trash view and automatic purging
+                CREATE INDEX idx_worlds_deleted_at ON worlds(deleted_at) WHERE deleted_at IS NOT NULL;
+                CREATE INDEX idx_maps_deleted_at ON maps(deleted_at) WHERE deleted_at IS NOT NULL;
+                CREATE INDEX idx_locations_deleted_at ON locations(deleted_at) WHERE deleted_at IS NOT NULL;
+
+                -- Deleted records now stay in the trash, so revisions no longer copy their contents
+                ALTER TABLE revisions DROP COLUMN children;
+            `);
+        }
+    },
+    {
+        version: 4,
+        description: 'Full-text search index for worlds, maps and locations',
+        up(db) {
+            // search_entries maps each indexed record to its row in the FTS5 table,
+            // so triggers can update and delete index rows by rowid
+            db.exec(`
+                CREATE TABLE search_entries (
+                    id INTEGER PRIMARY KEY,
+                    entity_type TEXT NOT NULL CHECK (entity_type IN ('world', 'map', 'location')),
+                    entity_id TEXT NOT NULL,
+                    UNIQUE (entity_type, entity_id)
+                );
+
+                -- Worlds and maps only index their name
+                CREATE VIRTUAL TABLE search_index USING fts5(
+                    name,
+                    description,
+                    notes,
+                    tokenize = 'unicode61 remove_diacritics 2',
+                    prefix = '2 3'
+                );
+            `);
+
+            const columns = {
+                world: ['worlds', ['name']],
+                map: ['maps', ['name']],
+                location: ['locations', ['name', 'description', 'notes']]
+            };
+
+            // Triggers keep the index in step with every write, including restores and imports
+            for (const [type, [table, fields]] of Object.entries(columns)) {
+                const entry = (row) => `(SELECT id FROM search_entries WHERE entity_type = '${type}' AND entity_id = ${row}.id)`;
+                db.exec(`
+                    CREATE TRIGGER search_${table}_insert AFTER INSERT ON ${table} BEGIN
+                        INSERT INTO search_entries (entity_type, entity_id) VALUES ('${type}', new.id);
+                        INSERT INTO search_index (rowid, ${fields.join(', ')})
+                        VALUES (${entry('new')}, ${fields.map(f => `new.${f}`).join(', ')});
+                    END;
+
+                    CREATE TRIGGER search_${table}_update AFTER UPDATE OF ${fields.join(', ')} ON ${table} BEGIN
+                        UPDATE search_index SET ${fields.map(f => `${f} = new.${f}`).join(', ')}
+                        WHERE rowid = ${entry('old')};
+                    END;
+
+                    CREATE TRIGGER search_${table}_delete AFTER DELETE ON ${table} BEGIN
+                        DELETE FROM search_index WHERE rowid = ${entry('old')};
+                        DELETE FROM search_entries WHERE entity_type = '${type}' AND entity_id = old.id;
+                    END;
+
+                    INSERT INTO search_entries (entity_type, entity_id) SELECT '${type}', id FROM ${table};
+                    INSERT INTO search_index (rowid, ${fields.join(', ')})
+                    SELECT e.id, ${fields.map(f => `t.${f}`).join(', ')}
+                    FROM ${table} t
+                    JOIN search_entries e ON e.entity_type = '${type}' AND e.entity_id = t.id;
+                `);
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Spatial index on location positions',
+        up(db) {
+            // Keyed by the location's rowid, with the map's rowid as the third dimension so
+            // a box query only visits locations on one map. Those rowids aren't stable (VACUUM
+            // may renumber tables without an INTEGER PRIMARY KEY); migration 8 rekeys the index.
+            db.exec(`
+                CREATE VIRTUAL TABLE locations_rtree USING rtree(
+                    id,
+                    min_x, max_x,
+                    min_y, max_y,
+                    min_map, max_map
+                );
+
+                CREATE TRIGGER locations_rtree_insert AFTER INSERT ON locations BEGIN
+                    INSERT INTO locations_rtree
+                    SELECT new.rowid, new.x, new.x, new.y, new.y, m.rowid, m.rowid FROM maps m WHERE m.id = new.map_id;
+                END;
+
+                CREATE TRIGGER locations_rtree_update AFTER UPDATE OF x, y, map_id ON locations BEGIN
+                    DELETE FROM locations_rtree WHERE id = old.rowid;
+                    INSERT INTO locations_rtree
+                    SELECT new.rowid, new.x, new.x, new.y, new.y, m.rowid, m.rowid FROM maps m WHERE m.id = new.map_id;
+                END;
+
+                CREATE TRIGGER locations_rtree_delete AFTER DELETE ON locations BEGIN
+                    DELETE FROM locations_rtree WHERE id = old.rowid;
+                END;
+
+                INSERT INTO locations_rtree
+                SELECT l.rowid, l.x, l.x, l.y, l.y, m.rowid, m.rowid
+                FROM locations l
+                JOIN maps m ON m.id = l.map_id;
+            `);
+        }
+    },
+    {
+        version: 6,
+        description: 'Auth event log',
+        up(db) {
+            db.exec(`
+                -- Logins, failed logins, lockouts and password changes, for admins to review
+                CREATE TABLE auth_events (
+                    id INTEGER PRIMARY KEY,
+                    type TEXT NOT NULL,
+                    username TEXT,
+                    user_id TEXT,
+                    ip TEXT,
+                    details TEXT,
+                    created_at INTEGER NOT NULL
+                );
+
+                CREATE INDEX idx_auth_events_created_at ON auth_events(created_at);
+            `);
+        }
+    },
+    {
+        version: 7,
+        description: 'Login sessions',
+        up(db) {
+            db.exec(`
+                -- Logged-in browser sessions. sid is the secret cookie value; id is safe to show users.
+                CREATE TABLE sessions (
+                    sid TEXT PRIMARY KEY,
+                    id TEXT UNIQUE NOT NULL,
+                    user_id TEXT,
+                    data TEXT NOT NULL,
+                    ip TEXT,
+                    user_agent TEXT,
+                    created_at INTEGER NOT NULL,
+                    last_seen_at INTEGER NOT NULL,
+                    expires_at INTEGER NOT NULL
+                );
+
+                CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+                CREATE INDEX idx_sessions_expires_at ON sessions(expires_at);
+            `);
+        }
+    },
+    {
+        version: 8,
+        description: 'Stable keys for the spatial index',
+        up(db) {
+            // Maps and locations have TEXT primary keys, so their rowids can change when the
+            // database is vacuumed. The spatial index is keyed by INTEGER PRIMARY KEYs from
+            // spatial_keys instead, which VACUUM keeps.
+            db.exec(`
+                DROP TRIGGER locations_rtree_insert;
+                DROP TRIGGER locations_rtree_update;
+                DROP TRIGGER locations_rtree_delete;
+
+                CREATE TABLE spatial_keys (
+                    key INTEGER PRIMARY KEY,
+                    record_id TEXT UNIQUE NOT NULL
+                );
+
+                CREATE TRIGGER maps_spatial_key_insert AFTER INSERT ON maps BEGIN
+                    INSERT OR IGNORE INTO spatial_keys (record_id) VALUES (new.id);
+                END;
+
+                CREATE TRIGGER maps_spatial_key_delete AFTER DELETE ON maps BEGIN
+                    DELETE FROM spatial_keys WHERE record_id = old.id;
+                END;
+
+                CREATE TRIGGER locations_rtree_insert AFTER INSERT ON locations BEGIN
+                    INSERT OR IGNORE INTO spatial_keys (record_id) VALUES (new.id);
+                    INSERT OR IGNORE INTO spatial_keys (record_id) VALUES (new.map_id);
+                    INSERT INTO locations_rtree
+                    SELECT lk.key, new.x, new.x, new.y, new.y, mk.key, mk.key
+                    FROM spatial_keys lk, spatial_keys mk
+                    WHERE lk.record_id = new.id AND mk.record_id = new.map_id;
+                END;
+
+                CREATE TRIGGER locations_rtree_update AFTER UPDATE OF x, y, map_id ON locations BEGIN
+                    DELETE FROM locations_rtree WHERE id = (SELECT key FROM spatial_keys WHERE record_id = old.id);
+                    INSERT OR IGNORE INTO spatial_keys (record_id) VALUES (new.map_id);
+                    INSERT INTO locations_rtree
+                    SELECT lk.key, new.x, new.x, new.y, new.y, mk.key, mk.key
+                    FROM spatial_keys lk, spatial_keys mk
+                    WHERE lk.record_id = new.id AND mk.record_id = new.map_id;
+                END;
+
+                CREATE TRIGGER locations_rtree_delete AFTER DELETE ON locations BEGIN
+                    DELETE FROM locations_rtree WHERE id = (SELECT key FROM spatial_keys WHERE record_id = old.id);
+                    DELETE FROM spatial_keys WHERE record_id = old.id;
+                END;
+
+                INSERT INTO spatial_keys (record_id) SELECT id FROM maps;
+                INSERT INTO spatial_keys (record_id) SELECT id FROM locations;
+
+                DELETE FROM locations_rtree;
+                INSERT INTO locations_rtree
+                SELECT lk.key, l.x, l.x, l.y, l.y, mk.key, mk.key
+                FROM locations l
+                JOIN spatial_keys lk ON lk.record_id = l.id
+                JOIN spatial_keys mk ON mk.record_id = l.map_id;
+            `);
+        }
+    },
+    {
+        version: 9,
+        description: 'Hashed session IDs',
+        up(db) {
+            // Keep a hash of each session's cookie value, as for API tokens, so a copy
+            // of the database can't be used to take over logged-in sessions
+            db.exec('ALTER TABLE sessions RENAME COLUMN sid TO sid_hash');
+
+            const rehash = db.prepare('UPDATE sessions SET sid_hash = ? WHERE sid_hash = ?');
+            for (const sid of db.prepare('SELECT sid_hash FROM sessions').pluck().all()) {
+                rehash.run(crypto.createHash('sha256').update(sid).digest('hex'), sid);
+            }
+        }
+    },
+    {
+        version: 10,
+        description: 'Spatial key triggers that work under upserts',
+        up(db) {
+            // An upsert's ON CONFLICT clause overrides OR IGNORE inside the triggers it fires,
+            // so restoring a revision (an upsert) failed on keys that already existed. Insert
+            // missing keys with WHERE NOT EXISTS instead.
+            db.exec(`
+                DROP TRIGGER maps_spatial_key_insert;
+                DROP TRIGGER locations_rtree_insert;
+                DROP TRIGGER locations_rtree_update;
+
+                CREATE TRIGGER maps_spatial_key_insert AFTER INSERT ON maps BEGIN
+                    INSERT INTO spatial_keys (record_id)
+                    SELECT new.id WHERE NOT EXISTS (SELECT 1 FROM spatial_keys WHERE record_id = new.id);
+                END;
+
+                CREATE TRIGGER locations_rtree_insert AFTER INSERT ON locations BEGIN
+                    INSERT INTO spatial_keys (record_id)
+                    SELECT new.id WHERE NOT EXISTS (SELECT 1 FROM spatial_keys WHERE record_id = new.id);
+                    INSERT INTO spatial_keys (record_id)
+                    SELECT new.map_id WHERE NOT EXISTS (SELECT 1 FROM spatial_keys WHERE record_id = new.map_id);
+                    INSERT INTO locations_rtree
+                    SELECT lk.key, new.x, new.x, new.y, new.y, mk.key, mk.key
+                    FROM spatial_keys lk, spatial_keys mk
+                    WHERE lk.record_id = new.id AND mk.record_id = new.map_id;
+                END;
+
+                CREATE TRIGGER locations_rtree_update AFTER UPDATE OF x, y, map_id ON locations BEGIN
+                    DELETE FROM locations_rtree WHERE id = (SELECT key FROM spatial_keys WHERE record_id = old.id);
+                    INSERT INTO spatial_keys (record_id)
+                    SELECT new.map_id WHERE NOT EXISTS (SELECT 1 FROM spatial_keys WHERE record_id = new.map_id);
+                    INSERT INTO locations_rtree
+                    SELECT lk.key, new.x, new.x, new.y, new.y, mk.key, mk.key
+                    FROM spatial_keys lk, spatial_keys mk
+                    WHERE lk.record_id = new.id AND mk.record_id = new.map_id;
+                END;
+            `);
+        }
+    }
+];
+
+// Schema version this server expects
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run all pending migrations
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} dbPath - Database file path, used to place the backup
+ */
+function migrate(db, dbPath) {
+    const current = db.pragma('user_version', { simple: true });
+
+    if (current > LATEST_VERSION) {
+        throw new Error(
+            `Database schema version ${current} is newer than this server supports (${LATEST_VERSION}). ` +
+            'Update the server or restore a backup.'
+        );
+    }
+
+    const pending = MIGRATIONS.filter(migration => migration.version > current);
+    if (pending.length === 0) return;
+
+    const tableCount = db.prepare("SELECT COUNT(*) FROM sqlite_master WHERE type = 'table'").pluck().get();
+    if (tableCount > 0) {
+        backup(db, dbPath, current);
+    }
+
+    for (const migration of pending) {
+        db.transaction(() => {
+            migration.up(db);
+            db.pragma(`user_version = ${migration.version}`);
+        })();
+        console.log(`Applied database migration ${migration.version}: ${migration.description}`);
+    }
+}
+
+/**
+ * Copy the database next to the original before migrating it
+ * @returns {string|null} Backup file path
+ */
+function backup(db, dbPath, version) {
+    if (!dbPath || dbPath === ':memory:') return null;
+
+    const { dir, name } = path.parse(dbPath);
+    const backupPath = path.join(dir, `${name}.backup-v${version}-${Date.now()}.db`);
+
+    // VACUUM INTO writes a consistent, compacted copy without closing the connection
+    db.prepare('VACUUM INTO ?').run(backupPath);
+    console.log(`Backed up database to ${backupPath} before migrating`);
+    return backupPath;
+}
+
+/**
+ * Add a column to a table if an older database doesn't have it yet
+ */
+function addColumnIfMissing(db, table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+    if (!columns.includes(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+/**
+ * Move map images stored as data URLs in maps.image_data into the image store
+ */
+function moveInlineImages(db) {
+    const ids = db.prepare('SELECT id FROM maps WHERE image_data IS NOT NULL').pluck().all();
+
+    for (const id of ids) {
+        // Load one image at a time; they can be very large
+        const imageData = db.prepare('SELECT image_data FROM maps WHERE id = ?').pluck().get(id);
+        try {
+            const image = ImageStore.saveDataUrl(imageData);
+            db.prepare(`
+                UPDATE maps SET image_file = ?, image_type = ?, image_size = ?, image_data = NULL
+                WHERE id = ?
+            `).run(image.file, image.type, image.size, id);
+        } catch (err) {
+            console.warn(`Could not move image for map ${id} into the image store: ${err.message}`);
+        }
+    }
+
+    if (ids.length > 0) {
+        console.log(`Moved ${ids.length} map image(s) into the image store`);
+    }
+}
+
+module.exports = { migrate, MIGRATIONS, LATEST_VERSION };
@@ -0,0 +1,39 @@
+/**
+ * Fantasy Map Builder - Data Paths
+ * Where the database, image store and session secret are kept: server/data unless
+ * DATA_PATH is set. Only the frontend's own files are served, never this directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_PATH = process.env.DATA_PATH || path.join(__dirname, 'data');
+
+/**
+ * Move the data older versions kept straight in server/ into the data directory.
+ * Each file is only moved when its path isn't configured and nothing is in its
+ * new place yet, so this is a no-op after the first start.
+ */
+function moveLegacyData() {
+    if (process.env.DATA_PATH) return;
+
+    const legacy = fs.readdirSync(__dirname).filter(name => {
+        if (/^fantasymap\.(db(-wal|-shm)?|backup-v\d+-\d+\.db)$/.test(name)) return !process.env.DB_PATH;
+        if (name === 'images') return !process.env.IMAGES_PATH;
+        // The secret is kept next to the database unless its own path is set
+        if (name === 'session-secret') return !process.env.SESSION_SECRET_PATH && !process.env.DB_PATH;
+        return false;
+    });
+
+    for (const name of legacy) {
+        const target = path.join(DATA_PATH, name);
+        if (fs.existsSync(target)) continue;
+        fs.mkdirSync(DATA_PATH, { recursive: true });
+        fs.renameSync(path.join(__dirname, name), target);
+        console.log(`Moved server/${name} to ${target}`);
+    }
+}
+
+moveLegacyData();
+
+module.exports = { DATA_PATH };
@@ -0,0 +1,154 @@
+/**
+ * Fantasy Map Builder - Rate Limiting
+ * Lockouts after repeated failed logins, and request throttling.
+ * Counts are kept in memory, so they start over when the server restarts.
+ */
+
+// Failed logins allowed before a lockout, per username and per client address
+const MAX_FAILURES_PER_USERNAME = 5;
+const MAX_FAILURES_PER_IP = 20;
+
+// The first lockout lasts a minute and each one after it twice as long, up to an hour
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+// Failures are forgotten after 15 quiet minutes, and past lockouts after a day
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Tracks failed logins by username and by client address
+ */
+const LoginGuard = {
+    // Key ("user:<name>" or "ip:<address>") -> { failures, lastFailureAt, lockouts, lockedUntil }
+    entries: new Map(),
+
+    /**
+     * The keys an attempt counts against, with how many failures each allows
+     */
+    scopes(ip, username) {
+        return [
+            { scope: 'username', key: `user:${username}`, max: MAX_FAILURES_PER_USERNAME },
+            { scope: 'address', key: `ip:${ip}`, max: MAX_FAILURES_PER_IP }
+        ];
+    },
+
+    /**
+     * Milliseconds until a login for this username from this address may be tried again (0 if now)
+     */
+    retryAfter(ip, username) {
+        const now = Date.now();
+        let wait = 0;
+        for (const { key } of this.scopes(ip, username)) {
+            const entry = this.entries.get(key);
+            if (entry && entry.lockedUntil > now) {
+                wait = Math.max(wait, entry.lockedUntil - now);
+            }
+        }
+        return wait;
+    },
+
+    /**
+     * Count a failed login
+     * @returns {Array} Lockouts it started: { scope, duration, failures }
+     */
+    recordFailure(ip, username) {
+        const now = Date.now();
+        const lockouts = [];
+
+        for (const { scope, key, max } of this.scopes(ip, username)) {
+            let entry = this.entries.get(key);
+            if (!entry || now - entry.lastFailureAt > LOCKOUT_MEMORY_MS) {
+                entry = { failures: 0, lastFailureAt: 0, lockouts: 0, lockedUntil: 0 };
+                this.entries.set(key, entry);
+            }
+            if (now - entry.lastFailureAt > FAILURE_WINDOW_MS) {
+                entry.failures = 0;
+            }
+
+            entry.failures++;
+            entry.lastFailureAt = now;
+
+            if (entry.failures >= max) {
+                const duration = Math.min(BASE_LOCKOUT_MS * 2 ** entry.lockouts, MAX_LOCKOUT_MS);
+                lockouts.push({ scope, duration, failures: entry.failures });
+                entry.lockouts++;
+                entry.lockedUntil = now + duration;
+                entry.failures = 0;
+            }
+        }
+
+        return lockouts;
+    },
+
+    /**
+     * Forget a username's failures, after it logs in or an admin resets its password.
+     * The address keeps its count, so one working account can't be used to reset it.
+     */
+    clearUsername(username) {
+        this.entries.delete(`user:${username}`);
+    },
+
+    /**
+     * Drop entries with nothing left to remember
+     */
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (now - entry.lastFailureAt > LOCKOUT_MEMORY_MS && entry.lockedUntil <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+};
+
+/**
+ * Create middleware that allows each client a number of requests per time window
+ * @param {Object} options
+ * @param {number} options.max - Requests allowed per window (0 allows any number)
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} options.key - Returns the client a request counts against, or null to not count it
+ * @param {string} options.message - Error sent once the limit is reached
+ */
+function rateLimit({ max, windowMs, key, message }) {
+    // Client -> { count, resetAt }
+    const clients = new Map();
+
+    if (max > 0) {
+        setInterval(() => {
+            const now = Date.now();
+            for (const [client, window] of clients) {
+                if (window.resetAt <= now) clients.delete(client);
+            }
+        }, windowMs).unref();
+    }
+
+    return (req, res, next) => {
+        const client = max > 0 ? key(req) : null;
+        if (client === null) return next();
+
+        const now = Date.now();
+        let window = clients.get(client);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            clients.set(client, window);
+        }
+
+        window.count++;
+        if (window.count > max) {
+            res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+            return res.status(429).json({ error: message });
+        }
+        next();
+    };
+}
+
+/**
+ * Describe a wait in whole minutes, for error messages and the auth log
+ */
+function formatWait(ms) {
+    const minutes = Math.ceil(ms / 60000);
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+module.exports = { LoginGuard, rateLimit, formatWait };
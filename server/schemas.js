@@ -0,0 +1,378 @@
+/**
+ * Fantasy Map Builder - Request Schemas
+ * What each API route accepts, checked by validate() in validation.js
+ */
+
+const { ImageStore } = require('./images');
+
+// Longest names and free text accepted
+const NAME_MAX = 500;
+const TEXT_MAX = 50000;
+
+// Distance units a map's scale can use
+const SCALE_UNITS = ['miles', 'km', 'leagues'];
+
+// Most results the list endpoints return
+const MAX_SEARCH_RESULTS = 50;
+const MAX_NEARBY_RESULTS = 100;
+
+// Most operations one batch request may carry
+const MAX_BATCH_OPERATIONS = 1000;
+
+// Kinds of entry in the auth event log
+const AUTH_EVENT_TYPES = ['login', 'login_failed', 'lockout', 'logout', 'password_changed', 'password_reset', 'session_revoked'];
+
+// Link schemes that run code when clicked
+const UNSAFE_LINK_PROTOCOLS = ['javascript:', 'data:', 'vbscript:'];
+
+/**
+ * Reject wiki links that would run script when opened
+ */
+const checkLink = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        // Relative and free-form links are left as they are
+        return null;
+    }
+    return UNSAFE_LINK_PROTOCOLS.includes(url.protocol) ? 'Must be a web link' : null;
+};
+
+/**
+ * Check a map image sent inline as a data URL, in a type the image store accepts
+ */
+const checkImageDataUrl = (value) => {
+    const match = /^data:(image\/[\w.+-]+);base64,/.exec(value);
+    if (!match) return 'Must be an image data URL';
+    return ImageStore.isSupportedType(match[1]) ? null : `Unsupported image type: ${match[1]}`;
+};
+
+/**
+ * Check a bounding box of the form minX,minY,maxX,maxY
+ */
+const checkBbox = (value) => {
+    const numbers = value.split(',').map(Number);
+    if (numbers.length !== 4 || !numbers.every(Number.isFinite)) {
+        return 'Must be four numbers: minX,minY,maxX,maxY';
+    }
+    const [minX, minY, maxX, maxY] = numbers;
+    return minX > maxX || minY > maxY ? 'Minimums must not be greater than maximums' : null;
+};
+
+// ============================================
+// FIELDS
+// ============================================
+
+const username = { type: 'string', required: true, minLength: 3, maxLength: 50 };
+const password = { type: 'string', required: true, minLength: 6, maxLength: 200, trim: false };
+const displayName = { type: 'string', maxLength: 100, nullable: true };
+
+const worldFields = {
+    name: { type: 'string', notBlank: true, maxLength: NAME_MAX },
+    description: { type: 'string', maxLength: TEXT_MAX }
+};
+
+const mapFields = {
+    name: { type: 'string', notBlank: true, maxLength: NAME_MAX },
+    width: { type: 'integer', min: 0 },
+    height: { type: 'integer', min: 0 },
+    scale_value: { type: 'number', positive: true },
+    scale_unit: { type: 'string', values: SCALE_UNITS }
+};
+
+// A map image sent inline; older clients still send one when updating a map
+const imageData = { type: 'string', nullable: true, check: checkImageDataUrl };
+
+const locationFields = {
+    name: { type: 'string', notBlank: true, maxLength: NAME_MAX },
+    description: { type: 'string', maxLength: TEXT_MAX },
+    wiki_link: { type: 'string', maxLength: 2000, check: checkLink },
+    notes: { type: 'string', maxLength: TEXT_MAX },
+    stamp_id: { type: 'string', notBlank: true, maxLength: 100 },
+    x: { type: 'number' },
+    y: { type: 'number' }
+};
+
+const travelSettingsFields = {
+    walking_speed: { type: 'number', positive: true, max: 1000 },
+    horse_speed: { type: 'number', positive: true, max: 1000 },
+    wagon_speed: { type: 'number', positive: true, max: 1000 },
+    hours_per_day: { type: 'number', positive: true, max: 24 }
+};
+
+const stampFields = {
+    icon: { type: 'string', required: true, maxLength: 32 },
+    name: { type: 'string', required: true, maxLength: 100 },
+    category: { type: 'string', maxLength: 50 }
+};
+
+/**
+ * Make every field in a set also accept null (exports write null for empty values)
+ */
+const nullable = (fields) => Object.fromEntries(
+    Object.entries(fields).map(([field, rule]) => [field, { ...rule, nullable: true }])
+);
+
+// A world in the format written by GET /api/worlds/:id/export
+const exportFields = {
+    world: {
+        type: 'object',
+        required: true,
+        fields: {
+            name: { type: 'string', required: true, maxLength: NAME_MAX },
+            description: { ...worldFields.description, nullable: true }
+        }
+    },
+    travelSettings: { type: 'object', nullable: true, fields: travelSettingsFields },
+    customStamps: {
+        type: 'array',
+        nullable: true,
+        items: {
+            type: 'object',
+            fields: {
+                ...stampFields,
+                // Locations refer to custom stamps by this ID
+                id: { type: 'string', nullable: true, maxLength: 100 },
+                category: { ...stampFields.category, nullable: true }
+            }
+        }
+    },
+    maps: {
+        type: 'array',
+        nullable: true,
+        items: {
+            type: 'object',
+            fields: {
+                ...nullable(mapFields),
+                image_data: imageData,
+                locations: {
+                    type: 'array',
+                    nullable: true,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            ...nullable(locationFields),
+                            // Exported names may be empty; the import fills in a default
+                            name: { type: 'string', nullable: true, maxLength: NAME_MAX },
+                            x: { type: 'number', required: true },
+                            y: { type: 'number', required: true }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+const schemas = {
+    // Auth
+    register: {
+        body: { username, password, display_name: displayName }
+    },
+    login: {
+        body: {
+            username: { type: 'string', required: true },
+            password: { type: 'string', required: true, trim: false }
+        }
+    },
+    changePassword: {
+        body: {
+            current_password: { type: 'string', required: true, trim: false },
+            new_password: password
+        }
+    },
+
+    // API tokens
+    createToken: {
+        body: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            read_only: { type: 'boolean' },
+            expires_in_days: { type: 'number', positive: true, nullable: true }
+        }
+    },
+
+    // Admin
+    createUser: {
+        body: { username, password, display_name: displayName, is_admin: { type: 'boolean' } }
+    },
+    updateUser: {
+        body: {
+            display_name: displayName,
+            is_admin: { type: 'boolean' },
+            disabled: { type: 'boolean' }
+        }
+    },
+    resetPassword: {
+        body: { new_password: password }
+    },
+    authEvents: {
+        query: {
+            type: { type: 'string', values: AUTH_EVENT_TYPES },
+            username: { type: 'string' },
+            before: { type: 'integer', positive: true },
+            limit: { type: 'integer', min: 1, max: 500 }
+        }
+    },
+
+    // Worlds
+    createWorld: {
+        body: { ...worldFields, name: { ...worldFields.name, required: true } }
+    },
+    updateWorld: {
+        body: worldFields
+    },
+    setMember: {
+        body: {
+            username: { type: 'string', required: true },
+            role: { type: 'string', required: true, values: ['editor', 'viewer'] }
+        }
+    },
+
+    // Maps
+    createMap: {
+        body: {
+            ...mapFields,
+            name: { ...mapFields.name, required: true },
+            image_data: imageData
+        }
+    },
+    updateMap: {
+        body: { ...mapFields, image_data: imageData }
+    },
+    uploadMapImage: {
+        body: { width: mapFields.width, height: mapFields.height }
+    },
+    getTile: {
+        params: {
+            z: { type: 'integer', required: true },
+            x: { type: 'integer', required: true },
+            y: { type: 'integer', required: true }
+        }
+    },
+
+    // Locations
+    listLocations: {
+        query: { bbox: { type: 'string', check: checkBbox } }
+    },
+    nearbyLocations: {
+        query: {
+            location: { type: 'string', notBlank: true },
+            x: { type: 'number' },
+            y: { type: 'number' },
+            radius: { type: 'number', positive: true },
+            limit: { type: 'integer', min: 1, max: MAX_NEARBY_RESULTS },
+            stamp: { type: 'string' }
+        }
+    },
+    createLocation: {
+        body: {
+            ...locationFields,
+            x: { ...locationFields.x, required: true },
+            y: { ...locationFields.y, required: true }
+        }
+    },
+    updateLocation: {
+        body: locationFields
+    },
+
+    // Batch location changes; which fields each operation needs is checked by the route
+    batch: {
+        body: {
+            operations: {
+                type: 'array',
+                required: true,
+                maxItems: MAX_BATCH_OPERATIONS,
+                items: {
+                    type: 'object',
+                    fields: {
+                        op: { type: 'string', required: true, values: ['create', 'update', 'delete'] },
+                        map_id: { type: 'string', notBlank: true },
+                        id: { type: 'string', notBlank: true },
+                        if_match: { type: 'string', notBlank: true },
+                        data: { type: 'object', fields: locationFields }
+                    }
+                }
+            }
+        }
+    },
+
+    // Custom stamps and travel settings
+    createStamp: {
+        body: stampFields
+    },
+    updateTravelSettings: {
+        body: travelSettingsFields
+    },
+
+    // Live updates
+    liveEvents: {
+        query: {
+            map: { type: 'string', notBlank: true },
+            client: { type: 'string', notBlank: true, maxLength: 100 }
+        }
+    },
+
+    // History
+    revisionDiff: {
+        query: { against: { type: 'string', notBlank: true } }
+    },
+
+    // Search
+    search: {
+        query: {
+            q: { type: 'string', required: true, maxLength: 500 },
+            limit: { type: 'integer', min: 1, max: MAX_SEARCH_RESULTS }
+        }
+    },
+
+    // Import, in the format written by GET /api/worlds/:id/export
+    importWorld: {
+        body: exportFields
+    },
+    // Merging into an existing world keeps that world's name, so an export's world is optional
+    mergeWorld: {
+        body: { ...exportFields, world: { ...exportFields.world, required: false, nullable: true } }
+    },
+
+    // GeoJSON; the route checks geometries, since only points are imported
+    importGeoJSON: {
+        body: {
+            type: { type: 'string', required: true, values: ['FeatureCollection'] },
+            features: {
+                type: 'array',
+                required: true,
+                items: {
+                    type: 'object',
+                    fields: {
+                        geometry: { type: 'object', nullable: true },
+                        properties: {
+                            type: 'object',
+                            nullable: true,
+                            fields: {
+                                ...nullable({
+                                    description: locationFields.description,
+                                    wiki_link: locationFields.wiki_link,
+                                    notes: locationFields.notes,
+                                    // Blank or unknown stamps become pins
+                                    stamp_id: { type: 'string', maxLength: 100 },
+                                    // Exported with the stamp, to find it in another world
+                                    stamp_icon: { type: 'string', maxLength: 32 },
+                                    stamp_name: { type: 'string', maxLength: 100 }
+                                }),
+                                // Unnamed features get the default name
+                                name: { type: 'string', nullable: true, maxLength: NAME_MAX }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+module.exports = { schemas };
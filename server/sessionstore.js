@@ -0,0 +1,100 @@
+/**
+ * Fantasy Map Builder - Session Store
+ * Keeps express-session sessions in the SQLite database, so logins survive restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const session = require('express-session');
+const { SessionsDB } = require('./database');
+
+/**
+ * When a session expires, from its cookie settings (a day from now if it has none)
+ */
+const expiryOf = (sess) => {
+    const expires = sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + 24 * 60 * 60 * 1000;
+};
+
+/**
+ * express-session store backed by SessionsDB. The store API is callback-based;
+ * better-sqlite3 is synchronous, so each method calls back straight away.
+ */
+class SqliteSessionStore extends session.Store {
+    get(sid, callback) {
+        try {
+            callback(null, SessionsDB.get(sid));
+        } catch (err) {
+            callback(err);
+        }
+    }
+
+    set(sid, sess, callback) {
+        try {
+            SessionsDB.set(sid, sess, expiryOf(sess));
+            callback && callback(null);
+        } catch (err) {
+            callback && callback(err);
+        }
+    }
+
+    touch(sid, sess, callback) {
+        try {
+            SessionsDB.touch(sid, expiryOf(sess));
+            callback && callback(null);
+        } catch (err) {
+            callback && callback(err);
+        }
+    }
+
+    destroy(sid, callback) {
+        try {
+            SessionsDB.destroy(sid);
+            callback && callback(null);
+        } catch (err) {
+            callback && callback(err);
+        }
+    }
+
+    clear(callback) {
+        try {
+            SessionsDB.clear();
+            callback && callback(null);
+        } catch (err) {
+            callback && callback(err);
+        }
+    }
+
+    length(callback) {
+        try {
+            callback(null, SessionsDB.count());
+        } catch (err) {
+            callback(err);
+        }
+    }
+}
+
+/**
+ * Read the secret that signs session cookies from a file, creating it on first run,
+ * so sessions stay valid across restarts
+ * @param {string} secretPath - File holding the secret
+ * @returns {string} The secret
+ */
+function loadSessionSecret(secretPath) {
+    try {
+        const secret = fs.readFileSync(secretPath, 'utf8').trim();
+        if (secret) return secret;
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+    // Readable only by the server's user
+    fs.writeFileSync(secretPath, secret + '\n', { mode: 0o600 });
+    console.log(`Generated a session secret in ${secretPath}`);
+    return secret;
+}
+
+module.exports = { SqliteSessionStore, loadSessionSecret };
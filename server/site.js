@@ -0,0 +1,91 @@
+/**
+ * Fantasy Map Builder - Static Site Export
+ * Bundles a world with the read-only viewer (viewer.html and the map, marker and
+ * stamp modules) so it can be published on any static host or opened from disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createZip } = require('./zip');
+
+// The frontend, which the bundle copies its pages and scripts from
+const APP_PATH = path.join(__dirname, '..');
+
+// Leaflet's built files, copied into the bundle so it works offline
+const LEAFLET_PATH = path.dirname(require.resolve('leaflet/dist/leaflet.js'));
+
+// Files copied into the bundle, as bundle path -> path in the app
+const SITE_FILES = {
+    'index.html': 'viewer.html',
+    'css/styles.css': 'css/styles.css',
+    'js/stamps.js': 'js/stamps.js',
+    'js/map.js': 'js/map.js',
+    'js/markers.js': 'js/markers.js',
+    'js/viewer.js': 'js/viewer.js'
+};
+
+// Leaflet files copied into the bundle, as bundle path -> path in Leaflet's dist directory.
+// The stylesheet finds its images relative to itself.
+const LEAFLET_FILES = {
+    'vendor/leaflet/leaflet.js': 'leaflet.js',
+    'vendor/leaflet/leaflet.css': 'leaflet.css',
+    ...Object.fromEntries(fs.readdirSync(path.join(LEAFLET_PATH, 'images')).map(name => [
+        `vendor/leaflet/images/${name}`,
+        `images/${name}`
+    ]))
+};
+
+/**
+ * Build the static site for a world as a ZIP archive. The world's data is written
+ * to data.js as a script, not JSON, so the viewer can read it from file:// pages
+ * where browsers block fetch().
+ * @param {Object} world - The world
+ * @param {Array} maps - Its maps, each with image ({ data, extension } or null) and locations
+ * @param {Array} customStamps - The world's custom stamps
+ * @returns {Buffer} The ZIP archive
+ */
+function buildSite(world, maps, customStamps) {
+    const files = [
+        ...Object.entries(SITE_FILES).map(([name, source]) => ({
+            name,
+            data: fs.readFileSync(path.join(APP_PATH, source))
+        })),
+        ...Object.entries(LEAFLET_FILES).map(([name, source]) => ({
+            name,
+            data: fs.readFileSync(path.join(LEAFLET_PATH, source))
+        }))
+    ];
+
+    const site = {
+        version: '2.0.0',
+        exportedAt: Date.now(),
+        world: { name: world.name, description: world.description || '' },
+        customStamps: customStamps.map(({ id, icon, name, category }) => ({ id, icon, name, category })),
+        maps: maps.map((map, index) => {
+            const image = map.image ? `images/map-${index + 1}.${map.image.extension}` : null;
+            if (image) {
+                files.push({ name: image, data: map.image.data });
+            }
+
+            return {
+                id: map.id,
+                name: map.name,
+                width: map.width,
+                height: map.height,
+                scale_value: map.scale_value,
+                scale_unit: map.scale_unit,
+                image_url: image,
+                // Notes are left out; they are usually kept for whoever runs the game
+                locations: map.locations.map(({ id, name, description, wiki_link, stamp_id, x, y }) => (
+                    { id, name, description, wiki_link, stamp_id, x, y }
+                ))
+            };
+        })
+    };
+
+    files.push({ name: 'data.js', data: `window.FANTASYMAP_SITE = ${JSON.stringify(site)};\n` });
+
+    return createZip(files);
+}
+
+module.exports = { buildSite, LEAFLET_PATH };
@@ -0,0 +1,48 @@
+/**
+ * Fantasy Map Builder - CSV Tests
+ * Run with npm test in server/; exports locations and reads them back with the import wizard
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { locationsToCsv, CSV_COLUMNS } = require('../csv');
+const { StampManager } = require('../../js/stamps');
+
+// The import wizard looks stamps up through the global StampManager, as in the browser
+global.StampManager = StampManager;
+const { CSVModule } = require('../../js/csv');
+
+test('an exported CSV imports back unchanged, without its scaled columns', () => {
+    const dragon = { id: 'custom-dragon', icon: '🐉', name: 'Dragon', category: 'custom' };
+    StampManager.init();
+    StampManager.loadCustomStamps([dragon]);
+
+    const locations = [
+        { name: 'Harbor', description: 'Ships, "mostly"', wiki_link: '', notes: '=not a formula', stamp_id: 'city', x: 120, y: 45.5 },
+        { name: 'Lair', description: 'Line one\nline two', wiki_link: 'https://wiki/lair', notes: '', stamp_id: dragon.id, x: 0, y: 300 }
+    ];
+    const map = { name: 'Coast', scale_value: 2.5, scale_unit: 'km', locations };
+    const stamps = new Map([['city', { id: 'city', name: 'City' }], [dragon.id, dragon]]);
+
+    const [headers, ...rows] = CSVModule.parse(locationsToCsv([map], stamps));
+    assert.deepStrictEqual(headers, CSV_COLUMNS);
+
+    const column = (row, name) => row[headers.indexOf(name)];
+    assert.deepStrictEqual(rows.map(row => Number(column(row, 'x_scaled'))), [300, 0]);
+    assert.deepStrictEqual(rows.map(row => Number(column(row, 'y_scaled'))), [113.75, 750]);
+    assert.deepStrictEqual(rows.map(row => column(row, 'scale_unit')), ['km', 'km']);
+
+    const mapping = CSVModule.guessMapping(headers);
+    assert.strictEqual(mapping.x, headers.indexOf('x'));
+    assert.strictEqual(mapping.y, headers.indexOf('y'));
+
+    const imported = CSVModule.toLocations(rows, mapping);
+    assert.ok(imported.every(entry => !entry.error && !entry.unknownStamp));
+    assert.deepStrictEqual(imported.map(entry => entry.data), locations.map(location => {
+        const data = { stamp_id: location.stamp_id, x: location.x, y: location.y };
+        for (const key of ['name', 'description', 'wiki_link', 'notes']) {
+            if (location[key]) data[key] = location[key];
+        }
+        return data;
+    }));
+});
@@ -0,0 +1,50 @@
+/**
+ * Fantasy Map Builder - Image Store Tests
+ * Run with npm test in server/; uses a throwaway database and image store
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fantasymap-test-'));
+process.env.DB_PATH = path.join(dataDir, 'test.db');
+process.env.IMAGES_PATH = path.join(dataDir, 'images');
+
+const { ImageStore } = require('../images');
+const { db, UsersDB, WorldsDB, MapsDB } = require('../database');
+
+// Released images are checked once the change that released them is over
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+test.after(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('an image replaced in a transaction that rolls back is kept', async () => {
+    const user = await UsersDB.create({ username: 'alice', password: 'password' });
+    const world = WorldsDB.create({ owner_id: user.id, name: 'World' });
+    const map = MapsDB.create({ world_id: world.id, name: 'Map' });
+
+    const first = ImageStore.save(Buffer.from('first image'), 'image/gif');
+    const second = ImageStore.save(Buffer.from('second image'), 'image/gif');
+    MapsDB.setImage(map.id, first);
+
+    assert.throws(() => db.transaction(() => {
+        MapsDB.setImage(map.id, second);
+        throw new Error('Rolled back');
+    })(), /Rolled back/);
+    await nextTick();
+
+    assert.strictEqual(MapsDB.getImage(map.id).image_file, first.file);
+    assert.ok(fs.existsSync(ImageStore.path(first.file)));
+
+    MapsDB.setImage(map.id, second);
+    await nextTick();
+
+    assert.ok(!fs.existsSync(ImageStore.path(first.file)));
+    assert.ok(fs.existsSync(ImageStore.path(second.file)));
+});
@@ -0,0 +1,68 @@
+/**
+ * Fantasy Map Builder - Revision History Tests
+ * Run with npm test in server/; uses a throwaway database and image store
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fantasymap-test-'));
+process.env.DB_PATH = path.join(dataDir, 'test.db');
+process.env.IMAGES_PATH = path.join(dataDir, 'images');
+
+const { db, UsersDB, WorldsDB, MapsDB, LocationsDB, RevisionsDB } = require('../database');
+
+test.after(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('restoring a world revision keeps the current owner', async () => {
+    const alice = await UsersDB.create({ username: 'alice', password: 'password' });
+    const admin = await UsersDB.create({ username: 'admin', password: 'password', is_admin: true });
+
+    const world = WorldsDB.create({ owner_id: alice.id, name: 'Northlands' });
+    const original = RevisionsDB.record('world', world.id, 'create', alice.id);
+    WorldsDB.update(world.id, { name: 'Renamed' });
+    RevisionsDB.record('world', world.id, 'update', alice.id);
+
+    // Deleting a user hands their worlds to the admin, which records no revision
+    WorldsDB.transferOwnership(alice.id, admin.id);
+    UsersDB.delete(alice.id);
+
+    RevisionsDB.restore(original, admin.id);
+
+    const restored = WorldsDB.getById(world.id);
+    assert.strictEqual(restored.name, 'Northlands');
+    assert.strictEqual(restored.owner_id, admin.id);
+});
+
+test('restoring a location revision puts back its fields and position, also from the trash', async () => {
+    const user = await UsersDB.create({ username: 'carol', password: 'password' });
+    const world = WorldsDB.create({ owner_id: user.id, name: 'Westmarch' });
+    const map = MapsDB.create({ world_id: world.id, name: 'Coast' });
+
+    const location = LocationsDB.create({ map_id: map.id, name: 'Harbor', x: 10, y: 20 });
+    const original = RevisionsDB.record('location', location.id, 'create', user.id);
+    LocationsDB.update(location.id, { name: 'Old Harbor', x: 30, y: 40 });
+    RevisionsDB.record('location', location.id, 'update', user.id);
+
+    RevisionsDB.restore(original, user.id);
+
+    let restored = LocationsDB.getById(location.id);
+    assert.strictEqual(restored.name, 'Harbor');
+    assert.deepStrictEqual([restored.x, restored.y], [10, 20]);
+    assert.deepStrictEqual(
+        LocationsDB.getByMapIdInBounds(map.id, { minX: 0, minY: 0, maxX: 15, maxY: 25 }).map(l => l.id),
+        [location.id]
+    );
+
+    LocationsDB.delete(location.id, user.id);
+    RevisionsDB.restore(RevisionsDB.record('location', location.id, 'delete', user.id), user.id);
+
+    restored = LocationsDB.getById(location.id);
+    assert.strictEqual(restored.name, 'Harbor');
+});
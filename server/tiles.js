@@ -0,0 +1,183 @@
+/**
+ * Fantasy Map Builder - Tile Store
+ * Builds deep-zoom tile pyramids for stored map images so large maps load
+ * only the tiles in view instead of the whole image
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { IMAGES_PATH } = require('./images');
+
+// Directory holding one pyramid per image, named after the image file
+const TILES_PATH = path.join(IMAGES_PATH, 'tiles');
+
+// Tile edge length in pixels
+const TILE_SIZE = 256;
+
+// Tiles are WebP so the padding around the image can be transparent
+const TILE_FORMAT = 'webp';
+
+// Image types libvips can tile (vector and animated images are shown as they are)
+const TILED_EXTENSIONS = ['png', 'jpg', 'webp', 'avif'];
+
+fs.mkdirSync(TILES_PATH, { recursive: true });
+
+/*
+ * Pyramid layout
+ *
+ * The map uses L.CRS.Simple with one unit per image pixel and the image's
+ * bottom-left corner at [0, 0], so Leaflet's tile grid starts at the bottom
+ * of the image. The image is padded on the top and right to a square of
+ * TILE_SIZE * 2^levels pixels, which keeps every zoom level on whole tiles
+ * and puts the padding's bottom-left corner on the grid origin.
+ *
+ * Leaflet zoom 0 is full resolution and zoom -levels fits the image in one
+ * tile. Tiles are written in Deep Zoom layout (<level>/<col>_<row>) starting
+ * at the one-tile level, so Deep Zoom level = Leaflet zoom + levels.
+ */
+
+const TileStore = {
+    // Pyramid details for images whose tiles are ready, by image file
+    info: new Map(),
+
+    // Image files waiting for tiles
+    queue: [],
+    running: false,
+
+    /**
+     * Check if an image file gets a tile pyramid
+     */
+    isTileable(file) {
+        return TILED_EXTENSIONS.includes(path.extname(file || '').slice(1));
+    },
+
+    /**
+     * Get the directory holding an image's pyramid
+     */
+    dir(file) {
+        return path.join(TILES_PATH, path.basename(file));
+    },
+
+    /**
+     * Get pyramid details for an image, or null until its tiles are ready
+     * @param {string} file - Image file name from the image store
+     * @returns {Object|null} { size, levels, format }
+     */
+    getInfo(file) {
+        if (!file) return null;
+        if (!this.info.has(file)) {
+            try {
+                const info = JSON.parse(fs.readFileSync(path.join(this.dir(file), 'tiles.json'), 'utf8'));
+                this.info.set(file, info);
+            } catch (err) {
+                return null;
+            }
+        }
+        return this.info.get(file);
+    },
+
+    /**
+     * Get the path of one tile in Leaflet tile coordinates
+     * @returns {string|null} File path, or null if the tile is outside the pyramid
+     */
+    tilePath(file, z, x, y) {
+        const info = this.getInfo(file);
+        if (!info || z > 0 || z < -info.levels) return null;
+
+        // Tile rows count up from the bottom of the image in Leaflet (negative y)
+        const count = Math.pow(2, info.levels + z);
+        const row = y + count;
+        if (x < 0 || x >= count || row < 0 || row >= count) return null;
+
+        return path.join(this.dir(file), 'tiles_files', String(info.levels + z), `${x}_${row}.${info.format}`);
+    },
+
+    /**
+     * Queue tile generation for an image. Images are processed one at a time
+     * in the background; maps keep using the plain image until tiles are ready.
+     */
+    enqueue(file) {
+        if (!this.isTileable(file) || this.getInfo(file) || this.queue.includes(file)) return;
+        this.queue.push(file);
+        this.processQueue();
+    },
+
+    async processQueue() {
+        if (this.running) return;
+        this.running = true;
+
+        while (this.queue.length > 0) {
+            const file = this.queue[0];
+            try {
+                await this.generate(file);
+            } catch (err) {
+                console.warn(`Could not build tiles for image ${file}: ${err.message}`);
+            }
+            this.queue.shift();
+        }
+
+        this.running = false;
+    },
+
+    /**
+     * Build the tile pyramid for a stored image
+     */
+    async generate(file) {
+        const source = path.join(IMAGES_PATH, path.basename(file));
+        if (!fs.existsSync(source)) return;
+
+        const metadata = await sharp(source, { limitInputPixels: false }).metadata();
+        // EXIF orientations 5-8 swap width and height once applied
+        const rotated = metadata.orientation >= 5;
+        const width = rotated ? metadata.height : metadata.width;
+        const height = rotated ? metadata.width : metadata.height;
+
+        const levels = Math.max(0, Math.ceil(Math.log2(Math.max(width, height) / TILE_SIZE)));
+        const side = TILE_SIZE * Math.pow(2, levels);
+
+        // Build into a temp directory so a half-written pyramid is never served
+        const target = this.dir(file);
+        const temp = `${target}.${process.pid}.tmp`;
+        fs.rmSync(temp, { recursive: true, force: true });
+        fs.mkdirSync(temp, { recursive: true });
+
+        try {
+            await sharp(source, { limitInputPixels: false })
+                .rotate()
+                .ensureAlpha()
+                .extend({
+                    top: side - height,
+                    right: side - width,
+                    background: { r: 0, g: 0, b: 0, alpha: 0 }
+                })
+                .webp({ quality: 85 })
+                .tile({ size: TILE_SIZE, overlap: 0, depth: 'onetile', layout: 'dz' })
+                .toFile(path.join(temp, 'tiles'));
+
+            const info = { size: TILE_SIZE, levels, format: TILE_FORMAT, width, height };
+            fs.writeFileSync(path.join(temp, 'tiles.json'), JSON.stringify(info));
+
+            // The image may have been deleted while its tiles were being built
+            if (!fs.existsSync(source)) return;
+
+            fs.rmSync(target, { recursive: true, force: true });
+            fs.renameSync(temp, target);
+            this.info.set(file, info);
+        } finally {
+            fs.rmSync(temp, { recursive: true, force: true });
+        }
+    },
+
+    /**
+     * Delete an image's pyramid
+     */
+    remove(file) {
+        this.info.delete(file);
+        // The first queued image may be mid-build; generate() checks the image still exists
+        this.queue = this.queue.filter((queued, index) => index === 0 || queued !== file);
+        fs.rmSync(this.dir(file), { recursive: true, force: true });
+    }
+};
+
+module.exports = { TileStore, TILES_PATH };
@@ -0,0 +1,211 @@
+/**
+ * Fantasy Map Builder - Request Validation
+ * Checks request bodies, query strings and route params against declarative schemas
+ *
+ * A schema maps field names to rules:
+ *
+ *   {
+ *       name: { type: 'string', required: true, maxLength: 200 },
+ *       x: { type: 'number' },
+ *       unit: { type: 'string', values: ['miles', 'km'] },
+ *       maps: { type: 'array', items: { type: 'object', fields: { ... } } }
+ *   }
+ *
+ * Rules:
+ *   type       'string', 'number', 'integer', 'boolean', 'object' or 'array'
+ *   required   The field must be present (and, for strings, not blank)
+ *   notBlank   A string, if present, must not be blank
+ *   nullable   null is accepted as a value
+ *   trim       Trim strings before checking them (default true)
+ *   minLength, maxLength   String length
+ *   min, max   Number range
+ *   positive   Number must be above zero
+ *   values     Allowed values
+ *   check      Function returning an error message for a value, or null
+ *   fields     Schema for the properties of an object
+ *   items      Rules for each element of an array
+ *   maxItems   Longest allowed array
+ *
+ * Valid input replaces req.body and req.query with only the fields the schema
+ * knows about, trimmed and converted (params are updated in place). Invalid
+ * input gets a 400:
+ *
+ *   { error: 'Invalid request: x is required', fields: { x: 'Required' } }
+ */
+
+/**
+ * Describe how a value fails a rule, or return null if it passes
+ * @param {*} value - Value to check (never undefined)
+ * @param {Object} rule - Field rules
+ * @param {string} path - Field path for nested errors
+ * @param {boolean} coerce - Convert strings to numbers and booleans (query strings, form fields)
+ * @param {Object} errors - Collects error messages by field path
+ * @returns {*} The value to keep
+ */
+function checkValue(value, rule, path, coerce, errors) {
+    if (value === null) {
+        if (!rule.nullable) errors[path] = 'Required';
+        return null;
+    }
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') {
+                errors[path] = 'Must be text';
+                return value;
+            }
+            if (rule.trim !== false) value = value.trim();
+            if ((rule.required || rule.notBlank) && value === '') {
+                errors[path] = 'Required';
+            } else if (rule.minLength !== undefined && value.length < rule.minLength) {
+                errors[path] = `Must be at least ${rule.minLength} characters`;
+            } else if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                errors[path] = `Must be at most ${rule.maxLength} characters`;
+            }
+            break;
+        }
+
+        case 'number':
+        case 'integer': {
+            if (coerce && typeof value === 'string' && value.trim() !== '') {
+                value = Number(value);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors[path] = 'Must be a number';
+                return value;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                errors[path] = 'Must be a whole number';
+            } else if (rule.positive && value <= 0) {
+                errors[path] = 'Must be greater than 0';
+            } else if (rule.min !== undefined && value < rule.min) {
+                errors[path] = `Must be ${rule.min} or more`;
+            } else if (rule.max !== undefined && value > rule.max) {
+                errors[path] = `Must be ${rule.max} or less`;
+            }
+            break;
+        }
+
+        case 'boolean': {
+            if (coerce && (value === 'true' || value === 'false')) {
+                value = value === 'true';
+            }
+            if (typeof value !== 'boolean') {
+                errors[path] = 'Must be true or false';
+                return value;
+            }
+            break;
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors[path] = 'Must be an object';
+                return value;
+            }
+            return rule.fields ? checkFields(value, rule.fields, `${path}.`, coerce, errors) : value;
+        }
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                errors[path] = 'Must be a list';
+                return value;
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                errors[path] = `Must have at most ${rule.maxItems} items`;
+                return value;
+            }
+            return rule.items
+                ? value.map((item, index) => checkValue(item, rule.items, `${path}[${index}]`, coerce, errors))
+                : value;
+        }
+    }
+
+    if (errors[path]) return value;
+
+    if (rule.values && !rule.values.includes(value)) {
+        errors[path] = `Must be one of: ${rule.values.join(', ')}`;
+    } else if (rule.check) {
+        const message = rule.check(value);
+        if (message) errors[path] = message;
+    }
+
+    return value;
+}
+
+/**
+ * Check an object's fields against a schema, keeping only the known fields
+ * @returns {Object} The checked fields
+ */
+function checkFields(input, schema, prefix, coerce, errors) {
+    const source = input && typeof input === 'object' ? input : {};
+    const output = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const path = prefix + field;
+        const value = source[field];
+
+        if (value === undefined) {
+            if (rule.required) errors[path] = 'Required';
+            continue;
+        }
+
+        output[field] = checkValue(value, rule, path, coerce, errors);
+    }
+
+    return output;
+}
+
+/**
+ * Send a 400 response listing what is wrong with each field
+ * @param {Object} res - Express response
+ * @param {Object} fields - Error message by field path
+ */
+function sendFieldErrors(res, fields) {
+    const summary = Object.entries(fields)
+        .map(([field, message]) => {
+            const text = message.charAt(0).toLowerCase() + message.slice(1);
+            return message.startsWith('Required') ? `${field} is ${text}` : `${field} ${text}`;
+        })
+        .join('; ');
+    return res.status(400).json({ error: `Invalid request: ${summary}`, fields });
+}
+
+/**
+ * Create middleware that validates a request
+ * @param {Object} schemas - { body, query, params } schemas; parts without one are left alone
+ */
+function validate(schemas) {
+    return (req, res, next) => {
+        const errors = {};
+        const checked = {};
+
+        for (const part of ['params', 'query', 'body']) {
+            if (!schemas[part]) continue;
+
+            // Query strings, route params and multipart form fields only carry text
+            const coerce = part !== 'body' || !req.is('application/json');
+            checked[part] = checkFields(req[part], schemas[part], '', coerce, errors);
+        }
+
+        if (Object.keys(errors).length > 0) {
+            return sendFieldErrors(res, errors);
+        }
+
+        if (checked.body) {
+            req.body = checked.body;
+        }
+        if (checked.query) {
+            // req.query is a getter in newer Express versions; replace its contents instead
+            for (const key of Object.keys(req.query)) delete req.query[key];
+            Object.assign(req.query, checked.query);
+        }
+        if (checked.params) {
+            // Other params are still needed by the route (e.g. the record's ID)
+            Object.assign(req.params, checked.params);
+        }
+
+        next();
+    };
+}
+
+module.exports = { validate, sendFieldErrors };